@@ -0,0 +1,70 @@
+// src/app.js
+const express = require('express');
+const cors = require('cors');
+const cookieParser = require('cookie-parser');
+const morgan = require('morgan');
+const path = require('path');
+const routes = require('./routes');
+const legacyRoutes = require('./routes/legacy.routes');
+const mediaController = require('./controllers/media.controller');
+const errorHandler = require('./middleware/error.middleware');
+const { limiters } = require('./middleware/rateLimit.middleware');
+const database = require('./config/database');
+const redisService = require('./services/redis.service');
+const logger = require('./config/logger');
+const ApiError = require('./utils/helpers/apiError');
+
+const frontendDir = path.join(__dirname, '../../FrontEnd');
+
+const app = express();
+
+// Behind nginx: trust X-Forwarded-For so rate limits see the client IP
+app.set('trust proxy', 1);
+
+app.use(cors({
+  origin: process.env.CLIENT_URL || true,
+  credentials: true
+}));
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
+app.use(morgan('combined', { stream: logger.stream }));
+
+// Health check
+app.get('/health', async (req, res) => {
+  const [db, cache] = await Promise.all([
+    database.healthCheck(),
+    redisService.healthCheck()
+  ]);
+  const healthy = db.status === 'healthy' && cache.status === 'healthy';
+  
+  res.status(healthy ? 200 : 503).json({ status: healthy ? 'OK' : 'DEGRADED', db, cache });
+});
+
+// API
+app.use('/api/v1', limiters.api, routes);
+
+// Compatibility shims for the pre-v1 frontend (FrontEnd/auth/api.js)
+app.use('/api', legacyRoutes);
+
+app.use('/api', (req, res, next) => {
+  next(new ApiError(`Route ${req.method} ${req.originalUrl} not found`, 404));
+});
+
+// Uploads and link preview images, read through the configured storage driver
+app.get(['/media/public/*', '/media/private/*'], mediaController.serveObject);
+
+app.use('/media', (req, res, next) => {
+  next(new ApiError('File not found', 404));
+});
+
+// Static frontend
+app.use(express.static(frontendDir));
+
+app.get('*', (req, res) => {
+  res.sendFile(path.join(frontendDir, 'index.html'));
+});
+
+app.use(errorHandler);
+
+module.exports = app;
@@ -12,6 +12,12 @@ module.exports = {
     RESTRICTED: 'restricted'
   },
   
+  JOIN_METHODS: {
+    OPEN: 'open',
+    APPROVAL: 'approval',
+    INVITE: 'invite'
+  },
+  
   POST_TYPES: {
     TEXT: 'text',
     LINK: 'link',
@@ -19,6 +25,59 @@ module.exports = {
     POLL: 'poll'
   },
   
+  POST_STATUS: {
+    PUBLISHED: 'published',
+    PENDING: 'pending',
+    REJECTED: 'rejected'
+  },
+  
+  VOTE_TARGETS: {
+    POST: 'post',
+    COMMENT: 'comment'
+  },
+  
+  PET_SPECIES: {
+    DOG: 'dog',
+    CAT: 'cat',
+    BIRD: 'bird',
+    FISH: 'fish',
+    RABBIT: 'rabbit',
+    OTHER: 'other'
+  },
+  
+  PET_SEX: {
+    MALE: 'male',
+    FEMALE: 'female',
+    UNKNOWN: 'unknown'
+  },
+  
+  HEALTH_RECORD_TYPES: {
+    VACCINATION: 'vaccination',
+    MEDICATION: 'medication',
+    CHECKUP: 'checkup',
+    SURGERY: 'surgery',
+    ALLERGY: 'allergy',
+    WEIGHT: 'weight',
+    OTHER: 'other'
+  },
+  
+  RECURRENCE: {
+    DAILY: 'daily',
+    WEEKLY: 'weekly',
+    MONTHLY: 'monthly',
+    YEARLY: 'yearly'
+  },
+  
+  EVENT_TYPES: {
+    MEETUP: 'meetup',
+    TRAINING: 'training',
+    ADOPTION: 'adoption',
+    CHARITY: 'charity',
+    WORKSHOP: 'workshop',
+    COMPETITION: 'competition',
+    OTHER: 'other'
+  },
+  
   MESSAGE_TYPES: {
     TEXT: 'text',
     IMAGE: 'image',
@@ -33,13 +92,109 @@ module.exports = {
     POST_UPVOTED: 'post_upvoted',
     COMMENT_UPVOTED: 'comment_upvoted',
     USER_MENTIONED: 'user_mentioned',
-    COMMUNITY_INVITE: 'community_invite'
+    COMMUNITY_INVITE: 'community_invite',
+    CONTENT_REMOVED: 'content_removed',
+    HEALTH_REMINDER: 'health_reminder',
+    EVENT_CANCELLED: 'event_cancelled',
+    EVENT_WAITLIST_PROMOTED: 'event_waitlist_promoted',
+    JOIN_REQUEST_RECEIVED: 'join_request_received',
+    JOIN_REQUEST_APPROVED: 'join_request_approved',
+    JOIN_REQUEST_REJECTED: 'join_request_rejected',
+    POST_SUBMITTED: 'post_submitted',
+    POST_APPROVED: 'post_approved',
+    POST_REJECTED: 'post_rejected',
+    POLL_CLOSED: 'poll_closed',
+    NEW_FOLLOWER: 'new_follower'
   },
   
   PAGINATION: {
     DEFAULT_LIMIT: 20,
-    MAX_LIMIT: 100,
-    DEFAULT_PAGE: 1
+    MAX_LIMIT: 100
+  },
+  
+  // Community directory sorts and the field each keyset-pages on
+  COMMUNITY_SORTS: {
+    new: 'createdAt',
+    popular: 'stats.memberCount',
+    active: 'stats.postCount'
+  },
+  
+  POST_SORTS: ['hot', 'new', 'top', 'controversial', 'best', 'rising'],
+  
+  RANKING: {
+    HOT_EPOCH: 1134028003, // seconds; any fixed point works, this is Reddit's
+    HOT_DECAY_SECONDS: 45000, // 12.5 hours per order of magnitude of votes
+    RISING_WINDOW: 24 * 60 * 60 * 1000,
+    RISING_GRAVITY: 1.5,
+    BATCH_SIZE: 500
+  },
+  
+  // Lookback for sort=top; 'all' is unbounded
+  TIME_WINDOWS: {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+    year: 365 * 24 * 60 * 60 * 1000,
+    all: null
+  },
+  
+  FEED: {
+    HOT_MAX_AGE: 30 * 24 * 60 * 60 * 1000, // older posts only show up under the other sorts
+    FOLLOW_AFFINITY: 1, // in hot score units: a 10x vote difference, or 12.5 hours of age
+    COMMUNITY_AFFINITY: 0.5, // for the community the user interacts with most, scaled down for the rest
+    AFFINITY_LOOKBACK: 30 * 24 * 60 * 60 * 1000,
+    AFFINITY_SNAPSHOT_TTL: 60 * 60 // seconds; a feed paged for longer recomputes the snapshot from the same cutoff
+  },
+  
+  TAGS: {
+    MAX_LENGTH: 30,
+    MAX_PER_POST: 10,
+    MAX_BANNED: 200
+  },
+  
+  // Tags trend when more people than usual post them: activity in the window against the average of the windows before
+  TRENDING: {
+    WINDOWS: ['hour', 'day', 'week'],
+    BASELINE_WINDOWS: 4,
+    MIN_AUTHORS: 2,
+    LIMIT: 20
+  },
+  
+  VOTES: {
+    BROADCAST_DELAY: 500, // vote_update for a post room goes out at most this often, with the latest counts
+    RECOUNT_SETTLE: 60 * 1000 // targets voted on more recently than this are left to the votes in flight
+  },
+  
+  MENTIONS: {
+    MAX_PER_CONTENT: 20 // further @names are left as plain text
+  },
+  
+  SEARCH: {
+    TYPES: ['posts', 'communities', 'users', 'comments'],
+    SORTS: ['relevance', 'new'], // every type; posts also accept POST_SORTS
+    PREVIEW_LIMIT: 5, // per type when searching everything at once
+    FACET_LIMIT: 10,
+    POPULARITY_WEIGHT: 0.25, // text score bonus per 10x votes (posts, comments) or members (communities)
+    SNIPPET_LENGTH: 160,
+    AUTOCOMPLETE_LIMIT: 10,
+    AUTOCOMPLETE_CANDIDATES: 200, // fuzzy candidates scanned for typo-tolerant username matches
+    AUTOCOMPLETE_PREFIX: 2 // leading characters that must match exactly before typos are allowed
+  },
+  
+  // Sliding-window budgets; override with RATE_LIMIT_<NAME>_MAX / RATE_LIMIT_<NAME>_WINDOW_MS
+  RATE_LIMITS: {
+    API: { windowMs: 15 * 60 * 1000, max: 100 },
+    LOGIN: { windowMs: 15 * 60 * 1000, max: 10 },
+    LOGIN_ACCOUNT: { windowMs: 15 * 60 * 1000, max: 5 },
+    REGISTER: { windowMs: 60 * 60 * 1000, max: 5 },
+    FORGOT_PASSWORD: { windowMs: 60 * 60 * 1000, max: 3 },
+    CREATE_POST: { windowMs: 60 * 60 * 1000, max: 10 },
+    CREATE_COMMENT: { windowMs: 60 * 1000, max: 10 },
+    SEND_MESSAGE: { windowMs: 10 * 1000, max: 10 },
+    VOTE: { windowMs: 60 * 1000, max: 60 },
+    UPLOAD: { windowMs: 60 * 60 * 1000, max: 50 },
+    AI_CHAT: { windowMs: 60 * 1000, max: 10 }
   },
   
   CACHE_TTL: {
@@ -54,9 +209,63 @@ module.exports = {
     ALLOWED_FILE_TYPES: ['application/pdf', 'text/plain', 'application/msword']
   },
   
+  MEDIA_PURPOSES: {
+    POST: 'post',
+    MESSAGE: 'message',
+    AVATAR: 'avatar',
+    BANNER: 'banner'
+  },
+  
+  MEDIA_VISIBILITY: {
+    PUBLIC: 'public',
+    PRIVATE: 'private'
+  },
+  
+  MEDIA_CLEANUP: {
+    GRACE_PERIOD: 24 * 60 * 60 * 1000, // unattached uploads are kept a day
+    PREVIEW_GRACE_PERIOD: 48 * 60 * 60 * 1000, // outlives the cached unfurl result that may reuse a preview
+    BATCH_SIZE: 500
+  },
+  
   AI: {
     MAX_CONTENT_LENGTH: 5000,
     TIMEOUT: 10000,
-    MAX_RETRIES: 3
+    MAX_RETRIES: 3,
+    TOXICITY_THRESHOLD: 0.7,
+    MAX_CHAT_HISTORY: 50
+  },
+  
+  JOBS: {
+    ANALYZE_POST: 'post:analyze',
+    ANALYZE_COMMENT: 'comment:analyze',
+    ANALYZE_MESSAGE: 'message:analyze',
+    SEND_NOTIFICATION: 'notification:send',
+    FANOUT_NOTIFICATION: 'notification:fanout',
+    PROCESS_HEALTH_REMINDERS: 'health:reminders',
+    CLOSE_POLLS: 'poll:close',
+    UNFURL_LINK: 'post:unfurl',
+    CLEANUP_MEDIA: 'media:cleanup',
+    RECOMPUTE_RANKINGS: 'post:rank',
+    COMPUTE_TRENDING: 'tags:trending',
+    RECOUNT_VOTES: 'votes:recount'
+  },
+  
+  QUEUE: {
+    DEFAULT_ATTEMPTS: 3,
+    BACKOFF_DELAY: 1000, // 1 second, doubled per attempt
+    POLL_INTERVAL: 1000,
+    LOCK_TIMEOUT: 60000, // 1 minute
+    CONCURRENCY: 5,
+    WORKER_HEARTBEAT_INTERVAL: 30000 // standalone worker presence, checked by the API at startup
+  },
+  
+  // Intervals for jobs the worker enqueues on a timer
+  SCHEDULES: {
+    HEALTH_REMINDERS: 60 * 1000, // 1 minute
+    CLOSE_POLLS: 60 * 1000,
+    CLEANUP_MEDIA: 60 * 60 * 1000, // 1 hour
+    RECOMPUTE_RANKINGS: 5 * 60 * 1000,
+    COMPUTE_TRENDING: 10 * 60 * 1000,
+    RECOUNT_VOTES: 5 * 60 * 1000
   }
 };
\ No newline at end of file
@@ -3,6 +3,10 @@ const socketIO = require('socket.io');
 const socketAuth = require('../utils/socket/middleware');
 const chatHandler = require('../utils/socket/handlers/chat.handler');
 const presenceHandler = require('../utils/socket/handlers/presence.handler');
+const voteHandler = require('../utils/socket/handlers/vote.handler');
+const notificationService = require('../services/notification.service');
+const redisService = require('../services/redis.service');
+const { consume } = require('../middleware/rateLimit.middleware');
 const logger = require('./logger');
 
 class SocketServer {
@@ -17,6 +21,16 @@ class SocketServer {
       transports: ['websocket', 'polling']
     });
 
+    // Rooms span every API instance, and the standalone worker's Redis emitter reaches them too
+    if (redisService.isRedis) {
+      const { createAdapter } = require('@socket.io/redis-adapter');
+      const pubClient = redisService.duplicate();
+      const subClient = redisService.duplicate();
+
+      this.io.adapter(createAdapter(pubClient, subClient));
+    }
+
+    SocketServer.instance = this;
     this.initialize();
   }
 
@@ -35,6 +49,9 @@ class SocketServer {
         
         // Update user presence
         presenceHandler.handleConnect(socket, userId);
+        
+        // Catch up on notifications missed while offline
+        notificationService.syncSocket(socket, socket.handshake.auth?.notificationsSince);
       }
 
       // Register event handlers
@@ -63,49 +80,36 @@ class SocketServer {
     socket.on('read_receipt', (data) => chatHandler.handleReadReceipt(socket, data));
 
     // Post events
-    socket.on('upvote_post', (data) => this.handleUpvotePost(socket, data));
-    socket.on('downvote_post', (data) => this.handleDownvotePost(socket, data));
+    socket.on('join_post', (data, ack) => voteHandler.handleJoinPost(socket, data, ack));
+    socket.on('leave_post', (data, ack) => voteHandler.handleLeavePost(socket, data, ack));
+    socket.on('vote', (data, ack) => voteHandler.handleVote(socket, data, ack));
+    socket.on('upvote_post', (data, ack) => voteHandler.handleVote(socket, { targetId: data?.postId, vote: 'up' }, ack));
+    socket.on('downvote_post', (data, ack) => voteHandler.handleVote(socket, { targetId: data?.postId, vote: 'down' }, ack));
     socket.on('new_comment', (data) => this.handleNewComment(socket, data));
 
+    // Notification events
+    socket.on('sync_notifications', (data) => notificationService.syncSocket(socket, data?.since));
+
     // Presence events
     socket.on('update_presence', (data) => presenceHandler.handleUpdatePresence(socket, data));
     socket.on('heartbeat', () => presenceHandler.handleHeartbeat(socket));
   }
 
-  async handleUpvotePost(socket, data) {
-    try {
-      const { postId } = data;
-      const userId = socket.user._id;
-
-      const postService = require('../services/post.service');
-      const updatedPost = await postService.upvotePost(postId, userId);
-
-      // Emit to community room
-      socket.to(`community:${updatedPost.community}`).emit('post_updated', {
-        type: 'upvote',
-        postId,
-        userId,
-        score: updatedPost.score
-      });
-
-      // Emit to post room for real-time updates
-      this.io.to(`post:${postId}`).emit('vote_update', {
-        postId,
-        upvotes: updatedPost.upvotes.length,
-        downvotes: updatedPost.downvotes.length,
-        score: updatedPost.score,
-        userVote: 'up'
-      });
-    } catch (error) {
-      socket.emit('error', { message: error.message });
-    }
-  }
-
   async handleNewComment(socket, data) {
     try {
       const { postId, content, parentCommentId } = data;
       const userId = socket.user._id;
 
+      const limit = await consume('CREATE_COMMENT', `user:${userId}`);
+      if (limit.limited) {
+        socket.emit('error', {
+          message: 'You are commenting too quickly',
+          code: 'RATE_LIMITED',
+          retryAfter: limit.resetSeconds
+        });
+        return;
+      }
+
       const commentService = require('../services/comment.service');
       const comment = await commentService.createComment({
         postId,
@@ -119,18 +123,6 @@ class SocketServer {
         comment: comment.toJSON(),
         postId
       });
-
-      // Notify post author if different from commenter
-      const post = await require('../models/Post.model').findById(postId);
-      if (post.author.toString() !== userId.toString()) {
-        this.io.to(`user:${post.author}`).emit('notification', {
-          type: 'new_comment',
-          postId,
-          commentId: comment._id,
-          commenterId: userId,
-          message: `${socket.user.username} commented on your post`
-        });
-      }
     } catch (error) {
       socket.emit('error', { message: error.message });
     }
@@ -140,6 +132,11 @@ class SocketServer {
   getIO() {
     return this.io;
   }
+
+  // Get IO instance of the running server, if any
+  static getIO() {
+    return SocketServer.instance ? SocketServer.instance.io : null;
+  }
 }
 
 module.exports = SocketServer;
\ No newline at end of file
@@ -0,0 +1,32 @@
+// src/controllers/aiChat.controller.js
+const aiChatService = require('../services/aiChat.service');
+const asyncHandler = require('../utils/helpers/asyncHandler');
+const ApiResponse = require('../utils/helpers/apiResponse');
+
+const getChat = asyncHandler(async (req, res) => {
+  const chat = await aiChatService.getChat(req.user._id);
+  
+  ApiResponse.success(res, 'AI chat retrieved successfully', {
+    chat: chat.toJSON()
+  });
+});
+
+const setPet = asyncHandler(async (req, res) => {
+  const chat = await aiChatService.setPet(req.user._id, req.body.petId);
+  
+  ApiResponse.success(res, 'AI chat pet updated successfully', {
+    petInfo: chat.petInfo
+  });
+});
+
+const sendMessage = asyncHandler(async (req, res) => {
+  const result = await aiChatService.sendMessage(req.user._id, req.body);
+  
+  ApiResponse.created(res, 'Message sent successfully', result);
+});
+
+module.exports = {
+  getChat,
+  setPet,
+  sendMessage
+};
@@ -2,6 +2,7 @@
 const authService = require('../services/auth.service');
 const asyncHandler = require('../utils/helpers/asyncHandler');
 const ApiResponse = require('../utils/helpers/apiResponse');
+const ApiError = require('../utils/helpers/apiError');
 const logger = require('../config/logger');
 
 const register = asyncHandler(async (req, res) => {
@@ -104,5 +105,5 @@ module.exports = {
   logout,
   refreshTokens,
   forgotPassword,
-  resetPassword
+  resetPassword,
 };
\ No newline at end of file
@@ -0,0 +1,96 @@
+// src/controllers/chat.controller.js
+const chatService = require('../services/chat.service');
+const asyncHandler = require('../utils/helpers/asyncHandler');
+const ApiResponse = require('../utils/helpers/apiResponse');
+const ApiError = require('../utils/helpers/apiError');
+
+const sendMessage = asyncHandler(async (req, res) => {
+  const message = await chatService.sendMessage(req.body, req.user._id);
+  
+  // Mirror the socket path so connected clients see REST-sent messages
+  const io = require('../config/socket').getIO();
+  if (io) {
+    const room = message.community
+      ? `community:${message.community}`
+      : `user:${message.receiver}`;
+    io.to(room).emit('new_message', { message: message.toJSON() });
+  }
+  
+  ApiResponse.created(res, 'Message sent successfully', {
+    message: message.toJSON()
+  });
+});
+
+const getCommunityMessages = asyncHandler(async (req, res) => {
+  const { communityId } = req.params;
+  const { limit, cursor } = req.query;
+  
+  const page = await chatService.getCommunityMessages(communityId, req.user._id, { limit, cursor });
+  
+  ApiResponse.cursor(res, 'Messages retrieved successfully', page);
+});
+
+const getDirectMessages = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { limit, cursor } = req.query;
+  
+  const page = await chatService.getDirectMessages(req.user._id, userId, { limit, cursor });
+  
+  ApiResponse.cursor(res, 'Messages retrieved successfully', page);
+});
+
+const markAsRead = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  await chatService.markAsRead(messageId, req.user._id);
+  
+  ApiResponse.success(res, 'Message marked as read');
+});
+
+const deleteMessage = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  await chatService.deleteMessage(messageId, req.user._id);
+  
+  ApiResponse.success(res, 'Message deleted successfully');
+});
+
+const addReaction = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const { emoji } = req.body;
+  
+  if (!emoji) {
+    throw new ApiError('Emoji is required', 400);
+  }
+  
+  const message = await chatService.addReaction(messageId, req.user._id, emoji);
+  
+  ApiResponse.success(res, 'Reaction added', {
+    reactions: message.reactions
+  });
+});
+
+const removeReaction = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const message = await chatService.removeReaction(messageId, req.user._id);
+  
+  ApiResponse.success(res, 'Reaction removed', {
+    reactions: message.reactions
+  });
+});
+
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const { communityId } = req.query;
+  const count = await chatService.getUnreadCount(req.user._id, communityId);
+  
+  ApiResponse.success(res, 'Unread count retrieved successfully', { count });
+});
+
+module.exports = {
+  sendMessage,
+  getCommunityMessages,
+  getDirectMessages,
+  markAsRead,
+  deleteMessage,
+  addReaction,
+  removeReaction,
+  getUnreadCount
+};
@@ -0,0 +1,102 @@
+// src/controllers/comment.controller.js
+const commentService = require('../services/comment.service');
+const asyncHandler = require('../utils/helpers/asyncHandler');
+const ApiResponse = require('../utils/helpers/apiResponse');
+
+const createComment = asyncHandler(async (req, res) => {
+  const { postId, content, parentCommentId } = req.body;
+  const comment = await commentService.createComment({
+    postId,
+    content,
+    author: req.user._id,
+    parentComment: parentCommentId
+  });
+  
+  ApiResponse.created(res, 'Comment created successfully', {
+    comment: comment.toJSON()
+  });
+});
+
+const getPostComments = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const { limit, cursor, sort = 'best', depth = 3 } = req.query;
+  
+  const page = await commentService.getCommentsByPost(postId, { limit, cursor, sort, depth }, req.user?._id);
+  
+  ApiResponse.cursor(res, 'Comments retrieved successfully', page);
+});
+
+const getReplies = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const { limit, cursor, sort = 'best', depth = 3 } = req.query;
+  
+  const page = await commentService.getReplies(commentId, { limit, cursor, sort, depth }, req.user?._id);
+  
+  ApiResponse.cursor(res, 'Replies retrieved successfully', page);
+});
+
+const updateComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const comment = await commentService.updateComment(commentId, req.body.content, req.user._id);
+  
+  ApiResponse.success(res, 'Comment updated successfully', {
+    comment: comment.toJSON()
+  });
+});
+
+const deleteComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  await commentService.deleteComment(commentId, req.user._id);
+  
+  ApiResponse.success(res, 'Comment deleted successfully');
+});
+
+const upvoteComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const comment = await commentService.upvoteComment(commentId, req.user._id);
+  
+  ApiResponse.success(res, 'Vote recorded', {
+    commentId: comment._id,
+    upvotes: comment.upvoteCount,
+    downvotes: comment.downvoteCount,
+    score: comment.score,
+    userVote: comment.userVote
+  });
+});
+
+const downvoteComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const comment = await commentService.downvoteComment(commentId, req.user._id);
+  
+  ApiResponse.success(res, 'Vote recorded', {
+    commentId: comment._id,
+    upvotes: comment.upvoteCount,
+    downvotes: comment.downvoteCount,
+    score: comment.score,
+    userVote: comment.userVote
+  });
+});
+
+const clearVote = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const comment = await commentService.clearCommentVote(commentId, req.user._id);
+  
+  ApiResponse.success(res, 'Vote removed', {
+    commentId: comment._id,
+    upvotes: comment.upvoteCount,
+    downvotes: comment.downvoteCount,
+    score: comment.score,
+    userVote: comment.userVote
+  });
+});
+
+module.exports = {
+  createComment,
+  getPostComments,
+  getReplies,
+  updateComment,
+  deleteComment,
+  upvoteComment,
+  downvoteComment,
+  clearVote
+};
@@ -12,24 +12,23 @@ const createCommunity = asyncHandler(async (req, res) => {
 });
 
 const getCommunities = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 20, sort = '-createdAt', search = '', privacy } = req.query;
+  const { limit, cursor, sort, search, privacy } = req.query;
   
   const filters = {};
   if (privacy) filters.privacy = privacy;
   
-  const pagination = { page, limit, sort, search };
-  const result = await communityService.getCommunities(filters, pagination);
+  const pagination = { limit, cursor, sort, search };
+  const page = await communityService.getCommunities(filters, pagination);
   
-  ApiResponse.paginated(res, 'Communities retrieved successfully', result.communities, result.pagination);
+  ApiResponse.cursor(res, 'Communities retrieved successfully', page);
 });
 
 const getCommunity = asyncHandler(async (req, res) => {
   const { communityId } = req.params;
-  const community = await communityService.getCommunityById(communityId, true);
+  // May be a cached plain object rather than a document
+  const community = await communityService.getCommunityForViewer(communityId, req.user?._id);
   
-  ApiResponse.success(res, 'Community retrieved successfully', {
-    community: community.toJSON()
-  });
+  ApiResponse.success(res, 'Community retrieved successfully', { community });
 });
 
 const updateCommunity = asyncHandler(async (req, res) => {
@@ -52,10 +51,59 @@ const deleteCommunity = asyncHandler(async (req, res) => {
 
 const joinCommunity = asyncHandler(async (req, res) => {
   const { communityId } = req.params;
-  const community = await communityService.joinCommunity(communityId, req.user._id);
+  const result = await communityService.joinCommunity(communityId, req.user._id, req.body.answers);
+  
+  if (result.status === 'pending') {
+    return ApiResponse.success(res, 'Join request submitted for review', {
+      status: result.status,
+      request: result.request.toJSON()
+    }, 202);
+  }
   
   ApiResponse.success(res, 'Joined community successfully', {
-    community: community.toJSON()
+    status: result.status,
+    community: result.community.toJSON()
+  });
+});
+
+const getJoinRequests = asyncHandler(async (req, res) => {
+  const { communityId } = req.params;
+  const page = await communityService.getJoinRequests(communityId, req.query);
+  
+  ApiResponse.cursor(res, 'Join requests retrieved successfully', page);
+});
+
+const getMyJoinRequest = asyncHandler(async (req, res) => {
+  const { communityId } = req.params;
+  const request = await communityService.getMyJoinRequest(communityId, req.user._id);
+  
+  ApiResponse.success(res, 'Join request retrieved successfully', {
+    request: request.toJSON()
+  });
+});
+
+const withdrawJoinRequest = asyncHandler(async (req, res) => {
+  const { communityId } = req.params;
+  await communityService.withdrawJoinRequest(communityId, req.user._id);
+  
+  ApiResponse.success(res, 'Join request withdrawn');
+});
+
+const approveJoinRequest = asyncHandler(async (req, res) => {
+  const { communityId, requestId } = req.params;
+  const request = await communityService.reviewJoinRequest(communityId, requestId, 'approve', req.user._id, req.body.reason);
+  
+  ApiResponse.success(res, 'Join request approved', {
+    request: request.toJSON()
+  });
+});
+
+const rejectJoinRequest = asyncHandler(async (req, res) => {
+  const { communityId, requestId } = req.params;
+  const request = await communityService.reviewJoinRequest(communityId, requestId, 'reject', req.user._id, req.body.reason);
+  
+  ApiResponse.success(res, 'Join request rejected', {
+    request: request.toJSON()
   });
 });
 
@@ -86,6 +134,27 @@ const removeModerator = asyncHandler(async (req, res) => {
   });
 });
 
+const getApprovedSubmitters = asyncHandler(async (req, res) => {
+  const { communityId } = req.params;
+  const submitters = await communityService.getApprovedSubmitters(communityId);
+  
+  ApiResponse.success(res, 'Approved submitters retrieved successfully', { submitters });
+});
+
+const addApprovedSubmitter = asyncHandler(async (req, res) => {
+  const { communityId, userId } = req.params;
+  const submitters = await communityService.addApprovedSubmitter(communityId, userId, req.user._id);
+  
+  ApiResponse.success(res, 'Approved submitter added successfully', { submitters });
+});
+
+const removeApprovedSubmitter = asyncHandler(async (req, res) => {
+  const { communityId, userId } = req.params;
+  await communityService.removeApprovedSubmitter(communityId, userId, req.user._id);
+  
+  ApiResponse.success(res, 'Approved submitter removed successfully');
+});
+
 module.exports = {
   createCommunity,
   getCommunities,
@@ -93,7 +162,15 @@ module.exports = {
   updateCommunity,
   deleteCommunity,
   joinCommunity,
+  getJoinRequests,
+  getMyJoinRequest,
+  withdrawJoinRequest,
+  approveJoinRequest,
+  rejectJoinRequest,
   leaveCommunity,
   addModerator,
-  removeModerator
+  removeModerator,
+  getApprovedSubmitters,
+  addApprovedSubmitter,
+  removeApprovedSubmitter
 };
\ No newline at end of file
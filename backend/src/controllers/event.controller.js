@@ -0,0 +1,113 @@
+// src/controllers/event.controller.js
+const eventService = require('../services/event.service');
+const asyncHandler = require('../utils/helpers/asyncHandler');
+const ApiResponse = require('../utils/helpers/apiResponse');
+const { buildCalendar } = require('../utils/helpers/ical');
+
+const sendCalendar = (res, filename, events, name) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}.ics"`
+  });
+  res.send(buildCalendar(events, { name, baseUrl: process.env.CLIENT_URL }));
+};
+
+const createEvent = asyncHandler(async (req, res) => {
+  const event = await eventService.createEvent(req.body, req.user._id);
+  
+  ApiResponse.created(res, 'Event created successfully', {
+    event: event.toJSON()
+  });
+});
+
+const getCommunityEvents = asyncHandler(async (req, res) => {
+  const { communityId } = req.params;
+  const { cursor, limit, ...filters } = req.query;
+  
+  const page = await eventService.getEventsByCommunity(communityId, filters, { cursor, limit }, req.user?._id);
+  
+  ApiResponse.cursor(res, 'Events retrieved successfully', page);
+});
+
+const getEvent = asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const event = await eventService.getEventById(eventId, req.user?._id);
+  
+  ApiResponse.success(res, 'Event retrieved successfully', {
+    event: event.toJSON()
+  });
+});
+
+const updateEvent = asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const event = await eventService.updateEvent(eventId, req.body, req.user._id);
+  
+  ApiResponse.success(res, 'Event updated successfully', {
+    event: event.toJSON()
+  });
+});
+
+const cancelEvent = asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const event = await eventService.cancelEvent(eventId, req.body.reason, req.user._id);
+  
+  ApiResponse.success(res, 'Event cancelled successfully', {
+    event: event.toJSON()
+  });
+});
+
+const rsvp = asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const { status, position, event } = await eventService.rsvp(eventId, req.user._id);
+  
+  ApiResponse.success(res, status === 'attending' ? 'You are attending this event' : 'Event is full; you have been added to the waitlist', {
+    status,
+    position,
+    attendeeCount: event.attendeeCount,
+    maxAttendees: event.maxAttendees
+  });
+});
+
+const cancelRsvp = asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const event = await eventService.cancelRsvp(eventId, req.user._id);
+  
+  ApiResponse.success(res, 'RSVP cancelled', {
+    attendeeCount: event.attendeeCount,
+    maxAttendees: event.maxAttendees
+  });
+});
+
+const getAttendees = asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const result = await eventService.getAttendees(eventId, req.user?._id);
+  
+  ApiResponse.success(res, 'Attendees retrieved successfully', result);
+});
+
+const exportEvent = asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const event = await eventService.getEventById(eventId, req.user?._id);
+  
+  sendCalendar(res, `event-${event._id}`, [event]);
+});
+
+const exportCommunityEvents = asyncHandler(async (req, res) => {
+  const { communityId } = req.params;
+  const events = await eventService.getCalendarEvents(communityId, req.query, req.user?._id);
+  
+  sendCalendar(res, `community-${communityId}-events`, events, 'Petly community events');
+});
+
+module.exports = {
+  createEvent,
+  getCommunityEvents,
+  getEvent,
+  updateEvent,
+  cancelEvent,
+  rsvp,
+  cancelRsvp,
+  getAttendees,
+  exportEvent,
+  exportCommunityEvents
+};
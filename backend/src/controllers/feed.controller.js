@@ -0,0 +1,16 @@
+// src/controllers/feed.controller.js
+const feedService = require('../services/feed.service');
+const asyncHandler = require('../utils/helpers/asyncHandler');
+const ApiResponse = require('../utils/helpers/apiResponse');
+
+const getFeed = asyncHandler(async (req, res) => {
+  const { sort, window, limit, cursor } = req.query;
+  
+  const page = await feedService.getFeed(req.user._id, { sort, window, limit, cursor });
+  
+  ApiResponse.cursor(res, 'Feed retrieved successfully', page);
+});
+
+module.exports = {
+  getFeed
+};
@@ -0,0 +1,133 @@
+// src/controllers/health.controller.js
+const path = require('path');
+const healthService = require('../services/health.service');
+const storage = require('../storage');
+const asyncHandler = require('../utils/helpers/asyncHandler');
+const ApiResponse = require('../utils/helpers/apiResponse');
+const ApiError = require('../utils/helpers/apiError');
+
+const createRecord = asyncHandler(async (req, res) => {
+  const record = await healthService.createRecord(req.body, req.user._id);
+  
+  ApiResponse.created(res, 'Health record created successfully', {
+    record: record.toJSON()
+  });
+});
+
+const getPetRecords = asyncHandler(async (req, res) => {
+  const { petId } = req.params;
+  const page = await healthService.getRecordsByPet(petId, req.user._id, req.query);
+  
+  ApiResponse.cursor(res, 'Health records retrieved successfully', page);
+});
+
+const getUpcomingReminders = asyncHandler(async (req, res) => {
+  const { days = 30 } = req.query;
+  const reminders = await healthService.getUpcomingReminders(req.user._id, Math.min(parseInt(days) || 30, 365));
+  
+  ApiResponse.success(res, 'Reminders retrieved successfully', { reminders });
+});
+
+const getRecord = asyncHandler(async (req, res) => {
+  const { recordId } = req.params;
+  const record = await healthService.getRecordById(recordId, req.user._id);
+  
+  ApiResponse.success(res, 'Health record retrieved successfully', {
+    record: record.toJSON()
+  });
+});
+
+const updateRecord = asyncHandler(async (req, res) => {
+  const { recordId } = req.params;
+  const record = await healthService.updateRecord(recordId, req.body, req.user._id);
+  
+  ApiResponse.success(res, 'Health record updated successfully', {
+    record: record.toJSON()
+  });
+});
+
+const deleteRecord = asyncHandler(async (req, res) => {
+  const { recordId } = req.params;
+  await healthService.deleteRecord(recordId, req.user._id);
+  
+  ApiResponse.success(res, 'Health record deleted successfully');
+});
+
+const completeRecord = asyncHandler(async (req, res) => {
+  const { recordId } = req.params;
+  const { record, next } = await healthService.completeRecord(recordId, req.user._id);
+  
+  ApiResponse.success(res, 'Health record completed', {
+    record: record.toJSON(),
+    next: next ? next.toJSON() : null
+  });
+});
+
+const completeReminder = asyncHandler(async (req, res) => {
+  const { recordId, reminderId } = req.params;
+  const record = await healthService.completeReminder(recordId, reminderId, req.user._id);
+  
+  ApiResponse.success(res, 'Reminder completed', {
+    reminders: record.reminders
+  });
+});
+
+const uploadDocuments = asyncHandler(async (req, res) => {
+  const { recordId } = req.params;
+  
+  if (!req.files || req.files.length === 0) {
+    throw new ApiError('No documents uploaded', 400);
+  }
+  
+  const record = await healthService.addDocuments(recordId, req.files, req.user._id);
+  
+  ApiResponse.created(res, 'Documents uploaded successfully', {
+    documents: record.toJSON().documents
+  });
+});
+
+const downloadDocument = asyncHandler(async (req, res) => {
+  const { recordId, documentId } = req.params;
+  const document = await healthService.getDocument(recordId, documentId, req.user._id);
+  
+  if (!document.key) {
+    return res.download(path.resolve(document.path), document.name);
+  }
+  
+  const object = await storage.get(document.key);
+  
+  if (!object) {
+    throw new ApiError('Document not found', 404);
+  }
+  
+  res.attachment(document.name);
+  res.set({
+    'Content-Type': document.mimeType || object.contentType,
+    'X-Content-Type-Options': 'nosniff'
+  });
+  if (object.size) res.set('Content-Length', object.size);
+  
+  object.stream.on('error', (error) => res.destroy(error));
+  object.stream.pipe(res);
+});
+
+const removeDocument = asyncHandler(async (req, res) => {
+  const { recordId, documentId } = req.params;
+  await healthService.removeDocument(recordId, documentId, req.user._id);
+  
+  ApiResponse.success(res, 'Document removed successfully');
+});
+
+module.exports = {
+  createRecord,
+  getPetRecords,
+  getUpcomingReminders,
+  getRecord,
+  updateRecord,
+  deleteRecord,
+  completeRecord,
+  completeReminder,
+  uploadDocuments,
+  downloadDocument,
+  removeDocument
+};
@@ -0,0 +1,92 @@
+// src/controllers/invite.controller.js
+const inviteService = require('../services/invite.service');
+const asyncHandler = require('../utils/helpers/asyncHandler');
+const ApiResponse = require('../utils/helpers/apiResponse');
+
+const inviteUser = asyncHandler(async (req, res) => {
+  const { communityId } = req.params;
+  const invite = await inviteService.inviteUser(communityId, req.body.userId, req.user._id);
+  
+  ApiResponse.created(res, 'Invite sent successfully', {
+    invite: invite.toJSON()
+  });
+});
+
+const createInviteCode = asyncHandler(async (req, res) => {
+  const { communityId } = req.params;
+  const invite = await inviteService.createInviteCode(communityId, req.body, req.user._id);
+  
+  ApiResponse.created(res, 'Invite link created successfully', {
+    invite: invite.toJSON()
+  });
+});
+
+const getInvites = asyncHandler(async (req, res) => {
+  const { communityId } = req.params;
+  const page = await inviteService.getInvites(communityId, req.query);
+  
+  ApiResponse.cursor(res, 'Invites retrieved successfully', page);
+});
+
+const revokeInvite = asyncHandler(async (req, res) => {
+  const { communityId, inviteId } = req.params;
+  const invite = await inviteService.revokeInvite(communityId, inviteId, req.user._id);
+  
+  ApiResponse.success(res, 'Invite revoked successfully', {
+    invite: invite.toJSON()
+  });
+});
+
+const getMyInvites = asyncHandler(async (req, res) => {
+  const invites = await inviteService.getMyInvites(req.user._id);
+  
+  ApiResponse.success(res, 'Invites retrieved successfully', { invites });
+});
+
+const previewInviteCode = asyncHandler(async (req, res) => {
+  const { code } = req.params;
+  const invite = await inviteService.getInviteByCode(code);
+  
+  ApiResponse.success(res, 'Invite retrieved successfully', {
+    community: invite.community,
+    invitedBy: invite.createdBy,
+    expiresAt: invite.expiresAt
+  });
+});
+
+const redeemInviteCode = asyncHandler(async (req, res) => {
+  const { code } = req.params;
+  const community = await inviteService.redeemCode(code, req.user._id, req.ip);
+  
+  ApiResponse.success(res, 'Joined community successfully', {
+    community: community.toJSON()
+  });
+});
+
+const acceptInvite = asyncHandler(async (req, res) => {
+  const { inviteId } = req.params;
+  const community = await inviteService.respondToInvite(inviteId, req.user._id, true, req.ip);
+  
+  ApiResponse.success(res, 'Joined community successfully', {
+    community: community.toJSON()
+  });
+});
+
+const declineInvite = asyncHandler(async (req, res) => {
+  const { inviteId } = req.params;
+  await inviteService.respondToInvite(inviteId, req.user._id, false);
+  
+  ApiResponse.success(res, 'Invite declined');
+});
+
+module.exports = {
+  inviteUser,
+  createInviteCode,
+  getInvites,
+  revokeInvite,
+  getMyInvites,
+  previewInviteCode,
+  redeemInviteCode,
+  acceptInvite,
+  declineInvite
+};
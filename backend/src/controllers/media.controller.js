@@ -0,0 +1,104 @@
+// src/controllers/media.controller.js
+const mediaService = require('../services/media.service');
+const asyncHandler = require('../utils/helpers/asyncHandler');
+const ApiResponse = require('../utils/helpers/apiResponse');
+const ApiError = require('../utils/helpers/apiError');
+const storage = require('../storage');
+const { MEDIA_PURPOSES } = require('../config/constants');
+
+const uploadPostMedia = asyncHandler(async (req, res) => {
+  const media = await mediaService.uploadFiles(req.files, req.user._id, MEDIA_PURPOSES.POST);
+  
+  ApiResponse.created(res, 'Media uploaded successfully', {
+    media: await Promise.all(media.map(item => mediaService.toClient(item)))
+  });
+});
+
+const uploadMessageMedia = asyncHandler(async (req, res) => {
+  const media = await mediaService.uploadFiles(req.files, req.user._id, MEDIA_PURPOSES.MESSAGE);
+  
+  ApiResponse.created(res, 'Media uploaded successfully', {
+    media: await Promise.all(media.map(item => mediaService.toClient(item)))
+  });
+});
+
+const uploadAvatar = asyncHandler(async (req, res) => {
+  const media = await mediaService.setAvatar(req.file, req.user._id);
+  
+  ApiResponse.success(res, 'Avatar updated successfully', {
+    avatar: media.url,
+    media: media.toJSON()
+  });
+});
+
+const uploadCommunityBanner = asyncHandler(async (req, res) => {
+  const { communityId } = req.params;
+  const media = await mediaService.setCommunityBanner(req.file, communityId, req.user._id);
+  
+  ApiResponse.success(res, 'Banner updated successfully', {
+    bannerImage: media.url,
+    media: media.toJSON()
+  });
+});
+
+const deleteMedia = asyncHandler(async (req, res) => {
+  const { mediaId } = req.params;
+  await mediaService.deleteMedia(mediaId, req.user._id);
+  
+  ApiResponse.success(res, 'Media deleted successfully');
+});
+
+// Streams stored objects for /media/public/* and signed /media/private/* URLs.
+// With S3 and STORAGE_PUBLIC_URL set, clients fetch from the bucket and this is only a fallback.
+const serveObject = asyncHandler(async (req, res) => {
+  let key;
+  try {
+    key = req.path.replace(/^\/media\//, '').split('/').map(decodeURIComponent).join('/');
+  } catch (error) {
+    throw new ApiError('File not found', 404);
+  }
+  
+  // Dot segments could step from public/ into private/
+  if (key.split('/').some(segment => !segment || segment === '.' || segment === '..')) {
+    throw new ApiError('File not found', 404);
+  }
+  
+  const isPrivate = storage.isPrivate(key);
+  
+  if (isPrivate && !storage.verifySignature(key, req.query.expires, req.query.signature)) {
+    throw new ApiError('Link expired or invalid', 403);
+  }
+  
+  const object = await storage.get(key);
+  
+  if (!object) {
+    throw new ApiError('File not found', 404);
+  }
+  
+  res.set({
+    'Content-Type': object.contentType,
+    'X-Content-Type-Options': 'nosniff',
+    // Object names are random and never reused
+    'Cache-Control': isPrivate
+      ? `private, max-age=${Math.max(0, Number(req.query.expires) - Math.floor(Date.now() / 1000))}`
+      : 'public, max-age=2592000, immutable'
+  });
+  if (object.size) res.set('Content-Length', object.size);
+  
+  // Only images render inline; documents always download
+  if (!object.contentType.startsWith('image/')) {
+    res.attachment(key.split('/').pop());
+  }
+  
+  object.stream.on('error', (error) => res.destroy(error));
+  object.stream.pipe(res);
+});
+
+module.exports = {
+  uploadPostMedia,
+  uploadMessageMedia,
+  uploadAvatar,
+  uploadCommunityBanner,
+  deleteMedia,
+  serveObject
+};
@@ -0,0 +1,40 @@
+// src/controllers/notification.controller.js
+const notificationService = require('../services/notification.service');
+const asyncHandler = require('../utils/helpers/asyncHandler');
+const ApiResponse = require('../utils/helpers/apiResponse');
+
+const getNotifications = asyncHandler(async (req, res) => {
+  const { limit, cursor, unreadOnly = false } = req.query;
+  
+  const page = await notificationService.getNotifications(req.user._id, { limit, cursor, unreadOnly });
+  
+  ApiResponse.cursor(res, 'Notifications retrieved successfully', page);
+});
+
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const count = await notificationService.getUnreadCount(req.user._id);
+  
+  ApiResponse.success(res, 'Unread count retrieved successfully', { count });
+});
+
+const markAsRead = asyncHandler(async (req, res) => {
+  const { notificationId } = req.params;
+  const notification = await notificationService.markAsRead(notificationId, req.user._id);
+  
+  ApiResponse.success(res, 'Notification marked as read', {
+    notification: notification.toJSON()
+  });
+});
+
+const markAllAsRead = asyncHandler(async (req, res) => {
+  const updated = await notificationService.markAllAsRead(req.user._id);
+  
+  ApiResponse.success(res, 'All notifications marked as read', { updated });
+});
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead
+};
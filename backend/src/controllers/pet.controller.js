@@ -0,0 +1,81 @@
+// src/controllers/pet.controller.js
+const petService = require('../services/pet.service');
+const asyncHandler = require('../utils/helpers/asyncHandler');
+const ApiResponse = require('../utils/helpers/apiResponse');
+
+const createPet = asyncHandler(async (req, res) => {
+  const pet = await petService.createPet(req.body, req.user._id);
+  
+  ApiResponse.created(res, 'Pet created successfully', {
+    pet: pet.toJSON()
+  });
+});
+
+const getMyPets = asyncHandler(async (req, res) => {
+  const pets = await petService.getPetsByOwner(req.user._id, req.user._id);
+  
+  ApiResponse.success(res, 'Pets retrieved successfully', { pets });
+});
+
+const getUserPets = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const pets = await petService.getPetsByOwner(userId, req.user?._id);
+  
+  ApiResponse.success(res, 'Pets retrieved successfully', { pets });
+});
+
+const getPet = asyncHandler(async (req, res) => {
+  const { petId } = req.params;
+  const pet = await petService.getPetById(petId, req.user?._id);
+  
+  ApiResponse.success(res, 'Pet retrieved successfully', {
+    pet: pet.toJSON()
+  });
+});
+
+const updatePet = asyncHandler(async (req, res) => {
+  const { petId } = req.params;
+  const pet = await petService.updatePet(petId, req.body, req.user._id);
+  
+  ApiResponse.success(res, 'Pet updated successfully', {
+    pet: pet.toJSON()
+  });
+});
+
+const deletePet = asyncHandler(async (req, res) => {
+  const { petId } = req.params;
+  await petService.deletePet(petId, req.user._id);
+  
+  ApiResponse.success(res, 'Pet deleted successfully');
+});
+
+const addWeight = asyncHandler(async (req, res) => {
+  const { petId } = req.params;
+  const pet = await petService.addWeight(petId, req.body, req.user._id);
+  
+  ApiResponse.created(res, 'Weight recorded successfully', {
+    weightHistory: pet.weightHistory,
+    currentWeight: pet.currentWeight
+  });
+});
+
+const removeWeight = asyncHandler(async (req, res) => {
+  const { petId, entryId } = req.params;
+  const pet = await petService.removeWeight(petId, entryId, req.user._id);
+  
+  ApiResponse.success(res, 'Weight entry removed', {
+    weightHistory: pet.weightHistory,
+    currentWeight: pet.currentWeight
+  });
+});
+
+module.exports = {
+  createPet,
+  getMyPets,
+  getUserPets,
+  getPet,
+  updatePet,
+  deletePet,
+  addWeight,
+  removeWeight
+};
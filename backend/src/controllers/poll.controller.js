@@ -0,0 +1,39 @@
+// src/controllers/poll.controller.js
+const pollService = require('../services/poll.service');
+const asyncHandler = require('../utils/helpers/asyncHandler');
+const ApiResponse = require('../utils/helpers/apiResponse');
+
+const getResults = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const results = await pollService.getResults(postId, req.user?._id);
+  
+  ApiResponse.success(res, 'Poll results retrieved successfully', { results });
+});
+
+const vote = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const results = await pollService.vote(postId, req.body.optionIds, req.user._id);
+  
+  ApiResponse.success(res, 'Vote recorded', { results });
+});
+
+const changeVote = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const results = await pollService.changeVote(postId, req.body.optionIds, req.user._id);
+  
+  ApiResponse.success(res, 'Vote changed', { results });
+});
+
+const retractVote = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const results = await pollService.retractVote(postId, req.user._id);
+  
+  ApiResponse.success(res, 'Vote retracted', { results });
+});
+
+module.exports = {
+  getResults,
+  vote,
+  changeVote,
+  retractVote
+};
@@ -0,0 +1,167 @@
+// src/controllers/post.controller.js
+const postService = require('../services/post.service');
+const asyncHandler = require('../utils/helpers/asyncHandler');
+const ApiResponse = require('../utils/helpers/apiResponse');
+
+const createPost = asyncHandler(async (req, res) => {
+  const post = await postService.createPost(req.body, req.user._id);
+  
+  ApiResponse.created(res, 'Post created successfully', {
+    post: post.toJSON()
+  });
+});
+
+const getCommunityPosts = asyncHandler(async (req, res) => {
+  const { communityId } = req.params;
+  const { limit, cursor, sort = 'hot', window, author, type, tags } = req.query;
+  
+  const filters = {};
+  if (author) filters.author = author;
+  if (type) filters.type = type;
+  if (tags) filters.tags = tags.split(',');
+  
+  const page = await postService.getPostsByCommunity(communityId, filters, {
+    limit,
+    cursor,
+    sort,
+    window
+  }, req.user?._id);
+  
+  ApiResponse.cursor(res, 'Posts retrieved successfully', page);
+});
+
+const getPost = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  // May be a cached plain object rather than a document
+  const post = await postService.getPostById(postId, req.user?._id);
+  
+  ApiResponse.success(res, 'Post retrieved successfully', { post });
+});
+
+const updatePost = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const post = await postService.updatePost(postId, req.body, req.user._id);
+  
+  ApiResponse.success(res, 'Post updated successfully', {
+    post: post.toJSON()
+  });
+});
+
+const deletePost = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  await postService.deletePost(postId, req.user._id);
+  
+  ApiResponse.success(res, 'Post deleted successfully');
+});
+
+const upvotePost = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const post = await postService.upvotePost(postId, req.user._id);
+  
+  ApiResponse.success(res, 'Vote recorded', {
+    postId: post._id,
+    upvotes: post.upvoteCount,
+    downvotes: post.downvoteCount,
+    score: post.score,
+    userVote: post.userVote
+  });
+});
+
+const downvotePost = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const post = await postService.downvotePost(postId, req.user._id);
+  
+  ApiResponse.success(res, 'Vote recorded', {
+    postId: post._id,
+    upvotes: post.upvoteCount,
+    downvotes: post.downvoteCount,
+    score: post.score,
+    userVote: post.userVote
+  });
+});
+
+const clearVote = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const post = await postService.clearPostVote(postId, req.user._id);
+  
+  ApiResponse.success(res, 'Vote removed', {
+    postId: post._id,
+    upvotes: post.upvoteCount,
+    downvotes: post.downvoteCount,
+    score: post.score,
+    userVote: post.userVote
+  });
+});
+
+const pinPost = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const post = await postService.pinPost(postId, req.user._id);
+  
+  ApiResponse.success(res, 'Post pinned successfully', {
+    post: post.toJSON()
+  });
+});
+
+const unpinPost = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const post = await postService.unpinPost(postId, req.user._id);
+  
+  ApiResponse.success(res, 'Post unpinned successfully', {
+    post: post.toJSON()
+  });
+});
+
+const searchPosts = asyncHandler(async (req, res) => {
+  const { q = '', communityId, limit, cursor, sort, window } = req.query;
+  
+  const page = await postService.searchPosts(q, communityId, {
+    limit,
+    cursor,
+    sort,
+    window
+  }, req.user?._id);
+  
+  ApiResponse.cursor(res, 'Search results retrieved successfully', page);
+});
+
+const getModerationQueue = asyncHandler(async (req, res) => {
+  const { communityId } = req.params;
+  const page = await postService.getModerationQueue(communityId, req.query);
+  
+  ApiResponse.cursor(res, 'Moderation queue retrieved successfully', page);
+});
+
+const approvePost = asyncHandler(async (req, res) => {
+  const { communityId, postId } = req.params;
+  const post = await postService.reviewPost(communityId, postId, 'approve', req.user._id, req.body.reason);
+  
+  ApiResponse.success(res, 'Post approved', {
+    post: post.toJSON()
+  });
+});
+
+const rejectPost = asyncHandler(async (req, res) => {
+  const { communityId, postId } = req.params;
+  const post = await postService.reviewPost(communityId, postId, 'reject', req.user._id, req.body.reason);
+  
+  ApiResponse.success(res, 'Post rejected', {
+    post: post.toJSON()
+  });
+});
+
+module.exports = {
+  createPost,
+  getCommunityPosts,
+  getPost,
+  updatePost,
+  deletePost,
+  upvotePost,
+  downvotePost,
+  clearVote,
+  pinPost,
+  unpinPost,
+  searchPosts,
+  getModerationQueue,
+  approvePost,
+  rejectPost
+};
@@ -0,0 +1,29 @@
+// src/controllers/search.controller.js
+const searchService = require('../services/search.service');
+const asyncHandler = require('../utils/helpers/asyncHandler');
+const ApiResponse = require('../utils/helpers/apiResponse');
+
+const search = asyncHandler(async (req, res) => {
+  const { q, ...options } = req.query;
+  
+  const result = await searchService.search(q, options, req.user?._id);
+  
+  if (result.page) {
+    return ApiResponse.cursor(res, 'Search results retrieved successfully', result.page, result.facets && { facets: result.facets });
+  }
+  
+  ApiResponse.success(res, 'Search results retrieved successfully', result);
+});
+
+const autocompleteUsers = asyncHandler(async (req, res) => {
+  const { q, communityId, limit } = req.query;
+  
+  const users = await searchService.autocompleteUsers(q, { communityId, limit }, req.user?._id);
+  
+  ApiResponse.success(res, 'Users retrieved successfully', { users });
+});
+
+module.exports = {
+  search,
+  autocompleteUsers
+};
@@ -0,0 +1,45 @@
+// src/controllers/tag.controller.js
+const tagService = require('../services/tag.service');
+const asyncHandler = require('../utils/helpers/asyncHandler');
+const ApiResponse = require('../utils/helpers/apiResponse');
+
+const getTrending = asyncHandler(async (req, res) => {
+  const tags = await tagService.getTrending(req.query, req.user?._id);
+  
+  ApiResponse.success(res, 'Trending tags retrieved successfully', { tags });
+});
+
+const getTagPosts = asyncHandler(async (req, res) => {
+  const { tag, page } = await tagService.getTagPosts(req.params.tag, req.query, req.user?._id);
+  
+  ApiResponse.cursor(res, 'Tag posts retrieved successfully', page, { tag });
+});
+
+const getBannedTags = asyncHandler(async (req, res) => {
+  const { communityId } = req.params;
+  const bannedTags = await tagService.getBannedTags(communityId);
+  
+  ApiResponse.success(res, 'Banned tags retrieved successfully', { bannedTags });
+});
+
+const banTag = asyncHandler(async (req, res) => {
+  const { communityId } = req.params;
+  const bannedTags = await tagService.banTag(communityId, req.body.tag, req.user._id);
+  
+  ApiResponse.success(res, 'Tag banned successfully', { bannedTags });
+});
+
+const unbanTag = asyncHandler(async (req, res) => {
+  const { communityId, tag } = req.params;
+  await tagService.unbanTag(communityId, tag, req.user._id);
+  
+  ApiResponse.success(res, 'Tag unbanned successfully');
+});
+
+module.exports = {
+  getTrending,
+  getTagPosts,
+  getBannedTags,
+  banTag,
+  unbanTag
+};
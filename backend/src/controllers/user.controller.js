@@ -0,0 +1,87 @@
+// src/controllers/user.controller.js
+const userService = require('../services/user.service');
+const communityService = require('../services/community.service');
+const voteService = require('../services/vote.service');
+const asyncHandler = require('../utils/helpers/asyncHandler');
+const ApiResponse = require('../utils/helpers/apiResponse');
+
+const getProfile = asyncHandler(async (req, res) => {
+  ApiResponse.success(res, 'Profile retrieved successfully', {
+    user: req.user.toJSON()
+  });
+});
+
+const updateProfile = asyncHandler(async (req, res) => {
+  const user = await userService.updateProfile(req.user._id, req.body);
+  
+  ApiResponse.success(res, 'Profile updated successfully', {
+    user: user.toJSON()
+  });
+});
+
+const getUserProfile = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const user = await userService.getPublicProfile(userId);
+  
+  ApiResponse.success(res, 'User profile retrieved successfully', { user });
+});
+
+const getUserCommunities = asyncHandler(async (req, res) => {
+  const communities = await communityService.getUserCommunities(req.user._id);
+  
+  ApiResponse.success(res, 'User communities retrieved successfully', { communities });
+});
+
+const getUserActivity = asyncHandler(async (req, res) => {
+  const activity = await userService.getUserActivity(req.user._id);
+  
+  ApiResponse.success(res, 'User activity retrieved successfully', { activity });
+});
+
+// Vote state for posts or comments a client already has, e.g. from a cached page
+const getUserVotes = asyncHandler(async (req, res) => {
+  const votes = await voteService.getUserVotes(req.user._id, req.query.ids.split(','));
+  
+  ApiResponse.success(res, 'Votes retrieved successfully', { votes: Object.fromEntries(votes) });
+});
+
+const followUser = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  await userService.followUser(req.user._id, userId);
+  
+  ApiResponse.success(res, 'User followed successfully');
+});
+
+const unfollowUser = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  await userService.unfollowUser(req.user._id, userId);
+  
+  ApiResponse.success(res, 'User unfollowed successfully');
+});
+
+const blockUser = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  await userService.blockUser(req.user._id, userId);
+  
+  ApiResponse.success(res, 'User blocked successfully');
+});
+
+const unblockUser = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  await userService.unblockUser(req.user._id, userId);
+  
+  ApiResponse.success(res, 'User unblocked successfully');
+});
+
+module.exports = {
+  getProfile,
+  updateProfile,
+  getUserProfile,
+  getUserCommunities,
+  getUserActivity,
+  getUserVotes,
+  followUser,
+  unfollowUser,
+  blockUser,
+  unblockUser
+};
@@ -39,6 +39,11 @@ const errorHandler = (err, req, res, next) => {
     error = new ApiError(message, 400, errors);
   }
   
+  // Upload errors (file too large, too many files, unexpected field)
+  if (err.name === 'MulterError') {
+    error = new ApiError(err.message, 400);
+  }
+  
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     const message = 'Invalid token';
@@ -0,0 +1,104 @@
+// src/middleware/rateLimit.middleware.js
+const ApiError = require('../utils/helpers/apiError');
+const asyncHandler = require('../utils/helpers/asyncHandler');
+const logger = require('../config/logger');
+const redisService = require('../services/redis.service');
+const { RATE_LIMITS } = require('../config/constants');
+
+// Resolve a budget from constants, allowing env overrides per deployment
+const getLimit = (name) => {
+  const defaults = RATE_LIMITS[name];
+  
+  if (!defaults) {
+    throw new Error(`Unknown rate limit: ${name}`);
+  }
+  
+  // The general API budget keeps its original env names
+  const windowVar = name === 'API' ? 'RATE_LIMIT_WINDOW_MS' : `RATE_LIMIT_${name}_WINDOW_MS`;
+  const maxVar = name === 'API' ? 'RATE_LIMIT_MAX_REQUESTS' : `RATE_LIMIT_${name}_MAX`;
+  
+  return {
+    windowMs: parseInt(process.env[windowVar]) || defaults.windowMs,
+    max: parseInt(process.env[maxVar]) || defaults.max
+  };
+};
+
+// Sliding-window counter: the previous window's count is weighted by how much of it still overlaps
+const consume = async (name, identifier) => {
+  const { windowMs, max } = getLimit(name);
+  const now = Date.now();
+  const window = Math.floor(now / windowMs);
+  const elapsed = now % windowMs;
+  const ttl = Math.ceil((windowMs * 2) / 1000);
+  
+  const key = `ratelimit:${name}:${identifier}`;
+  
+  try {
+    const current = await redisService.increment(`${key}:${window}`, ttl);
+    const previous = (await redisService.get(`${key}:${window - 1}`)) || 0;
+    
+    const count = Math.floor(previous * ((windowMs - elapsed) / windowMs)) + current;
+    
+    return {
+      limited: count > max,
+      limit: max,
+      remaining: Math.max(0, max - count),
+      resetSeconds: Math.ceil((windowMs - elapsed) / 1000)
+    };
+  } catch (error) {
+    // Fail open: a cache outage must not lock everyone out
+    logger.error(`Rate limit check failed for ${key}: ${error.message}`);
+    return { limited: false, limit: max, remaining: max, resetSeconds: 0 };
+  }
+};
+
+const keyGenerators = {
+  ip: (req) => `ip:${req.ip}`,
+  user: (req) => (req.user ? `user:${req.user._id}` : `ip:${req.ip}`),
+  email: (req) => (req.body?.email ? `email:${String(req.body.email).toLowerCase().trim()}` : null)
+};
+
+const rateLimit = (name, keyBy = 'ip') => {
+  const keyGenerator = typeof keyBy === 'function' ? keyBy : keyGenerators[keyBy];
+  
+  return asyncHandler(async (req, res, next) => {
+    const identifier = keyGenerator(req);
+    
+    if (!identifier) {
+      return next();
+    }
+    
+    const result = await consume(name, identifier);
+    
+    res.set({
+      'RateLimit-Limit': result.limit,
+      'RateLimit-Remaining': result.remaining,
+      'RateLimit-Reset': result.resetSeconds
+    });
+    
+    if (result.limited) {
+      res.set('Retry-After', result.resetSeconds);
+      throw new ApiError('Too many requests, please try again later', 429);
+    }
+    
+    next();
+  });
+};
+
+const limiters = {
+  api: rateLimit('API', 'ip'),
+  login: [rateLimit('LOGIN', 'ip'), rateLimit('LOGIN_ACCOUNT', 'email')],
+  register: rateLimit('REGISTER', 'ip'),
+  forgotPassword: [rateLimit('FORGOT_PASSWORD', 'ip'), rateLimit('FORGOT_PASSWORD', 'email')],
+  createPost: rateLimit('CREATE_POST', 'user'),
+  createComment: rateLimit('CREATE_COMMENT', 'user'),
+  vote: rateLimit('VOTE', 'user'),
+  upload: rateLimit('UPLOAD', 'user'),
+  aiChat: rateLimit('AI_CHAT', 'user')
+};
+
+module.exports = {
+  rateLimit,
+  consume,
+  limiters
+};
@@ -3,10 +3,17 @@ const Joi = require('joi');
 const mongoose = require('mongoose');
 const ApiError = require('../utils/helpers/apiError');
 const asyncHandler = require('../utils/helpers/asyncHandler');
+const { AI, COMMUNITY_PRIVACY, COMMUNITY_SORTS, EVENT_TYPES, HEALTH_RECORD_TYPES, PAGINATION, PET_SPECIES, POST_SORTS, SEARCH, TAGS, TIME_WINDOWS, TRENDING } = require('../config/constants');
 
 // Custom Joi validation for MongoDB ObjectId
 Joi.objectId = require('joi-objectid')(Joi);
 
+// Every list endpoint pages with an opaque cursor (see utils/helpers/cursor.js)
+const cursorParams = {
+  cursor: Joi.string().max(1000),
+  limit: Joi.number().integer().min(1).max(PAGINATION.MAX_LIMIT).default(PAGINATION.DEFAULT_LIMIT)
+};
+
 const validate = (schema, property = 'body') => {
   return asyncHandler(async (req, res, next) => {
     const { error, value } = schema.validate(req[property], {
@@ -30,6 +37,21 @@ const validate = (schema, property = 'body') => {
   });
 };
 
+// Tags may be sent with or without the leading #; services normalize them
+const tagItem = Joi.string().trim().max(TAGS.MAX_LENGTH + 1);
+
+// Attachments are either uploads from /media (by id) or external URLs
+const mediaItem = Joi.alternatives().try(
+  Joi.object({
+    mediaId: Joi.objectId().required()
+  }),
+  Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+    type: Joi.string().valid('image', 'video', 'document'),
+    thumbnail: Joi.string().uri({ scheme: ['http', 'https'] })
+  })
+);
+
 // Common validation schemas
 const schemas = {
   // Auth schemas
@@ -96,7 +118,14 @@ const schemas = {
         description: Joi.string().max(500).required(),
         order: Joi.number().integer().min(0)
       })
-    ).max(20)
+    ).max(20),
+    joinQuestions: Joi.array().items(
+      Joi.object({
+        question: Joi.string().max(300).required().trim(),
+        required: Joi.boolean(),
+        order: Joi.number().integer().min(0)
+      })
+    ).max(10)
   }),
   
   updateCommunity: Joi.object({
@@ -110,29 +139,139 @@ const schemas = {
     tags: Joi.array().items(Joi.string().max(20)).max(10),
     bannerImage: Joi.string().uri(),
     avatar: Joi.string().uri(),
+    // Pass _id to keep an existing question (and the answers that reference it)
+    joinQuestions: Joi.array().items(
+      Joi.object({
+        _id: Joi.objectId(),
+        question: Joi.string().max(300).required().trim(),
+        required: Joi.boolean(),
+        order: Joi.number().integer().min(0)
+      })
+    ).max(10),
     isActive: Joi.boolean()
   }),
   
+  joinCommunity: Joi.object({
+    answers: Joi.array().items(
+      Joi.object({
+        questionId: Joi.objectId().required(),
+        answer: Joi.string().max(1000).required().trim()
+      })
+    ).max(10).default([])
+  }),
+  
+  reviewJoinRequest: Joi.object({
+    reason: Joi.string().max(500).trim()
+  }),
+  
+  inviteUser: Joi.object({
+    userId: Joi.objectId().required()
+  }),
+  
+  createInviteCode: Joi.object({
+    expiresInHours: Joi.number().integer().min(1).max(24 * 365),
+    maxUses: Joi.number().integer().min(1).max(1000)
+  }),
+  
+  inviteQuery: Joi.object({
+    ...cursorParams,
+    type: Joi.string().valid('direct', 'code'),
+    active: Joi.boolean()
+  }),
+  
+  joinRequestQuery: Joi.object({
+    ...cursorParams,
+    status: Joi.string().valid('pending', 'approved', 'rejected', 'withdrawn').default('pending')
+  }),
+  
   // Post schemas
+  postQueueQuery: Joi.object({
+    ...cursorParams,
+    status: Joi.string().valid('pending', 'rejected').default('pending')
+  }),
+  
+  // Community listings and search
+  postListQuery: Joi.object({
+    ...cursorParams,
+    sort: Joi.string().valid(...POST_SORTS).default('hot'),
+    window: Joi.string().valid(...Object.keys(TIME_WINDOWS)).default('all'),
+    author: Joi.objectId(),
+    type: Joi.string().valid('text', 'link', 'image', 'poll'),
+    tags: Joi.string().max(500),
+    q: Joi.string().max(200).allow(''),
+    communityId: Joi.objectId()
+  }),
+  
+  feedQuery: Joi.object({
+    sort: Joi.string().valid(...POST_SORTS).default('hot'),
+    window: Joi.string().valid(...Object.keys(TIME_WINDOWS)).default('day'),
+    ...cursorParams
+  }),
+  
+  // Unified search
+  searchQuery: Joi.object({
+    ...cursorParams,
+    q: Joi.string().trim().min(1).max(200).required(),
+    type: Joi.string().valid('all', ...SEARCH.TYPES).default('all'),
+    // Listing sorts only order posts
+    sort: Joi.when('type', {
+      is: Joi.valid('communities', 'users', 'comments'),
+      then: Joi.string().valid(...SEARCH.SORTS).default('relevance'),
+      otherwise: Joi.string().valid(...new Set([...SEARCH.SORTS, ...POST_SORTS])).default('relevance')
+    }),
+    window: Joi.string().valid(...Object.keys(TIME_WINDOWS)).default('all'),
+    communityId: Joi.objectId(),
+    tag: Joi.string().max(50),
+    postType: Joi.string().valid('text', 'link', 'image', 'poll'),
+    petType: Joi.string().valid(...Object.values(PET_SPECIES)),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+  }),
+  
+  // Up to one page of comma-separated post or comment ids
+  voteLookupQuery: Joi.object({
+    ids: Joi.string()
+      .pattern(new RegExp(`^[0-9a-fA-F]{24}(,[0-9a-fA-F]{24}){0,${PAGINATION.MAX_LIMIT - 1}}$`))
+      .required()
+  }),
+  
+  userAutocompleteQuery: Joi.object({
+    q: Joi.string().trim().min(1).max(30).required(),
+    communityId: Joi.objectId(),
+    limit: Joi.number().integer().min(1).max(SEARCH.AUTOCOMPLETE_LIMIT).default(SEARCH.AUTOCOMPLETE_LIMIT)
+  }),
+  
+  // Tag pages and trending
+  tagPostsQuery: Joi.object({
+    ...cursorParams,
+    sort: Joi.string().valid(...POST_SORTS).default('hot'),
+    window: Joi.string().valid(...Object.keys(TIME_WINDOWS)).default('all'),
+    communityId: Joi.objectId()
+  }),
+  
+  trendingQuery: Joi.object({
+    window: Joi.string().valid(...TRENDING.WINDOWS).default('day'),
+    communityId: Joi.objectId()
+  }),
+  
+  banTag: Joi.object({
+    tag: tagItem.required()
+  }),
+  
+  reviewPost: Joi.object({
+    reason: Joi.string().max(500).trim()
+  }),
+  
   createPost: Joi.object({
     title: Joi.string().max(300).required().trim(),
     content: Joi.string().max(10000).required(),
     communityId: Joi.objectId().required(),
     type: Joi.string().valid('text', 'link', 'image', 'poll'),
-    media: Joi.array().items(
-      Joi.object({
-        url: Joi.string().uri().required(),
-        type: Joi.string().valid('image', 'video', 'document'),
-        thumbnail: Joi.string().uri()
-      })
-    ).max(10),
+    media: Joi.array().items(mediaItem).max(10),
+    // Preview metadata is fetched server-side; anything but the URL is dropped
     linkPreview: Joi.object({
-      url: Joi.string().uri().required(),
-      title: Joi.string().max(200),
-      description: Joi.string().max(500),
-      image: Joi.string().uri(),
-      domain: Joi.string()
-    }),
+      url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2048).required()
+    }).when('type', { is: 'link', then: Joi.required() }),
     poll: Joi.object({
       question: Joi.string().max(300).required(),
       options: Joi.array().items(
@@ -143,7 +282,201 @@ const schemas = {
       endsAt: Joi.date().min('now'),
       isMultiChoice: Joi.boolean()
     }),
-    tags: Joi.array().items(Joi.string().max(20)).max(10)
+    tags: Joi.array().items(tagItem).max(TAGS.MAX_PER_POST),
+    petId: Joi.objectId()
+  }),
+  
+  // Status, votes and community are never editable by the author
+  updatePost: Joi.object({
+    title: Joi.string().max(300).trim(),
+    content: Joi.string().max(10000),
+    media: Joi.array().items(mediaItem).max(10),
+    tags: Joi.array().items(tagItem).max(TAGS.MAX_PER_POST),
+    petId: Joi.objectId().allow(null, '')
+  }).min(1),
+  
+  pollVote: Joi.object({
+    optionIds: Joi.array().items(Joi.objectId()).min(1).max(10).unique().required()
+  }),
+  
+  // Pet schemas
+  createPet: Joi.object({
+    name: Joi.string().max(50).required().trim(),
+    species: Joi.string().valid(...Object.values(PET_SPECIES)).required(),
+    breed: Joi.string().max(100).trim().allow(''),
+    birthDate: Joi.date().max('now'),
+    sex: Joi.string().valid('male', 'female', 'unknown'),
+    microchipId: Joi.string().max(30).trim(),
+    photos: Joi.array().items(
+      Joi.object({
+        url: Joi.string().uri().required(),
+        thumbnail: Joi.string().uri(),
+        caption: Joi.string().max(200),
+        isPrimary: Joi.boolean()
+      })
+    ).max(20),
+    bio: Joi.string().max(500).trim().allow(''),
+    isPublic: Joi.boolean()
+  }),
+  
+  updatePet: Joi.object({
+    name: Joi.string().max(50).trim(),
+    species: Joi.string().valid(...Object.values(PET_SPECIES)),
+    breed: Joi.string().max(100).trim().allow(''),
+    birthDate: Joi.date().max('now').allow(null),
+    sex: Joi.string().valid('male', 'female', 'unknown'),
+    microchipId: Joi.string().max(30).trim(),
+    photos: Joi.array().items(
+      Joi.object({
+        url: Joi.string().uri().required(),
+        thumbnail: Joi.string().uri(),
+        caption: Joi.string().max(200),
+        isPrimary: Joi.boolean()
+      })
+    ).max(20),
+    bio: Joi.string().max(500).trim().allow(''),
+    isPublic: Joi.boolean()
+  }).min(1),
+  
+  addPetWeight: Joi.object({
+    weight: Joi.number().positive().max(10000).required(),
+    unit: Joi.string().valid('kg', 'lb'),
+    recordedAt: Joi.date().max('now'),
+    note: Joi.string().max(200).trim()
+  }),
+  
+  // AI chat schemas
+  setAIChatPet: Joi.object({
+    petId: Joi.objectId().required()
+  }),
+  
+  sendAIChatMessage: Joi.object({
+    content: Joi.string().max(AI.MAX_CONTENT_LENGTH).trim().required(),
+    petId: Joi.objectId()
+  }),
+  
+  // Health record schemas
+  createHealthRecord: Joi.object({
+    petId: Joi.objectId().required(),
+    recordType: Joi.string().valid(...Object.values(HEALTH_RECORD_TYPES)).required(),
+    title: Joi.string().max(200).required().trim(),
+    description: Joi.string().max(2000).allow(''),
+    date: Joi.date().required(),
+    vetName: Joi.string().max(100).trim(),
+    vetClinic: Joi.string().max(200).trim(),
+    location: Joi.string().max(200).trim(),
+    weight: Joi.object({
+      value: Joi.number().positive().max(10000).required(),
+      unit: Joi.string().valid('kg', 'lb')
+    }).when('recordType', { is: 'weight', otherwise: Joi.forbidden() }),
+    reminders: Joi.array().items(
+      Joi.object({
+        date: Joi.date().required(),
+        message: Joi.string().max(300)
+      })
+    ).max(10),
+    tags: Joi.array().items(Joi.string().max(30)).max(10),
+    isRecurring: Joi.boolean(),
+    recurrence: Joi.string().valid('daily', 'weekly', 'monthly', 'yearly')
+      .when('isRecurring', { is: true, then: Joi.required() }),
+    recurrenceEndsAt: Joi.date().greater(Joi.ref('date'))
+  }),
+  
+  updateHealthRecord: Joi.object({
+    recordType: Joi.string().valid(...Object.values(HEALTH_RECORD_TYPES)),
+    title: Joi.string().max(200).trim(),
+    description: Joi.string().max(2000).allow(''),
+    date: Joi.date(),
+    vetName: Joi.string().max(100).trim().allow(''),
+    vetClinic: Joi.string().max(200).trim().allow(''),
+    location: Joi.string().max(200).trim().allow(''),
+    weight: Joi.object({
+      value: Joi.number().positive().max(10000).required(),
+      unit: Joi.string().valid('kg', 'lb')
+    }),
+    reminders: Joi.array().items(
+      Joi.object({
+        date: Joi.date().required(),
+        message: Joi.string().max(300)
+      })
+    ).max(10),
+    tags: Joi.array().items(Joi.string().max(30)).max(10),
+    isRecurring: Joi.boolean(),
+    recurrence: Joi.string().valid('daily', 'weekly', 'monthly', 'yearly'),
+    recurrenceEndsAt: Joi.date().allow(null)
+  }).min(1),
+  
+  healthRecordQuery: Joi.object({
+    ...cursorParams,
+    recordType: Joi.string().valid(...Object.values(HEALTH_RECORD_TYPES)),
+    tag: Joi.string().max(30),
+    from: Joi.date(),
+    to: Joi.date()
+  }),
+  
+  // Event schemas
+  createEvent: Joi.object({
+    communityId: Joi.objectId().required(),
+    title: Joi.string().max(200).required().trim(),
+    description: Joi.string().max(2000).required(),
+    location: Joi.string().max(300).required().trim(),
+    coordinates: Joi.object({
+      lat: Joi.number().min(-90).max(90).required(),
+      lng: Joi.number().min(-180).max(180).required()
+    }),
+    startDate: Joi.date().min('now').required(),
+    endDate: Joi.date().min(Joi.ref('startDate')).required(),
+    eventType: Joi.string().valid(...Object.values(EVENT_TYPES)),
+    petTypes: Joi.array().items(
+      Joi.string().valid(...Object.values(PET_SPECIES), 'all')
+    ).max(Object.keys(PET_SPECIES).length + 1),
+    images: Joi.array().items(
+      Joi.object({
+        url: Joi.string().uri().required(),
+        caption: Joi.string().max(200)
+      })
+    ).max(10),
+    maxAttendees: Joi.number().integer().min(1).max(100000),
+    hashtags: Joi.array().items(Joi.string().max(30)).max(10),
+    rules: Joi.array().items(Joi.string().max(300)).max(20)
+  }),
+  
+  updateEvent: Joi.object({
+    title: Joi.string().max(200).trim(),
+    description: Joi.string().max(2000),
+    location: Joi.string().max(300).trim(),
+    coordinates: Joi.object({
+      lat: Joi.number().min(-90).max(90).required(),
+      lng: Joi.number().min(-180).max(180).required()
+    }),
+    startDate: Joi.date(),
+    endDate: Joi.date(),
+    eventType: Joi.string().valid(...Object.values(EVENT_TYPES)),
+    petTypes: Joi.array().items(
+      Joi.string().valid(...Object.values(PET_SPECIES), 'all')
+    ).max(Object.keys(PET_SPECIES).length + 1),
+    images: Joi.array().items(
+      Joi.object({
+        url: Joi.string().uri().required(),
+        caption: Joi.string().max(200)
+      })
+    ).max(10),
+    maxAttendees: Joi.number().integer().min(1).max(100000).allow(null),
+    hashtags: Joi.array().items(Joi.string().max(30)).max(10),
+    rules: Joi.array().items(Joi.string().max(300)).max(20)
+  }).min(1),
+  
+  cancelEvent: Joi.object({
+    reason: Joi.string().max(500).trim()
+  }),
+  
+  eventQuery: Joi.object({
+    ...cursorParams,
+    petType: Joi.string().valid(...Object.values(PET_SPECIES)),
+    eventType: Joi.string().valid(...Object.values(EVENT_TYPES)),
+    from: Joi.date(),
+    to: Joi.date().min(Joi.ref('from')),
+    includeCancelled: Joi.boolean()
   }),
   
   // Comment schemas
@@ -153,27 +486,56 @@ const schemas = {
     parentCommentId: Joi.objectId()
   }),
   
+  updateComment: Joi.object({
+    content: Joi.string().max(2000).required()
+  }),
+  
+  commentQuery: Joi.object({
+    ...cursorParams,
+    sort: Joi.string().valid('best', 'new', 'controversial').default('best'),
+    depth: Joi.number().integer().min(1).max(10).default(3)
+  }),
+  
+  // Notification schemas
+  notificationQuery: Joi.object({
+    ...cursorParams,
+    unreadOnly: Joi.boolean().default(false)
+  }),
+  
   // Message schemas
   sendMessage: Joi.object({
     content: Joi.string().max(2000).required(),
     communityId: Joi.objectId(),
     receiverId: Joi.objectId(),
     type: Joi.string().valid('text', 'image', 'file'),
-    media: Joi.object({
-      url: Joi.string().uri(),
-      type: Joi.string(),
-      size: Joi.number().max(10 * 1024 * 1024) // 10MB
-    }),
+    media: Joi.alternatives().try(
+      Joi.object({
+        mediaId: Joi.objectId().required()
+      }),
+      Joi.object({
+        url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+        type: Joi.string(),
+        size: Joi.number().max(10 * 1024 * 1024) // 10MB
+      })
+    ),
     replyTo: Joi.objectId()
   }),
   
+  messageQuery: Joi.object({
+    ...cursorParams,
+    limit: Joi.number().integer().min(1).max(PAGINATION.MAX_LIMIT).default(50)
+  }),
+  
   // Pagination schemas
   pagination: Joi.object({
-    page: Joi.number().integer().min(1).default(1),
-    limit: Joi.number().integer().min(1).max(100).default(20),
-    sort: Joi.string(),
-    fields: Joi.string(),
-    search: Joi.string()
+    ...cursorParams
+  }),
+  
+  communityListQuery: Joi.object({
+    ...cursorParams,
+    sort: Joi.string().valid(...Object.keys(COMMUNITY_SORTS)).default('new'),
+    search: Joi.string().max(100).allow(''),
+    privacy: Joi.string().valid(...Object.values(COMMUNITY_PRIVACY))
   })
 };
 
@@ -0,0 +1,72 @@
+// models/AIChat.model.js
+const mongoose = require('mongoose');
+const { PET_SPECIES } = require('../config/constants');
+
+const aiChatSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  chatHistory: [{
+    role: {
+      type: String,
+      enum: ['user', 'assistant', 'system'],
+      required: true
+    },
+    content: { type: String, required: true },
+    // Pet the message was about, when the user switched context mid-conversation
+    pet: { type: mongoose.Schema.Types.ObjectId, ref: 'Pet' },
+    timestamp: { type: Date, default: Date.now }
+  }],
+  // Context sent to the assistant; `pet` links a Pet profile, the rest is a snapshot
+  // of it plus care details the profile doesn't hold
+  petInfo: {
+    pet: { type: mongoose.Schema.Types.ObjectId, ref: 'Pet' },
+    petName: String,
+    petType: { type: String, enum: Object.values(PET_SPECIES), default: PET_SPECIES.OTHER },
+    petBreed: String,
+    petAge: Number,
+    healthConditions: [String],
+    dietaryRestrictions: [String],
+    medications: [String],
+    vetInfo: {
+      name: String,
+      phone: String,
+      address: String,
+      lastVisit: Date
+    }
+  },
+  preferences: {
+    language: { type: String, default: 'en' },
+    tone: {
+      type: String,
+      enum: ['friendly', 'professional', 'casual', 'enthusiastic'],
+      default: 'friendly'
+    },
+    topics: [String],
+    autoSave: { type: Boolean, default: true }
+  },
+  stats: {
+    totalMessages: { type: Number, default: 0 },
+    aiResponses: { type: Number, default: 0 },
+    lastActive: { type: Date, default: Date.now }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+aiChatSchema.index({ 'petInfo.pet': 1 });
+
+// Points the chat context at a pet profile and refreshes the snapshot fields
+aiChatSchema.methods.setPet = function(pet) {
+  this.petInfo.pet = pet._id;
+  this.petInfo.petName = pet.name;
+  this.petInfo.petType = pet.species;
+  this.petInfo.petBreed = pet.breed;
+  this.petInfo.petAge = pet.age;
+};
+
+module.exports = mongoose.model('AIChat', aiChatSchema);
@@ -1,5 +1,6 @@
 // models/Comment.model.js
 const mongoose = require('mongoose');
+const { commentScores } = require('../utils/helpers/ranking');
 
 const commentSchema = new mongoose.Schema({
   content: {
@@ -30,8 +31,14 @@ const commentSchema = new mongoose.Schema({
     default: 0,
     max: 10
   },
-  upvotes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-  downvotes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  // Voters live in the votes collection; these counters are kept in step by voteService
+  upvoteCount: { type: Number, default: 0 },
+  downvoteCount: { type: Number, default: 0 },
+  // Stamped as each vote starts, so the recount job knows which counters to check
+  votedAt: Date,
+  score: { type: Number, default: 0 },
+  bestScore: { type: Number, default: 0 },
+  controversialScore: { type: Number, default: 0 },
   isEdited: { type: Boolean, default: false },
   editedAt: Date,
   isDeleted: { type: Boolean, default: false },
@@ -48,9 +55,13 @@ const commentSchema = new mongoose.Schema({
 
 // Indexes
 commentSchema.index({ post: 1, createdAt: -1 });
-commentSchema.index({ post: 1, upvotes: -1 });
 commentSchema.index({ parentComment: 1 });
 commentSchema.index({ author: 1, createdAt: -1 });
+commentSchema.index({ post: 1, parentComment: 1, bestScore: -1 });
+commentSchema.index({ post: 1, parentComment: 1, controversialScore: -1 });
+commentSchema.index({ post: 1, parentComment: 1, createdAt: -1 });
+commentSchema.index({ content: 'text' });
+commentSchema.index({ votedAt: 1 }, { sparse: true });
 
 // Virtual for reply count
 commentSchema.virtual('replies', {
@@ -66,4 +77,10 @@ commentSchema.virtual('replyCount', {
   count: true
 });
 
+// Pre-save middleware to calculate ranking scores
+commentSchema.pre('save', function(next) {
+  this.set(commentScores({ ups: this.upvoteCount, downs: this.downvoteCount }));
+  next();
+});
+
 module.exports = mongoose.model('Comment', commentSchema);
\ No newline at end of file
@@ -76,6 +76,24 @@ const communitySchema = new mongoose.Schema({
     description: String,
     order: Number
   }],
+  // Members whose posts skip the moderation queue when postPermissions is 'approved'
+  approvedSubmitters: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    addedAt: { type: Date, default: Date.now }
+  }],
+  // Normalized tags moderators have banned; they're dropped from posts as they're saved
+  bannedTags: [{
+    tag: String,
+    bannedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    bannedAt: { type: Date, default: Date.now }
+  }],
+  // Asked of applicants when joinMethod is 'approval'
+  joinQuestions: [{
+    question: { type: String, required: true, maxlength: 300 },
+    required: { type: Boolean, default: true },
+    order: Number
+  }],
   isActive: { type: Boolean, default: true }
 }, {
   timestamps: true
@@ -0,0 +1,97 @@
+// models/Event.model.js
+const mongoose = require('mongoose');
+const { EVENT_TYPES, PET_SPECIES } = require('../config/constants');
+
+const eventSchema = new mongoose.Schema({
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  location: {
+    type: String,
+    required: true,
+    maxlength: 300
+  },
+  coordinates: {
+    lat: { type: Number, min: -90, max: 90 },
+    lng: { type: Number, min: -180, max: 180 }
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  eventType: {
+    type: String,
+    enum: Object.values(EVENT_TYPES),
+    default: EVENT_TYPES.MEETUP
+  },
+  petTypes: [{
+    type: String,
+    enum: [...Object.values(PET_SPECIES), 'all']
+  }],
+  images: [{
+    url: String,
+    caption: String
+  }],
+  attendees: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  // Kept alongside attendees so capacity can be checked inside a single atomic update
+  attendeeCount: { type: Number, default: 0 },
+  maxAttendees: { type: Number, min: 1, default: null },
+  // First in, first promoted when a spot frees up
+  waitlist: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    joinedAt: { type: Date, default: Date.now }
+  }],
+  isCancelled: { type: Boolean, default: false },
+  cancelledAt: Date,
+  cancellationReason: { type: String, maxlength: 500 },
+  hashtags: [String],
+  rules: [String]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Indexes
+eventSchema.index({ community: 1, startDate: 1 });
+eventSchema.index({ community: 1, petTypes: 1, startDate: 1 });
+eventSchema.index({ attendees: 1, startDate: 1 });
+
+eventSchema.virtual('isFull').get(function() {
+  return !!this.maxAttendees && this.attendeeCount >= this.maxAttendees;
+});
+
+eventSchema.virtual('spotsLeft').get(function() {
+  return this.maxAttendees ? Math.max(this.maxAttendees - this.attendeeCount, 0) : null;
+});
+
+// Pre-validate: an event can't end before it starts
+eventSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be after the start date');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Event', eventSchema);
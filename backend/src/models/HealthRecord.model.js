@@ -0,0 +1,98 @@
+// models/HealthRecord.model.js
+const mongoose = require('mongoose');
+const { HEALTH_RECORD_TYPES, RECURRENCE } = require('../config/constants');
+
+const healthRecordSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: true
+  },
+  recordType: {
+    type: String,
+    enum: Object.values(HEALTH_RECORD_TYPES),
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    maxlength: 2000
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  vetName: String,
+  vetClinic: String,
+  location: String,
+  // Only for weight records; also appended to the pet's weight history
+  weight: {
+    value: { type: Number, min: 0 },
+    unit: { type: String, enum: ['kg', 'lb'], default: 'kg' }
+  },
+  documents: [{
+    name: String,
+    key: String,
+    // Local file of documents uploaded before storage keys
+    path: String,
+    mimeType: String,
+    size: Number,
+    uploadedAt: { type: Date, default: Date.now }
+  }],
+  reminders: [{
+    date: { type: Date, required: true },
+    message: { type: String, maxlength: 300 },
+    isCompleted: { type: Boolean, default: false },
+    notifiedAt: { type: Date, default: null }
+  }],
+  tags: [String],
+  isRecurring: { type: Boolean, default: false },
+  recurrence: {
+    type: String,
+    enum: Object.values(RECURRENCE),
+    required: function() {
+      return this.isRecurring;
+    }
+  },
+  recurrenceEndsAt: Date,
+  // Links between generated occurrences of a recurring item
+  previousOccurrence: { type: mongoose.Schema.Types.ObjectId, ref: 'HealthRecord', default: null },
+  nextOccurrence: { type: mongoose.Schema.Types.ObjectId, ref: 'HealthRecord', default: null },
+  completedAt: Date,
+  isDeleted: { type: Boolean, default: false },
+  deletedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { transform: (doc, ret) => {
+    // Storage locations stay server-side; documents are downloaded through the API
+    (ret.documents || []).forEach(document => {
+      delete document.key;
+      delete document.path;
+    });
+    return ret;
+  }}
+});
+
+// Indexes
+healthRecordSchema.index({ pet: 1, date: -1 });
+healthRecordSchema.index({ owner: 1, date: -1 });
+healthRecordSchema.index({ 'reminders.date': 1, 'reminders.isCompleted': 1, 'reminders.notifiedAt': 1 });
+healthRecordSchema.index({ isRecurring: 1, nextOccurrence: 1, date: 1 });
+// One next occurrence per record
+healthRecordSchema.index(
+  { previousOccurrence: 1 },
+  { unique: true, partialFilterExpression: { previousOccurrence: { $type: 'objectId' } } }
+);
+
+module.exports = mongoose.model('HealthRecord', healthRecordSchema);
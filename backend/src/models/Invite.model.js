@@ -0,0 +1,70 @@
+// models/Invite.model.js
+const mongoose = require('mongoose');
+
+const inviteSchema = new mongoose.Schema({
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 'direct' invites one user; 'code' is a shareable link anyone can redeem
+  type: {
+    type: String,
+    enum: ['direct', 'code'],
+    required: true
+  },
+  invitee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return this.type === 'direct';
+    }
+  },
+  code: {
+    type: String,
+    required: function() {
+      return this.type === 'code';
+    }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined'],
+    default: 'pending'
+  },
+  expiresAt: Date,
+  maxUses: { type: Number, min: 1, default: null },
+  uses: { type: Number, default: 0 },
+  // Audit trail of who joined through this invite
+  redemptions: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    usedAt: { type: Date, default: Date.now },
+    ip: String
+  }],
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Indexes
+inviteSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { code: { $type: 'string' } } });
+inviteSchema.index({ community: 1, createdAt: -1 });
+inviteSchema.index({ invitee: 1, status: 1 });
+
+inviteSchema.virtual('isActive').get(function() {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt <= Date.now()) return false;
+  if (this.type === 'direct') return this.status === 'pending';
+  return !this.maxUses || this.uses < this.maxUses;
+});
+
+module.exports = mongoose.model('Invite', inviteSchema);
@@ -0,0 +1,42 @@
+// models/Job.model.js
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    index: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'active', 'completed', 'failed'],
+    default: 'waiting'
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3 },
+  backoff: {
+    type: { type: String, enum: ['fixed', 'exponential'], default: 'exponential' },
+    delay: { type: Number, default: 1000 }
+  },
+  runAt: { type: Date, default: Date.now },
+  lockedUntil: Date,
+  lockedBy: String,
+  lastError: String,
+  completedAt: Date,
+  failedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for claiming the next due job
+jobSchema.index({ status: 1, name: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+
+// TTL index to drop finished jobs after 7 days
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Job', jobSchema);
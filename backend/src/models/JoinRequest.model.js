@@ -0,0 +1,48 @@
+// models/JoinRequest.model.js
+const mongoose = require('mongoose');
+
+const joinRequestSchema = new mongoose.Schema({
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Snapshot of each question so later edits to the community don't change past answers
+  answers: [{
+    questionId: mongoose.Schema.Types.ObjectId,
+    question: String,
+    answer: { type: String, maxlength: 1000 }
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'withdrawn'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reason: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+joinRequestSchema.index({ community: 1, status: 1, createdAt: 1 });
+// At most one open request per user and community
+joinRequestSchema.index(
+  { community: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+module.exports = mongoose.model('JoinRequest', joinRequestSchema);
@@ -0,0 +1,69 @@
+// models/Media.model.js
+const mongoose = require('mongoose');
+const { MEDIA_PURPOSES, MEDIA_VISIBILITY } = require('../config/constants');
+
+const variantSchema = new mongoose.Schema({
+  width: Number,
+  height: Number,
+  size: Number,
+  url: String,
+  key: String
+}, { _id: false });
+
+const mediaSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  purpose: {
+    type: String,
+    enum: Object.values(MEDIA_PURPOSES),
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['image', 'document'],
+    required: true
+  },
+  // Type of the stored file: checked against the content for documents, always WebP for images
+  mimeType: { type: String, required: true },
+  originalName: { type: String, maxlength: 255 },
+  size: Number,
+  // Storage keys: largest variant for images, the stored file for documents
+  key: { type: String, required: true },
+  thumbnailKey: String,
+  // Permanent URLs for public media only; private media is served through signed URLs built on read
+  url: String,
+  thumbnail: String,
+  // Post uploads stay private until attached to a post in a publicly readable community
+  visibility: {
+    type: String,
+    enum: Object.values(MEDIA_VISIBILITY),
+    default: MEDIA_VISIBILITY.PRIVATE
+  },
+  // Posts, messages, avatars and banners pointing at this upload; unreferenced media is cleaned up
+  refCount: { type: Number, default: 0 },
+  width: Number,
+  height: Number,
+  // Responsive WebP renditions, smallest first
+  variants: [variantSchema],
+  isDeleted: { type: Boolean, default: false },
+  deletedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { transform: (doc, ret) => {
+    // Storage keys stay server-side
+    delete ret.key;
+    delete ret.thumbnailKey;
+    (ret.variants || []).forEach(variant => delete variant.key);
+    return ret;
+  }}
+});
+
+mediaSchema.index({ owner: 1, purpose: 1, createdAt: -1 });
+mediaSchema.index({ refCount: 1, isDeleted: 1, createdAt: 1 });
+mediaSchema.index({ key: 1 });
+
+module.exports = mongoose.model('Media', mediaSchema);
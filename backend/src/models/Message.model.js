@@ -33,8 +33,10 @@ const messageSchema = new mongoose.Schema({
     default: 'text'
   },
   media: {
+    mediaId: { type: mongoose.Schema.Types.ObjectId, ref: 'Media' },
     url: String,
-    type: String,
+    // Spelled out: a bare `type: String` here would make the whole `media` path a string
+    type: { type: String },
     thumbnail: String,
     size: Number
   },
@@ -50,6 +52,7 @@ const messageSchema = new mongoose.Schema({
   isEdited: { type: Boolean, default: false },
   editedAt: Date,
   isDeleted: { type: Boolean, default: false },
+  deletedAt: Date,
   deletedFor: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
   replyTo: {
     type: mongoose.Schema.Types.ObjectId,
@@ -59,7 +62,11 @@ const messageSchema = new mongoose.Schema({
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     emoji: String,
     createdAt: { type: Date, default: Date.now }
-  }]
+  }],
+  aiAnalysis: {
+    sentiment: { type: String, enum: ['positive', 'neutral', 'negative'] },
+    toxicityScore: Number
+  }
 }, {
   timestamps: true
 });
@@ -0,0 +1,57 @@
+// models/Notification.model.js
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES } = require('../config/constants');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(NOTIFICATION_TYPES),
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community'
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  actionUrl: String,
+  data: mongoose.Schema.Types.Mixed,
+  isRead: { type: Boolean, default: false },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+
+// TTL index to drop notifications after 90 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,92 @@
+// models/Pet.model.js
+const mongoose = require('mongoose');
+const { PET_SPECIES, PET_SEX } = require('../config/constants');
+
+const petSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  species: {
+    type: String,
+    enum: Object.values(PET_SPECIES),
+    required: true
+  },
+  breed: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  birthDate: Date,
+  sex: {
+    type: String,
+    enum: Object.values(PET_SEX),
+    default: PET_SEX.UNKNOWN
+  },
+  weightHistory: [{
+    weight: { type: Number, required: true, min: 0 },
+    unit: { type: String, enum: ['kg', 'lb'], default: 'kg' },
+    recordedAt: { type: Date, default: Date.now },
+    note: { type: String, maxlength: 200 }
+  }],
+  microchipId: {
+    type: String,
+    trim: true
+  },
+  photos: [{
+    url: { type: String, required: true },
+    thumbnail: String,
+    caption: { type: String, maxlength: 200 },
+    isPrimary: { type: Boolean, default: false }
+  }],
+  bio: {
+    type: String,
+    maxlength: 500
+  },
+  isPublic: { type: Boolean, default: false },
+  isDeleted: { type: Boolean, default: false },
+  deletedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Indexes
+petSchema.index({ owner: 1, isDeleted: 1, createdAt: 1 });
+petSchema.index({ microchipId: 1 }, { unique: true, partialFilterExpression: { microchipId: { $type: 'string' } } });
+
+// Age in whole years, null when the birth date is unknown
+petSchema.virtual('age').get(function() {
+  if (!this.birthDate) return null;
+  
+  const now = new Date();
+  let age = now.getFullYear() - this.birthDate.getFullYear();
+  const beforeBirthday = now.getMonth() < this.birthDate.getMonth() ||
+    (now.getMonth() === this.birthDate.getMonth() && now.getDate() < this.birthDate.getDate());
+  
+  return beforeBirthday ? age - 1 : age;
+});
+
+petSchema.virtual('currentWeight').get(function() {
+  if (!this.weightHistory || this.weightHistory.length === 0) return null;
+  
+  return this.weightHistory.reduce((latest, entry) =>
+    entry.recordedAt > latest.recordedAt ? entry : latest
+  );
+});
+
+petSchema.virtual('primaryPhoto').get(function() {
+  if (!this.photos || this.photos.length === 0) return null;
+  
+  return (this.photos.find(photo => photo.isPrimary) || this.photos[0]).url;
+});
+
+module.exports = mongoose.model('Pet', petSchema);
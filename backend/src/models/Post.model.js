@@ -1,5 +1,7 @@
 // models/Post.model.js
 const mongoose = require('mongoose');
+const { POST_STATUS } = require('../config/constants');
+const { postScores } = require('../utils/helpers/ranking');
 
 const postSchema = new mongoose.Schema({
   title: {
@@ -25,22 +27,32 @@ const postSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    index: true
+  },
   type: {
     type: String,
     enum: ['text', 'link', 'image', 'poll'],
     default: 'text'
   },
   media: [{
+    mediaId: { type: mongoose.Schema.Types.ObjectId, ref: 'Media' },
     url: String,
     type: { type: String, enum: ['image', 'video', 'document'] },
     thumbnail: String
   }],
+  // Filled in by the unfurl job from the fetched page; only url comes from the author
   linkPreview: {
     url: String,
     title: String,
     description: String,
     image: String,
-    domain: String
+    thumbnail: String,
+    siteName: String,
+    domain: String,
+    fetchedAt: Date
   },
   poll: {
     question: String,
@@ -50,15 +62,38 @@ const postSchema = new mongoose.Schema({
       voters: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
     }],
     endsAt: Date,
-    isMultiChoice: { type: Boolean, default: false }
+    isMultiChoice: { type: Boolean, default: false },
+    isClosed: { type: Boolean, default: false },
+    closedAt: Date
   },
   tags: [{
     type: String,
     index: true
   }],
-  upvotes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-  downvotes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  // Posts in 'approved' communities wait in the moderation queue until reviewed
+  status: {
+    type: String,
+    enum: Object.values(POST_STATUS),
+    default: POST_STATUS.PUBLISHED
+  },
+  review: {
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: Date,
+    reason: String
+  },
+  // Voters live in the votes collection; these counters are kept in step by voteService
+  upvoteCount: { type: Number, default: 0 },
+  downvoteCount: { type: Number, default: 0 },
+  // Stamped as each vote starts, so the recount job knows which counters to check
+  votedAt: Date,
+  // Ranking fields, see utils/helpers/ranking; score is the hot rank
   score: { type: Number, default: 0, index: true },
+  voteScore: { type: Number, default: 0 },
+  bestScore: { type: Number, default: 0 },
+  controversialScore: { type: Number, default: 0 },
+  risingScore: { type: Number, default: 0 },
+  rankedAt: Date,
   comments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Comment' }],
   commentCount: { type: Number, default: 0, index: true },
   views: { type: Number, default: 0 },
@@ -73,7 +108,12 @@ const postSchema = new mongoose.Schema({
     analyzedAt: Date
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { transform: (doc, ret) => {
+    // Poll ballots are secret; results are served without voter identities
+    (ret.poll?.options || []).forEach(option => delete option.voters);
+    return ret;
+  }}
 });
 
 // Indexes for efficient querying
@@ -82,25 +122,36 @@ postSchema.index({ community: 1, createdAt: -1 });
 postSchema.index({ community: 1, isPinned: -1, score: -1 });
 postSchema.index({ createdAt: -1 });
 postSchema.index({ author: 1, createdAt: -1 });
+postSchema.index({ tags: 1, createdAt: -1 });
+postSchema.index({ community: 1, status: 1, createdAt: 1 });
+postSchema.index({ 'poll.endsAt': 1 }, { sparse: true });
 postSchema.index({ title: 'text', content: 'text', tags: 'text' });
+postSchema.index({ community: 1, voteScore: -1 });
+postSchema.index({ community: 1, bestScore: -1 });
+postSchema.index({ community: 1, controversialScore: -1 });
+postSchema.index({ community: 1, risingScore: -1 });
+// Candidates for the periodic ranking recompute
+postSchema.index({ updatedAt: -1 });
+postSchema.index({ rankedAt: 1 });
+postSchema.index({ votedAt: 1 }, { sparse: true });
+
+// Restricts a query to published posts; posts created before the moderation queue have no status
+postSchema.query.published = function() {
+  return this.where('status').in([POST_STATUS.PUBLISHED, null]);
+};
 
 // Virtual for vote count
 postSchema.virtual('voteCount').get(function() {
-  return this.upvotes.length - this.downvotes.length;
+  return this.upvoteCount - this.downvoteCount;
 });
 
-// Pre-save middleware to calculate score (Reddit-style)
+// Pre-save middleware to keep ranking scores current; the recompute job catches updates that bypass save
 postSchema.pre('save', function(next) {
-  const ageInHours = (Date.now() - this.createdAt) / (1000 * 60 * 60);
-  const voteCount = this.upvotes.length - this.downvotes.length;
-  const commentWeight = this.commentCount * 0.5;
-  
-  // Reddit's hot ranking algorithm simplified
-  const order = Math.log10(Math.max(Math.abs(voteCount), 1));
-  const sign = voteCount > 0 ? 1 : voteCount < 0 ? -1 : 0;
-  const seconds = this.createdAt.getTime() / 1000 - 1134028003;
-  
-  this.score = Math.round((order + sign * ageInHours / 45000 + commentWeight) * 10000) / 10000;
+  this.set(postScores({
+    ups: this.upvoteCount,
+    downs: this.downvoteCount,
+    createdAt: this.createdAt || new Date()
+  }));
   next();
 });
 
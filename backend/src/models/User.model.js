@@ -57,6 +57,12 @@ const userSchema = new mongoose.Schema({
     role: { type: String, enum: ['member', 'admin', 'moderator'], default: 'member' },
     joinedAt: { type: Date, default: Date.now }
   }],
+  following: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    followedAt: { type: Date, default: Date.now }
+  }],
+  // Blocked users can't mention or message this user
+  blockedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
   isVerified: { type: Boolean, default: false },
   verificationToken: String,
   resetPasswordToken: String,
@@ -77,6 +83,7 @@ const userSchema = new mongoose.Schema({
 // Indexes
 userSchema.index({ 'status.lastSeen': -1 });
 userSchema.index({ 'communities.community': 1 });
+userSchema.index({ 'following.user': 1 });
 userSchema.index({ username: 'text', 'profile.firstName': 'text', 'profile.lastName': 'text' });
 
 // Password hashing middleware
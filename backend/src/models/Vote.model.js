@@ -0,0 +1,34 @@
+// models/Vote.model.js
+const mongoose = require('mongoose');
+const { VOTE_TARGETS } = require('../config/constants');
+
+// One document per user and voted post or comment; the target's counters are kept in step by voteService
+const voteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: Object.values(VOTE_TARGETS),
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  value: {
+    type: Number,
+    enum: [1, -1],
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+voteSchema.index({ user: 1, target: 1 }, { unique: true });
+voteSchema.index({ user: 1, targetType: 1, value: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Vote', voteSchema);
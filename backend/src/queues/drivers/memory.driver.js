@@ -0,0 +1,71 @@
+// src/queues/drivers/memory.driver.js
+const crypto = require('crypto');
+
+// In-process driver for local development and tests; jobs are lost on restart
+class MemoryDriver {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async enqueue(job) {
+    const stored = {
+      _id: crypto.randomUUID(),
+      status: 'waiting',
+      attempts: 0,
+      runAt: new Date(),
+      ...job
+    };
+
+    this.jobs.set(stored._id, stored);
+    return { ...stored };
+  }
+
+  async claim(names, lockTimeout) {
+    const now = Date.now();
+
+    const due = [...this.jobs.values()]
+      .filter(job => names.includes(job.name) && (
+        (job.status === 'waiting' && job.runAt.getTime() <= now) ||
+        (job.status === 'active' && job.lockedUntil.getTime() < now)
+      ))
+      .sort((a, b) => a.runAt - b.runAt);
+
+    const job = due[0];
+    if (!job) return null;
+
+    job.status = 'active';
+    job.lockedUntil = new Date(now + lockTimeout);
+    job.attempts += 1;
+
+    return { ...job };
+  }
+
+  async complete(job) {
+    // Finished jobs are dropped to keep memory bounded
+    this.jobs.delete(job._id);
+  }
+
+  async retry(job, runAt, error) {
+    const stored = this.jobs.get(job._id);
+    if (!stored) return;
+
+    stored.status = 'waiting';
+    stored.runAt = runAt;
+    stored.lastError = error.message;
+  }
+
+  async fail(job, error) {
+    const stored = this.jobs.get(job._id);
+    if (!stored) return;
+
+    stored.status = 'failed';
+    stored.failedAt = new Date();
+    stored.lastError = error.message;
+  }
+
+  async close() {
+    this.jobs.clear();
+  }
+}
+
+module.exports = MemoryDriver;
@@ -0,0 +1,73 @@
+// src/queues/drivers/mongo.driver.js
+const os = require('os');
+const Job = require('../../models/Job.model');
+
+// Persistent driver: jobs survive restarts and are shared by every worker process
+class MongoDriver {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+  }
+
+  async enqueue(job) {
+    const doc = await Job.create(job);
+    return doc.toObject();
+  }
+
+  // Atomically lock the next due job, or one whose lock expired after a worker crash
+  async claim(names, lockTimeout) {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+      {
+        name: { $in: names },
+        $or: [
+          { status: 'waiting', runAt: { $lte: now } },
+          { status: 'active', lockedUntil: { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'active',
+          lockedUntil: new Date(now.getTime() + lockTimeout),
+          lockedBy: this.workerId
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    ).lean();
+  }
+
+  async complete(job) {
+    await Job.updateOne(
+      { _id: job._id, lockedBy: this.workerId },
+      {
+        $set: { status: 'completed', completedAt: new Date() },
+        $unset: { lockedUntil: 1, lockedBy: 1 }
+      }
+    );
+  }
+
+  async retry(job, runAt, error) {
+    await Job.updateOne(
+      { _id: job._id, lockedBy: this.workerId },
+      {
+        $set: { status: 'waiting', runAt, lastError: error.message },
+        $unset: { lockedUntil: 1, lockedBy: 1 }
+      }
+    );
+  }
+
+  async fail(job, error) {
+    await Job.updateOne(
+      { _id: job._id, lockedBy: this.workerId },
+      {
+        $set: { status: 'failed', failedAt: new Date(), lastError: error.message },
+        $unset: { lockedUntil: 1, lockedBy: 1 }
+      }
+    );
+  }
+
+  async close() {}
+}
+
+module.exports = MongoDriver;
@@ -0,0 +1,170 @@
+// src/queues/index.js
+const logger = require('../config/logger');
+const { QUEUE } = require('../config/constants');
+const MongoDriver = require('./drivers/mongo.driver');
+const MemoryDriver = require('./drivers/memory.driver');
+
+const drivers = {
+  mongo: MongoDriver,
+  memory: MemoryDriver
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class JobQueue {
+  constructor() {
+    const driverName = process.env.QUEUE_DRIVER || 'mongo';
+    const Driver = drivers[driverName];
+
+    if (!Driver) {
+      throw new Error(`Unknown queue driver: ${driverName}`);
+    }
+
+    this.driverName = driverName;
+    this.driver = new Driver();
+    this.handlers = new Map();
+    this.running = false;
+    this.loops = [];
+    this.schedules = [];
+    this.timers = [];
+  }
+
+  // Enqueue failures are logged, never surfaced to the caller
+  async add(name, data = {}, options = {}) {
+    const {
+      attempts = QUEUE.DEFAULT_ATTEMPTS,
+      backoff = { type: 'exponential', delay: QUEUE.BACKOFF_DELAY },
+      delay = 0
+    } = options;
+
+    try {
+      const job = await this.driver.enqueue({
+        name,
+        data,
+        maxAttempts: attempts,
+        backoff,
+        runAt: new Date(Date.now() + delay)
+      });
+
+      logger.debug(`Job queued: ${name} (${job._id})`);
+
+      return job;
+    } catch (error) {
+      logger.error(`Enqueue job ${name} failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  process(name, handler) {
+    this.handlers.set(name, handler);
+  }
+
+  // Enqueue a job every `interval` ms while the queue runs. Each worker process keeps its
+  // own timer, so handlers for repeated jobs must be safe to run concurrently.
+  repeat(name, interval, data = {}) {
+    this.schedules.push({ name, interval, data });
+  }
+
+  start(options = {}) {
+    const { concurrency = QUEUE.CONCURRENCY } = options;
+
+    if (this.running) return;
+    this.running = true;
+
+    for (let i = 0; i < concurrency; i++) {
+      this.loops.push(this.loop());
+    }
+
+    this.timers = this.schedules.map(({ name, interval, data }) => {
+      const timer = setInterval(() => this.add(name, data, { attempts: 1 }), interval);
+      timer.unref();
+      return timer;
+    });
+
+    logger.info(`Job queue started (${this.driverName} driver, concurrency ${concurrency})`);
+  }
+
+  async stop() {
+    this.running = false;
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+    await Promise.all(this.loops);
+    this.loops = [];
+    await this.driver.close();
+
+    logger.info('Job queue stopped');
+  }
+
+  // Helper methods
+  async loop() {
+    const names = [...this.handlers.keys()];
+
+    while (this.running) {
+      let job = null;
+
+      try {
+        job = await this.driver.claim(names, QUEUE.LOCK_TIMEOUT);
+      } catch (error) {
+        logger.error(`Claim job failed: ${error.message}`);
+      }
+
+      if (!job) {
+        await sleep(QUEUE.POLL_INTERVAL);
+        continue;
+      }
+
+      const error = await this.runHandler(job);
+
+      // Each driver write is guarded on its own: a failed write must never end the loop,
+      // and a failed `complete` must not be mistaken for a failed handler
+      if (!error) {
+        try {
+          await this.driver.complete(job);
+
+          logger.debug(`Job completed: ${job.name} (${job._id})`);
+        } catch (completeError) {
+          logger.error(`Complete job ${job.name} (${job._id}) failed: ${completeError.message}`);
+        }
+      } else if (job.attempts < job.maxAttempts) {
+        try {
+          const runAt = new Date(Date.now() + this.getBackoffDelay(job));
+          await this.driver.retry(job, runAt, error);
+
+          logger.warn(`Job ${job.name} (${job._id}) failed, attempt ${job.attempts}/${job.maxAttempts}: ${error.message}`);
+        } catch (retryError) {
+          logger.error(`Retry job ${job.name} (${job._id}) failed: ${retryError.message}`);
+        }
+      } else {
+        try {
+          await this.driver.fail(job, error);
+
+          logger.error(`Job ${job.name} (${job._id}) failed permanently: ${error.message}`);
+        } catch (failError) {
+          logger.error(`Fail job ${job.name} (${job._id}) failed: ${failError.message}`);
+        }
+      }
+    }
+  }
+
+  // Runs the handler and returns its error, if any
+  async runHandler(job) {
+    try {
+      await this.handlers.get(job.name)(job.data, job);
+      return null;
+    } catch (error) {
+      return error || new Error('Job handler failed');
+    }
+  }
+
+  getBackoffDelay(job) {
+    const { type = 'exponential', delay = QUEUE.BACKOFF_DELAY } = job.backoff || {};
+
+    if (type === 'fixed') {
+      return delay;
+    }
+
+    return delay * Math.pow(2, job.attempts - 1);
+  }
+}
+
+module.exports = new JobQueue();
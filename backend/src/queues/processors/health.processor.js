@@ -0,0 +1,16 @@
+// src/queues/processors/health.processor.js
+const healthService = require('../../services/health.service');
+const logger = require('../../config/logger');
+
+// Repeated by the scheduler; safe to overlap because every send is claimed atomically
+const processReminders = async () => {
+  const { generated, notified } = await healthService.processDue();
+  
+  if (generated > 0 || notified > 0) {
+    logger.info(`Health reminders: ${notified} sent, ${generated} recurring records generated`);
+  }
+};
+
+module.exports = {
+  processReminders
+};
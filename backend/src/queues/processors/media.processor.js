@@ -0,0 +1,16 @@
+// src/queues/processors/media.processor.js
+const mediaService = require('../../services/media.service');
+const logger = require('../../config/logger');
+
+// Repeated by the scheduler; media documents are claimed before their files are deleted
+const cleanupMedia = async () => {
+  const { removed, swept } = await mediaService.cleanupOrphans();
+  
+  if (removed > 0 || swept > 0) {
+    logger.info(`Media cleanup: ${removed} unreferenced uploads removed, ${swept} orphaned objects deleted`);
+  }
+};
+
+module.exports = {
+  cleanupMedia
+};
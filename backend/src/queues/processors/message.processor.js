@@ -0,0 +1,54 @@
+// src/queues/processors/message.processor.js
+const Message = require('../../models/Message.model');
+const aiService = require('../../services/ai.service');
+const notificationService = require('../../services/notification.service');
+const mediaService = require('../../services/media.service');
+const logger = require('../../config/logger');
+
+const analyzeMessage = async ({ messageId }) => {
+  const message = await Message.findById(messageId);
+  
+  if (!message || message.isDeleted) return;
+  
+  const analysis = await aiService.moderateContent(message.content);
+  
+  // Throw so the job is retried with backoff
+  if (analysis.error) {
+    throw new Error(analysis.error);
+  }
+  
+  message.aiAnalysis = {
+    sentiment: analysis.sentiment,
+    toxicityScore: analysis.toxicity_score
+  };
+  
+  const flagged = aiService.isFlagged(analysis);
+  
+  if (flagged) {
+    message.isDeleted = true;
+    message.deletedAt = new Date();
+  }
+  
+  await message.save();
+  
+  if (!flagged) return;
+  
+  if (message.media?.mediaId) {
+    await mediaService.release([message.media.mediaId]);
+  }
+  
+  // Pull the message from open chats
+  const payload = { messageId: message._id, reason: 'moderation' };
+  if (message.community) {
+    notificationService.emitToRoom(`community:${message.community}`, 'message_deleted', payload);
+  } else {
+    notificationService.emitToUser(message.sender, 'message_deleted', payload);
+    notificationService.emitToUser(message.receiver, 'message_deleted', payload);
+  }
+  
+  logger.info(`Message ${messageId} removed by AI moderation`);
+};
+
+module.exports = {
+  analyzeMessage
+};
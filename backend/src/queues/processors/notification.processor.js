@@ -0,0 +1,40 @@
+// src/queues/processors/notification.processor.js
+const Community = require('../../models/Community.model');
+const notificationService = require('../../services/notification.service');
+const logger = require('../../config/logger');
+
+const FANOUT_BATCH_SIZE = 500;
+
+const sendNotification = async (data) => {
+  await notificationService.createNotification(data);
+};
+
+// Deliver one notification to an explicit recipient list or to every community member
+const fanoutNotification = async ({ recipients = [], communityId, excludeUserIds = [], notification }) => {
+  let userIds = recipients.map(id => id.toString());
+  
+  if (communityId) {
+    const community = await Community.findById(communityId).select('members.user');
+    
+    if (community) {
+      userIds = userIds.concat(community.members.map(member => member.user.toString()));
+    }
+  }
+  
+  const excluded = new Set(excludeUserIds.map(id => id.toString()));
+  userIds = [...new Set(userIds)].filter(id => !excluded.has(id));
+  
+  for (let i = 0; i < userIds.length; i += FANOUT_BATCH_SIZE) {
+    await notificationService.createNotifications(
+      userIds.slice(i, i + FANOUT_BATCH_SIZE),
+      notification
+    );
+  }
+  
+  logger.info(`Notification ${notification.type} fanned out to ${userIds.length} users`);
+};
+
+module.exports = {
+  sendNotification,
+  fanoutNotification
+};
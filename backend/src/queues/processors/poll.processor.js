@@ -0,0 +1,16 @@
+// src/queues/processors/poll.processor.js
+const pollService = require('../../services/poll.service');
+const logger = require('../../config/logger');
+
+// Repeated by the scheduler; safe to overlap because every poll is closed through an atomic claim
+const closePolls = async () => {
+  const closed = await pollService.closeExpiredPolls();
+  
+  if (closed > 0) {
+    logger.info(`Polls: ${closed} closed`);
+  }
+};
+
+module.exports = {
+  closePolls
+};
@@ -0,0 +1,148 @@
+// src/queues/processors/post.processor.js
+const Post = require('../../models/Post.model');
+const Comment = require('../../models/Comment.model');
+const Community = require('../../models/Community.model');
+const aiService = require('../../services/ai.service');
+const notificationService = require('../../services/notification.service');
+const redisService = require('../../services/redis.service');
+const linkPreviewService = require('../../services/linkPreview.service');
+const mediaService = require('../../services/media.service');
+const postService = require('../../services/post.service');
+const logger = require('../../config/logger');
+const { POST_STATUS, NOTIFICATION_TYPES } = require('../../config/constants');
+
+const analyzePost = async ({ postId }) => {
+  const post = await Post.findById(postId);
+  
+  if (!post || post.isDeleted) return;
+  
+  const analysis = await aiService.moderateContent(`${post.title}\n${post.content}`);
+  
+  // Throw so the job is retried with backoff
+  if (analysis.error) {
+    throw new Error(analysis.error);
+  }
+  
+  const aiAnalysis = {
+    sentiment: analysis.sentiment,
+    toxicityScore: analysis.toxicity_score,
+    categories: analysis.categories || [],
+    analyzedAt: new Date()
+  };
+  
+  if (!aiService.isFlagged(analysis)) {
+    await Post.updateOne({ _id: post._id }, { $set: { aiAnalysis } });
+    return;
+  }
+  
+  // Claim the removal so a concurrent delete can't release the media or decrement the count twice
+  const removed = await Post.findOneAndUpdate(
+    { _id: post._id, isDeleted: false },
+    { $set: { aiAnalysis, isDeleted: true, deletedAt: new Date() } }
+  );
+  
+  if (!removed) return;
+  
+  await mediaService.release(removed.media.filter(item => item.mediaId).map(item => item.mediaId));
+  
+  if (removed.status === POST_STATUS.PUBLISHED) {
+    await Community.findByIdAndUpdate(post.community, {
+      $inc: { 'stats.postCount': -1 }
+    });
+  }
+  
+  await redisService.clearPattern(`post:${postId}:*`);
+  await redisService.clearPattern(`community:${post.community}:posts:*`);
+  
+  await notificationService.createNotification({
+    recipient: post.author,
+    type: NOTIFICATION_TYPES.CONTENT_REMOVED,
+    post: post._id,
+    community: post.community,
+    message: `Your post "${post.title}" was removed for violating community guidelines`
+  });
+  
+  logger.info(`Post ${postId} removed by AI moderation`);
+};
+
+const analyzeComment = async ({ commentId }) => {
+  const comment = await Comment.findById(commentId);
+  
+  if (!comment || comment.isDeleted) return;
+  
+  const analysis = await aiService.moderateContent(comment.content);
+  
+  if (analysis.error) {
+    throw new Error(analysis.error);
+  }
+  
+  comment.aiAnalysis = {
+    sentiment: analysis.sentiment,
+    toxicityScore: analysis.toxicity_score
+  };
+  
+  const flagged = aiService.isFlagged(analysis);
+  
+  if (flagged) {
+    comment.isDeleted = true;
+    comment.deletedAt = new Date();
+  }
+  
+  await comment.save();
+  
+  if (!flagged) return;
+  
+  await Post.findByIdAndUpdate(comment.post, { $inc: { commentCount: -1 } });
+  
+  await redisService.clearPattern(`post:${comment.post}:*`);
+  
+  await notificationService.createNotification({
+    recipient: comment.author,
+    type: NOTIFICATION_TYPES.CONTENT_REMOVED,
+    post: comment.post,
+    comment: comment._id,
+    message: 'Your comment was removed for violating community guidelines'
+  });
+  
+  logger.info(`Comment ${commentId} removed by AI moderation`);
+};
+
+const unfurlLink = async ({ postId }) => {
+  const post = await Post.findById(postId).select('linkPreview isDeleted');
+  
+  if (!post || post.isDeleted || !post.linkPreview?.url) return;
+  
+  const { url } = post.linkPreview;
+  const preview = await linkPreviewService.unfurl(url);
+  
+  if (!preview) return;
+  
+  // Skip if the link was changed while the page was being fetched
+  const result = await Post.updateOne(
+    { _id: postId, 'linkPreview.url': url },
+    { $set: { linkPreview: { ...preview, url } } }
+  );
+  
+  if (result.modifiedCount === 0) return;
+  
+  await redisService.clearPattern(`post:${postId}:*`);
+  
+  notificationService.emitToRoom(`post:${postId}`, 'link_preview', {
+    postId,
+    linkPreview: { ...preview, url }
+  });
+};
+
+// Repeated by the scheduler; recomputing is idempotent, so overlapping runs are harmless
+const recomputeRankings = async () => {
+  const updated = await postService.recomputeRankings();
+  
+  logger.debug(`Rankings: ${updated} posts rescored`);
+};
+
+module.exports = {
+  recomputeRankings,
+  analyzePost,
+  unfurlLink,
+  analyzeComment
+};
@@ -0,0 +1,11 @@
+// src/queues/processors/tag.processor.js
+const tagService = require('../../services/tag.service');
+
+// Repeated by the scheduler; overlapping runs just write the same cache entries
+const computeTrending = async () => {
+  await tagService.refreshTrending();
+};
+
+module.exports = {
+  computeTrending
+};
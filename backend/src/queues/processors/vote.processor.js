@@ -0,0 +1,14 @@
+// src/queues/processors/vote.processor.js
+const voteService = require('../../services/vote.service');
+const logger = require('../../config/logger');
+
+// Repeated by the scheduler; each fix is conditional on the counters it read, so overlapping runs are harmless
+const recountVotes = async () => {
+  const fixed = await voteService.recountVotes();
+  
+  logger.debug(`Votes: ${fixed} counters reconciled`);
+};
+
+module.exports = {
+  recountVotes
+};
@@ -0,0 +1,100 @@
+// src/queues/worker.js
+require('dotenv').config();
+
+const queue = require('./index');
+const database = require('../config/database');
+const redisService = require('../services/redis.service');
+const logger = require('../config/logger');
+const { JOBS, QUEUE, SCHEDULES } = require('../config/constants');
+const postProcessor = require('./processors/post.processor');
+const messageProcessor = require('./processors/message.processor');
+const notificationProcessor = require('./processors/notification.processor');
+const healthProcessor = require('./processors/health.processor');
+const pollProcessor = require('./processors/poll.processor');
+const mediaProcessor = require('./processors/media.processor');
+const tagProcessor = require('./processors/tag.processor');
+const voteProcessor = require('./processors/vote.processor');
+
+// Set by the standalone worker so API processes can tell whether anything consumes the queue
+const HEARTBEAT_KEY = 'queue:worker:heartbeat';
+
+const registerProcessors = () => {
+  queue.process(JOBS.ANALYZE_POST, postProcessor.analyzePost);
+  queue.process(JOBS.UNFURL_LINK, postProcessor.unfurlLink);
+  queue.process(JOBS.ANALYZE_COMMENT, postProcessor.analyzeComment);
+  queue.process(JOBS.ANALYZE_MESSAGE, messageProcessor.analyzeMessage);
+  queue.process(JOBS.SEND_NOTIFICATION, notificationProcessor.sendNotification);
+  queue.process(JOBS.FANOUT_NOTIFICATION, notificationProcessor.fanoutNotification);
+  queue.process(JOBS.PROCESS_HEALTH_REMINDERS, healthProcessor.processReminders);
+  queue.process(JOBS.CLOSE_POLLS, pollProcessor.closePolls);
+  queue.process(JOBS.CLEANUP_MEDIA, mediaProcessor.cleanupMedia);
+  queue.process(JOBS.RECOMPUTE_RANKINGS, postProcessor.recomputeRankings);
+  queue.process(JOBS.COMPUTE_TRENDING, tagProcessor.computeTrending);
+  queue.process(JOBS.RECOUNT_VOTES, voteProcessor.recountVotes);
+};
+
+const registerSchedules = () => {
+  queue.repeat(JOBS.PROCESS_HEALTH_REMINDERS, SCHEDULES.HEALTH_REMINDERS);
+  queue.repeat(JOBS.CLOSE_POLLS, SCHEDULES.CLOSE_POLLS);
+  queue.repeat(JOBS.CLEANUP_MEDIA, SCHEDULES.CLEANUP_MEDIA);
+  queue.repeat(JOBS.RECOMPUTE_RANKINGS, SCHEDULES.RECOMPUTE_RANKINGS);
+  queue.repeat(JOBS.COMPUTE_TRENDING, SCHEDULES.COMPUTE_TRENDING);
+  queue.repeat(JOBS.RECOUNT_VOTES, SCHEDULES.RECOUNT_VOTES);
+};
+
+// Run processors inside the current process (API server with QUEUE_INLINE_WORKER or the memory driver)
+const startWorker = () => {
+  registerProcessors();
+  registerSchedules();
+  queue.start({
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY) || QUEUE.CONCURRENCY
+  });
+};
+
+const beat = () => redisService.set(HEARTBEAT_KEY, Date.now(), Math.ceil((QUEUE.WORKER_HEARTBEAT_INTERVAL * 2) / 1000));
+
+const hasStandaloneWorker = async () => Boolean(await redisService.get(HEARTBEAT_KEY));
+
+const shutdown = async (signal) => {
+  logger.info(`Worker received ${signal}, shutting down`);
+  
+  try {
+    await queue.stop();
+    await database.disconnect();
+    await redisService.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Worker shutdown failed: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+// Standalone entrypoint: node src/queues/worker.js
+if (require.main === module) {
+  (async () => {
+    // Socket events from jobs (notifications, poll and preview updates) reach the API only through Redis
+    if (!redisService.isRedis) {
+      logger.error('The standalone worker needs REDIS_URL to deliver socket events; set it or run jobs in the API with QUEUE_INLINE_WORKER=true');
+      process.exit(1);
+    }
+    
+    await database.connect();
+    startWorker();
+    
+    await beat();
+    setInterval(beat, QUEUE.WORKER_HEARTBEAT_INTERVAL).unref();
+    
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+  })().catch((error) => {
+    logger.error(`Worker failed to start: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  registerProcessors,
+  registerSchedules,
+  startWorker,
+  hasStandaloneWorker
+};
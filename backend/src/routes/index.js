@@ -7,11 +7,31 @@ const userRoutes = require('./v1/user.routes');
 const communityRoutes = require('./v1/community.routes');
 const postRoutes = require('./v1/post.routes');
 const chatRoutes = require('./v1/chat.routes');
+const commentRoutes = require('./v1/comment.routes');
+const notificationRoutes = require('./v1/notification.routes');
+const petRoutes = require('./v1/pet.routes');
+const aiChatRoutes = require('./v1/aiChat.routes');
+const healthRoutes = require('./v1/health.routes');
+const eventRoutes = require('./v1/event.routes');
+const mediaRoutes = require('./v1/media.routes');
+const feedRoutes = require('./v1/feed.routes');
+const searchRoutes = require('./v1/search.routes');
+const tagRoutes = require('./v1/tag.routes');
 
 router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
 router.use('/communities', communityRoutes);
 router.use('/posts', postRoutes);
 router.use('/chat', chatRoutes);
+router.use('/comments', commentRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/pets', petRoutes);
+router.use('/ai-chat', aiChatRoutes);
+router.use('/health', healthRoutes);
+router.use('/events', eventRoutes);
+router.use('/media', mediaRoutes);
+router.use('/feed', feedRoutes);
+router.use('/search', searchRoutes);
+router.use('/tags', tagRoutes);
 
 module.exports = router;
\ No newline at end of file
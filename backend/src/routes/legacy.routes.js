@@ -0,0 +1,124 @@
+// src/routes/legacy.routes.js
+// Pre-v1 endpoints kept while FrontEnd/auth/api.js migrates to /api/v1.
+// Responses keep the old { error } / { success, user } shapes.
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User.model');
+const Pet = require('../models/Pet.model');
+const authService = require('../services/auth.service');
+const petService = require('../services/pet.service');
+const { PET_SPECIES } = require('../config/constants');
+const { limiters } = require('../middleware/rateLimit.middleware');
+const logger = require('../config/logger');
+
+// Derive a unique username from a display name
+const generateUsername = async (name, email) => {
+  let base = (name || email.split('@')[0])
+    .toLowerCase()
+    .replace(/[^a-z0-9_]/g, '')
+    .slice(0, 24);
+  
+  if (base.length < 3) {
+    base = `user${base}`;
+  }
+  
+  let username = base;
+  while (await User.exists({ username })) {
+    username = `${base}${Math.floor(1000 + Math.random() * 9000)}`;
+  }
+  
+  return username;
+};
+
+// The old API had a single pet per user; map it onto the user's first Pet
+const toLegacyUser = (user, pet = null) => ({
+  id: user._id,
+  name: [user.profile?.firstName, user.profile?.lastName].filter(Boolean).join(' ') || user.username,
+  email: user.email,
+  petName: pet?.name || '',
+  petType: pet?.species || PET_SPECIES.OTHER
+});
+
+const sendLegacyError = (res, error, fallbackStatus = 500) => {
+  const status = error.statusCode || fallbackStatus;
+  
+  if (status >= 500) {
+    logger.error(`Legacy API error: ${error.message}`);
+  }
+  
+  res.status(status).json({ error: error.message });
+};
+
+router.get('/health', (req, res) => {
+  res.json({ status: 'OK', message: 'PetCare API running' });
+});
+
+router.post('/register', limiters.register, async (req, res) => {
+  const { name, email, password, petName, petType } = req.body;
+  
+  try {
+    if (!name || !email || !password) {
+      return res.status(400).json({ error: 'Name, email and password are required' });
+    }
+    
+    const [firstName, ...rest] = name.trim().split(/\s+/);
+    const username = await generateUsername(name, email);
+    
+    const { user, tokens } = await authService.registerUser({
+      username,
+      email: email.toLowerCase().trim(),
+      password,
+      profile: { firstName, lastName: rest.join(' ') || undefined }
+    }, req.ip, req.headers['user-agent']);
+    
+    let pet = null;
+    if (petName && petName.trim()) {
+      pet = await petService.createPet({
+        name: petName.trim().slice(0, 50),
+        species: Object.values(PET_SPECIES).includes(petType) ? petType : PET_SPECIES.OTHER
+      }, user._id);
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: 'User registered',
+      token: tokens.access.token,
+      user: toLegacyUser(user, pet)
+    });
+  } catch (error) {
+    // Old clients expect 400 for an existing account
+    sendLegacyError(res, error.statusCode === 409 ? { ...error, message: 'User already exists', statusCode: 400 } : error);
+  }
+});
+
+router.post('/login', limiters.login, async (req, res) => {
+  const { email, password } = req.body;
+  
+  try {
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+    
+    const { user, tokens } = await authService.loginUser(
+      email.toLowerCase().trim(),
+      password,
+      req.ip,
+      req.headers['user-agent']
+    );
+    
+    await authService.updateUserStatus(user._id, true);
+    
+    const pet = await Pet.findOne({ owner: user._id, isDeleted: false }).sort('createdAt');
+    
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token: tokens.access.token,
+      user: toLegacyUser(user, pet)
+    });
+  } catch (error) {
+    sendLegacyError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,13 @@
+// src/routes/v1/aiChat.routes.js
+const express = require('express');
+const router = express.Router();
+const aiChatController = require('../../controllers/aiChat.controller');
+const { auth } = require('../../middleware/auth.middleware');
+const { validate, schemas } = require('../../middleware/validation.middleware');
+const { limiters } = require('../../middleware/rateLimit.middleware');
+
+router.get('/', auth, aiChatController.getChat);
+router.put('/pet', auth, validate(schemas.setAIChatPet), aiChatController.setPet);
+router.post('/messages', auth, limiters.aiChat, validate(schemas.sendAIChatMessage), aiChatController.sendMessage);
+
+module.exports = router;
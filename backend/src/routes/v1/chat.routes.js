@@ -6,8 +6,8 @@ const { auth } = require('../../middleware/auth.middleware');
 const { validate, schemas } = require('../../middleware/validation.middleware');
 
 router.post('/message', auth, validate(schemas.sendMessage), chatController.sendMessage);
-router.get('/community/:communityId', auth, chatController.getCommunityMessages);
-router.get('/dm/:userId', auth, chatController.getDirectMessages);
+router.get('/community/:communityId', auth, validate(schemas.messageQuery, 'query'), chatController.getCommunityMessages);
+router.get('/dm/:userId', auth, validate(schemas.messageQuery, 'query'), chatController.getDirectMessages);
 router.post('/message/:messageId/read', auth, chatController.markAsRead);
 router.delete('/message/:messageId', auth, chatController.deleteMessage);
 router.post('/message/:messageId/reaction', auth, chatController.addReaction);
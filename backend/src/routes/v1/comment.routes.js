@@ -0,0 +1,18 @@
+// src/routes/v1/comment.routes.js
+const express = require('express');
+const router = express.Router();
+const commentController = require('../../controllers/comment.controller');
+const { auth, optionalAuth } = require('../../middleware/auth.middleware');
+const { validate, schemas } = require('../../middleware/validation.middleware');
+const { limiters } = require('../../middleware/rateLimit.middleware');
+
+router.post('/', auth, limiters.createComment, validate(schemas.createComment), commentController.createComment);
+router.get('/post/:postId', optionalAuth, validate(schemas.commentQuery, 'query'), commentController.getPostComments);
+router.get('/:commentId/replies', optionalAuth, validate(schemas.commentQuery, 'query'), commentController.getReplies);
+router.put('/:commentId', auth, validate(schemas.updateComment), commentController.updateComment);
+router.delete('/:commentId', auth, commentController.deleteComment);
+router.post('/:commentId/upvote', auth, limiters.vote, commentController.upvoteComment);
+router.post('/:commentId/downvote', auth, limiters.vote, commentController.downvoteComment);
+router.delete('/:commentId/vote', auth, limiters.vote, commentController.clearVote);
+
+module.exports = router;
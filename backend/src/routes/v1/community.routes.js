@@ -2,17 +2,50 @@
 const express = require('express');
 const router = express.Router();
 const communityController = require('../../controllers/community.controller');
-const { auth, communityAdmin } = require('../../middleware/auth.middleware');
+const inviteController = require('../../controllers/invite.controller');
+const postController = require('../../controllers/post.controller');
+const mediaController = require('../../controllers/media.controller');
+const tagController = require('../../controllers/tag.controller');
+const { auth, optionalAuth, communityAdmin } = require('../../middleware/auth.middleware');
 const { validate, schemas } = require('../../middleware/validation.middleware');
+const { limiters } = require('../../middleware/rateLimit.middleware');
+const { imageUpload } = require('../../utils/helpers/fileUpload');
 
 router.post('/', auth, validate(schemas.createCommunity), communityController.createCommunity);
-router.get('/', communityController.getCommunities);
-router.get('/:communityId', communityController.getCommunity);
+router.get('/', validate(schemas.communityListQuery, 'query'), communityController.getCommunities);
+
+// Invites addressed to the current user; declared before /:communityId
+router.get('/invites', auth, inviteController.getMyInvites);
+router.get('/invites/code/:code', inviteController.previewInviteCode);
+router.post('/invites/code/:code/accept', auth, inviteController.redeemInviteCode);
+router.post('/invites/:inviteId/accept', auth, inviteController.acceptInvite);
+router.post('/invites/:inviteId/decline', auth, inviteController.declineInvite);
+
+router.get('/:communityId', optionalAuth, communityController.getCommunity);
 router.put('/:communityId', auth, communityAdmin, validate(schemas.updateCommunity), communityController.updateCommunity);
 router.delete('/:communityId', auth, communityAdmin, communityController.deleteCommunity);
-router.post('/:communityId/join', auth, communityController.joinCommunity);
+router.put('/:communityId/banner', auth, communityAdmin, limiters.upload, imageUpload.single('banner'), mediaController.uploadCommunityBanner);
+router.post('/:communityId/join', auth, validate(schemas.joinCommunity), communityController.joinCommunity);
+router.get('/:communityId/join-request', auth, communityController.getMyJoinRequest);
+router.delete('/:communityId/join-request', auth, communityController.withdrawJoinRequest);
+router.get('/:communityId/join-requests', auth, communityAdmin, validate(schemas.joinRequestQuery, 'query'), communityController.getJoinRequests);
+router.post('/:communityId/join-requests/:requestId/approve', auth, communityAdmin, validate(schemas.reviewJoinRequest), communityController.approveJoinRequest);
+router.post('/:communityId/join-requests/:requestId/reject', auth, communityAdmin, validate(schemas.reviewJoinRequest), communityController.rejectJoinRequest);
+router.get('/:communityId/post-queue', auth, communityAdmin, validate(schemas.postQueueQuery, 'query'), postController.getModerationQueue);
+router.post('/:communityId/post-queue/:postId/approve', auth, communityAdmin, validate(schemas.reviewPost), postController.approvePost);
+router.post('/:communityId/post-queue/:postId/reject', auth, communityAdmin, validate(schemas.reviewPost), postController.rejectPost);
+router.get('/:communityId/approved-submitters', auth, communityAdmin, communityController.getApprovedSubmitters);
+router.post('/:communityId/approved-submitters/:userId', auth, communityAdmin, communityController.addApprovedSubmitter);
+router.delete('/:communityId/approved-submitters/:userId', auth, communityAdmin, communityController.removeApprovedSubmitter);
+router.get('/:communityId/banned-tags', auth, communityAdmin, tagController.getBannedTags);
+router.post('/:communityId/banned-tags', auth, communityAdmin, validate(schemas.banTag), tagController.banTag);
+router.delete('/:communityId/banned-tags/:tag', auth, communityAdmin, tagController.unbanTag);
 router.post('/:communityId/leave', auth, communityController.leaveCommunity);
 router.post('/:communityId/moderators', auth, communityAdmin, communityController.addModerator);
 router.delete('/:communityId/moderators/:userId', auth, communityAdmin, communityController.removeModerator);
+router.get('/:communityId/invites', auth, communityAdmin, validate(schemas.inviteQuery, 'query'), inviteController.getInvites);
+router.post('/:communityId/invites', auth, communityAdmin, validate(schemas.inviteUser), inviteController.inviteUser);
+router.post('/:communityId/invite-codes', auth, communityAdmin, validate(schemas.createInviteCode), inviteController.createInviteCode);
+router.delete('/:communityId/invites/:inviteId', auth, communityAdmin, inviteController.revokeInvite);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,19 @@
+// src/routes/v1/event.routes.js
+const express = require('express');
+const router = express.Router();
+const eventController = require('../../controllers/event.controller');
+const { auth, optionalAuth } = require('../../middleware/auth.middleware');
+const { validate, schemas } = require('../../middleware/validation.middleware');
+
+router.post('/', auth, validate(schemas.createEvent), eventController.createEvent);
+router.get('/community/:communityId', optionalAuth, validate(schemas.eventQuery, 'query'), eventController.getCommunityEvents);
+router.get('/community/:communityId/calendar.ics', optionalAuth, validate(schemas.eventQuery, 'query'), eventController.exportCommunityEvents);
+router.get('/:eventId', optionalAuth, eventController.getEvent);
+router.get('/:eventId/calendar.ics', optionalAuth, eventController.exportEvent);
+router.put('/:eventId', auth, validate(schemas.updateEvent), eventController.updateEvent);
+router.post('/:eventId/cancel', auth, validate(schemas.cancelEvent), eventController.cancelEvent);
+router.post('/:eventId/rsvp', auth, eventController.rsvp);
+router.delete('/:eventId/rsvp', auth, eventController.cancelRsvp);
+router.get('/:eventId/attendees', optionalAuth, eventController.getAttendees);
+
+module.exports = router;
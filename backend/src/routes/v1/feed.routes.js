@@ -0,0 +1,10 @@
+// src/routes/v1/feed.routes.js
+const express = require('express');
+const router = express.Router();
+const feedController = require('../../controllers/feed.controller');
+const { auth } = require('../../middleware/auth.middleware');
+const { validate, schemas } = require('../../middleware/validation.middleware');
+
+router.get('/', auth, validate(schemas.feedQuery, 'query'), feedController.getFeed);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+// src/routes/v1/health.routes.js
+const express = require('express');
+const router = express.Router();
+const healthController = require('../../controllers/health.controller');
+const { auth } = require('../../middleware/auth.middleware');
+const { validate, schemas } = require('../../middleware/validation.middleware');
+const { upload } = require('../../utils/helpers/fileUpload');
+
+const MAX_DOCUMENTS = 5;
+
+// Health records are private to the pet owner
+router.use(auth);
+
+router.post('/', validate(schemas.createHealthRecord), healthController.createRecord);
+router.get('/reminders', healthController.getUpcomingReminders);
+router.get('/pet/:petId', validate(schemas.healthRecordQuery, 'query'), healthController.getPetRecords);
+router.get('/:recordId', healthController.getRecord);
+router.put('/:recordId', validate(schemas.updateHealthRecord), healthController.updateRecord);
+router.delete('/:recordId', healthController.deleteRecord);
+router.post('/:recordId/complete', healthController.completeRecord);
+router.post('/:recordId/reminders/:reminderId/complete', healthController.completeReminder);
+router.post('/:recordId/documents', upload.array('documents', MAX_DOCUMENTS), healthController.uploadDocuments);
+router.get('/:recordId/documents/:documentId', healthController.downloadDocument);
+router.delete('/:recordId/documents/:documentId', healthController.removeDocument);
+
+module.exports = router;
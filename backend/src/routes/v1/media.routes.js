@@ -0,0 +1,18 @@
+// src/routes/v1/media.routes.js
+const express = require('express');
+const router = express.Router();
+const mediaController = require('../../controllers/media.controller');
+const { auth } = require('../../middleware/auth.middleware');
+const { limiters } = require('../../middleware/rateLimit.middleware');
+const { mediaUpload } = require('../../utils/helpers/fileUpload');
+
+const MAX_POST_FILES = 10;
+const MAX_MESSAGE_FILES = 5;
+
+router.use(auth);
+
+router.post('/posts', limiters.upload, mediaUpload.array('files', MAX_POST_FILES), mediaController.uploadPostMedia);
+router.post('/messages', limiters.upload, mediaUpload.array('files', MAX_MESSAGE_FILES), mediaController.uploadMessageMedia);
+router.delete('/:mediaId', mediaController.deleteMedia);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+// src/routes/v1/notification.routes.js
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../../controllers/notification.controller');
+const { auth } = require('../../middleware/auth.middleware');
+const { validate, schemas } = require('../../middleware/validation.middleware');
+
+router.get('/', auth, validate(schemas.notificationQuery, 'query'), notificationController.getNotifications);
+router.get('/unread-count', auth, notificationController.getUnreadCount);
+router.post('/read-all', auth, notificationController.markAllAsRead);
+router.post('/:notificationId/read', auth, notificationController.markAsRead);
+
+module.exports = router;
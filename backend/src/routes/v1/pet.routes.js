@@ -0,0 +1,17 @@
+// src/routes/v1/pet.routes.js
+const express = require('express');
+const router = express.Router();
+const petController = require('../../controllers/pet.controller');
+const { auth, optionalAuth } = require('../../middleware/auth.middleware');
+const { validate, schemas } = require('../../middleware/validation.middleware');
+
+router.post('/', auth, validate(schemas.createPet), petController.createPet);
+router.get('/', auth, petController.getMyPets);
+router.get('/user/:userId', optionalAuth, petController.getUserPets);
+router.get('/:petId', optionalAuth, petController.getPet);
+router.put('/:petId', auth, validate(schemas.updatePet), petController.updatePet);
+router.delete('/:petId', auth, petController.deletePet);
+router.post('/:petId/weights', auth, validate(schemas.addPetWeight), petController.addWeight);
+router.delete('/:petId/weights/:entryId', auth, petController.removeWeight);
+
+module.exports = router;
@@ -2,18 +2,26 @@
 const express = require('express');
 const router = express.Router();
 const postController = require('../../controllers/post.controller');
-const { auth } = require('../../middleware/auth.middleware');
+const pollController = require('../../controllers/poll.controller');
+const { auth, optionalAuth } = require('../../middleware/auth.middleware');
 const { validate, schemas } = require('../../middleware/validation.middleware');
+const { limiters } = require('../../middleware/rateLimit.middleware');
 
-router.post('/', auth, validate(schemas.createPost), postController.createPost);
-router.get('/community/:communityId', postController.getCommunityPosts);
-router.get('/:postId', postController.getPost);
-router.put('/:postId', auth, postController.updatePost);
+router.post('/', auth, limiters.createPost, validate(schemas.createPost), postController.createPost);
+router.get('/community/:communityId', optionalAuth, validate(schemas.postListQuery, 'query'), postController.getCommunityPosts);
+// Declared before /:postId, which would otherwise capture it
+router.get('/search', optionalAuth, validate(schemas.postListQuery, 'query'), postController.searchPosts);
+router.get('/:postId', optionalAuth, postController.getPost);
+router.put('/:postId', auth, validate(schemas.updatePost), postController.updatePost);
 router.delete('/:postId', auth, postController.deletePost);
-router.post('/:postId/upvote', auth, postController.upvotePost);
-router.post('/:postId/downvote', auth, postController.downvotePost);
+router.post('/:postId/upvote', auth, limiters.vote, postController.upvotePost);
+router.post('/:postId/downvote', auth, limiters.vote, postController.downvotePost);
+router.delete('/:postId/vote', auth, limiters.vote, postController.clearVote);
 router.post('/:postId/pin', auth, postController.pinPost);
 router.post('/:postId/unpin', auth, postController.unpinPost);
-router.get('/search', postController.searchPosts);
+router.get('/:postId/poll', optionalAuth, pollController.getResults);
+router.post('/:postId/poll/vote', auth, validate(schemas.pollVote), pollController.vote);
+router.put('/:postId/poll/vote', auth, validate(schemas.pollVote), pollController.changeVote);
+router.delete('/:postId/poll/vote', auth, pollController.retractVote);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,11 @@
+// src/routes/v1/search.routes.js
+const express = require('express');
+const router = express.Router();
+const searchController = require('../../controllers/search.controller');
+const { optionalAuth } = require('../../middleware/auth.middleware');
+const { validate, schemas } = require('../../middleware/validation.middleware');
+
+router.get('/', optionalAuth, validate(schemas.searchQuery, 'query'), searchController.search);
+router.get('/users/autocomplete', optionalAuth, validate(schemas.userAutocompleteQuery, 'query'), searchController.autocompleteUsers);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+// src/routes/v1/tag.routes.js
+const express = require('express');
+const router = express.Router();
+const tagController = require('../../controllers/tag.controller');
+const { optionalAuth } = require('../../middleware/auth.middleware');
+const { validate, schemas } = require('../../middleware/validation.middleware');
+
+router.get('/trending', optionalAuth, validate(schemas.trendingQuery, 'query'), tagController.getTrending);
+router.get('/:tag', optionalAuth, validate(schemas.tagPostsQuery, 'query'), tagController.getTagPosts);
+
+module.exports = router;
@@ -2,13 +2,22 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../../controllers/user.controller');
+const mediaController = require('../../controllers/media.controller');
 const { auth } = require('../../middleware/auth.middleware');
 const { validate, schemas } = require('../../middleware/validation.middleware');
+const { limiters } = require('../../middleware/rateLimit.middleware');
+const { imageUpload } = require('../../utils/helpers/fileUpload');
 
 router.get('/profile', auth, userController.getProfile);
 router.put('/profile', auth, validate(schemas.updateProfile), userController.updateProfile);
+router.put('/profile/avatar', auth, limiters.upload, imageUpload.single('avatar'), mediaController.uploadAvatar);
 router.get('/profile/:userId', userController.getUserProfile);
 router.get('/communities', auth, userController.getUserCommunities);
 router.get('/activity', auth, userController.getUserActivity);
+router.get('/votes', auth, validate(schemas.voteLookupQuery, 'query'), userController.getUserVotes);
+router.post('/:userId/follow', auth, userController.followUser);
+router.delete('/:userId/follow', auth, userController.unfollowUser);
+router.post('/:userId/block', auth, userController.blockUser);
+router.delete('/:userId/block', auth, userController.unblockUser);
 
 module.exports = router;
\ No newline at end of file
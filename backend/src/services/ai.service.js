@@ -1,6 +1,7 @@
 // services/ai.service.js
 const axios = require('axios');
 const logger = require('../config/logger');
+const { AI } = require('../config/constants');
 
 class AIService {
   constructor() {
@@ -34,6 +35,10 @@ class AIService {
     }
   }
 
+  isFlagged(analysis) {
+    return !!analysis && (analysis.flagged || analysis.toxicity_score > AI.TOXICITY_THRESHOLD);
+  }
+
   async analyzeSentiment(text) {
     try {
       const response = await this.client.post('/analyze-sentiment', { text });
@@ -87,6 +92,22 @@ class AIService {
     }
   }
 
+  async chat(messages, petInfo = {}) {
+    try {
+      const response = await this.client.post('/chat', {
+        messages,
+        pet_info: petInfo
+      });
+      return response.data;
+    } catch (error) {
+      logger.error(`AI chat failed: ${error.message}`);
+      return {
+        reply: null,
+        error: 'Chat service unavailable'
+      };
+    }
+  }
+
   async batchModerate(texts) {
     try {
       const queryParams = texts.map(t => `texts=${encodeURIComponent(t)}`).join('&');
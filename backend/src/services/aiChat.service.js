@@ -0,0 +1,88 @@
+// src/services/aiChat.service.js
+const AIChat = require('../models/AIChat.model');
+const aiService = require('./ai.service');
+const petService = require('./pet.service');
+const ApiError = require('../utils/helpers/apiError');
+const logger = require('../config/logger');
+const { AI } = require('../config/constants');
+
+class AIChatService {
+  // One conversation per user, created on first use
+  async getChat(userId) {
+    try {
+      return await AIChat.findOneAndUpdate(
+        { user: userId },
+        { $setOnInsert: { user: userId } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      logger.error(`Get AI chat failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async setPet(userId, petId) {
+    try {
+      const pet = await petService.getOwnedPet(petId, userId);
+      const chat = await this.getChat(userId);
+      
+      chat.setPet(pet);
+      await chat.save();
+      
+      return chat;
+    } catch (error) {
+      logger.error(`Set AI chat pet failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async sendMessage(userId, { content, petId }) {
+    try {
+      const chat = petId ? await this.setPet(userId, petId) : await this.getChat(userId);
+      
+      const messages = [...chat.chatHistory, { role: 'user', content }]
+        .map(({ role, content }) => ({ role, content }));
+      
+      const result = await aiService.chat(messages, this.buildPetContext(chat.petInfo));
+      
+      if (result.error || !result.reply) {
+        throw new ApiError('AI assistant is unavailable, please try again later', 503);
+      }
+      
+      // Each message remembers the pet it was about, so switching pets keeps the history readable
+      const pet = chat.petInfo.pet;
+      chat.chatHistory.push({ role: 'user', content, pet });
+      chat.chatHistory.push({ role: 'assistant', content: result.reply, pet });
+      
+      chat.stats.totalMessages += 2;
+      chat.stats.aiResponses += 1;
+      chat.stats.lastActive = new Date();
+      
+      // Keep only the recent history to bound the document and the prompt
+      if (chat.chatHistory.length > AI.MAX_CHAT_HISTORY) {
+        chat.chatHistory = chat.chatHistory.slice(-AI.MAX_CHAT_HISTORY);
+      }
+      
+      await chat.save();
+      
+      return {
+        reply: chat.chatHistory[chat.chatHistory.length - 1],
+        petInfo: chat.petInfo
+      };
+    } catch (error) {
+      logger.error(`AI chat message failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  // Helper methods
+  buildPetContext(petInfo) {
+    if (!petInfo) return {};
+    
+    const { pet, ...context } = petInfo.toObject ? petInfo.toObject() : petInfo;
+    
+    return context;
+  }
+}
+
+module.exports = new AIChatService();
@@ -31,9 +31,6 @@ class AuthService {
     // Generate tokens
     const tokens = await this.generateTokens(user, ipAddress, userAgent);
 
-    // Send verification email
-    await emailService.sendVerificationEmail(user.email, user._id);
-
     logger.info(`User registered: ${user.email}`);
     return { user, tokens };
   }
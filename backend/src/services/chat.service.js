@@ -3,9 +3,13 @@ const Message = require('../models/Message.model');
 const Community = require('../models/Community.model');
 const User = require('../models/User.model');
 const ApiError = require('../utils/helpers/apiError');
+const { paginate, withKeyset } = require('../utils/helpers/cursor');
 const logger = require('../config/logger');
-const redisService = require('./redis.service');
-const aiService = require('./ai.service');
+const mediaService = require('./media.service');
+const mentionService = require('./mention.service');
+const userService = require('./user.service');
+const queue = require('../queues');
+const { MEDIA_PURPOSES, JOBS } = require('../config/constants');
 
 class ChatService {
   async sendMessage(data, userId) {
@@ -21,35 +25,19 @@ class ChatService {
         throw new ApiError('Cannot specify both communityId and receiverId', 400);
       }
       
-      // AI moderation for content
-      let aiAnalysis = null;
-      if (content && content.length > 10) {
-        try {
-          aiAnalysis = await aiService.moderateContent(content);
-          
-          if (aiAnalysis.flagged || aiAnalysis.toxicity_score > 0.7) {
-            throw new ApiError('Message violates community guidelines', 400);
-          }
-        } catch (aiError) {
-          logger.warn(`AI moderation failed: ${aiError.message}`);
-        }
-      }
-      
       // Prepare message data
       const messageData = {
         sender: userId,
         content,
-        type,
-        aiAnalysis: aiAnalysis ? {
-          sentiment: aiAnalysis.sentiment,
-          toxicityScore: aiAnalysis.toxicity_score
-        } : undefined
+        type
       };
       
       // Set recipient
+      let community = null;
+      
       if (communityId) {
         // Community message
-        const community = await Community.findById(communityId);
+        community = await Community.findById(communityId);
         
         if (!community) {
           throw new ApiError('Community not found', 404);
@@ -70,6 +58,10 @@ class ChatService {
         
         messageData.community = communityId;
         messageData.channel = `community:${communityId}`;
+        messageData.mentions = await mentionService.resolveMentions([content], {
+          authorId: userId,
+          audience: community.members.map(member => member.user)
+        });
       } else {
         // Direct message
         const receiver = await User.findById(receiverId);
@@ -78,16 +70,23 @@ class ChatService {
           throw new ApiError('Receiver not found', 404);
         }
         
-        // Check if user is blocking or blocked
-        // Add block logic here if needed
+        if (await userService.isBlocked(userId, receiverId)) {
+          throw new ApiError('You cannot message this user', 403);
+        }
         
         messageData.receiver = receiverId;
         messageData.channel = this.getDirectMessageChannel(userId, receiverId);
+        messageData.mentions = await mentionService.resolveMentions([content], {
+          authorId: userId,
+          audience: [receiverId]
+        });
       }
       
-      // Add media if present
+      // Add media if present; uploads are resolved by id so only the sender's own files can be attached
       if (media) {
-        messageData.media = media;
+        messageData.media = media.mediaId
+          ? (await mediaService.resolveAttachments([media.mediaId], userId, MEDIA_PURPOSES.MESSAGE))[0]
+          : media;
       }
       
       // Add reply if present
@@ -110,8 +109,31 @@ class ChatService {
       // Create message
       const message = await Message.create(messageData);
       
+      if (message.media?.mediaId) {
+        await mediaService.retain([message.media.mediaId]);
+      }
+      
       // Populate sender info
       await message.populate('sender', 'username profile.avatar');
+      await mediaService.signAttachments([message.media]);
+      
+      // AI moderation runs in the background worker
+      if (content && content.length > 10) {
+        await queue.add(JOBS.ANALYZE_MESSAGE, { messageId: message._id });
+      }
+      
+      // The receiver of a DM hears about it anyway, so only community mentions notify
+      if (community) {
+        await mentionService.notifyMentions({
+          mentions: message.mentions,
+          notification: {
+            actor: userId,
+            community: community._id,
+            message: `${message.sender.username} mentioned you in ${community.name} chat`,
+            actionUrl: `/communities/${community.slug}/chat`
+          }
+        });
+      }
       
       logger.info(`Message sent: ${message._id} by user ${userId}`);
       
@@ -124,8 +146,7 @@ class ChatService {
   
   async getCommunityMessages(communityId, userId, pagination = {}) {
     try {
-      const { page = 1, limit = 50, before = null } = pagination;
-      const skip = (page - 1) * limit;
+      const { limit = 50, cursor } = pagination;
       
       // Check if user is a member
       const community = await Community.findById(communityId);
@@ -143,25 +164,19 @@ class ChatService {
       }
       
       // Build query
-      let query = Message.find({
+      const query = {
         community: communityId,
         isDeleted: false,
         $or: [
           { 'deletedFor': { $ne: userId } },
           { 'deletedFor': { $exists: false } }
         ]
-      });
-      
-      // Filter messages before a certain date if provided
-      if (before) {
-        query = query.where('createdAt').lt(new Date(before));
-      }
+      };
       
-      // Get messages
-      const messages = await query
-        .sort('-createdAt')
-        .skip(skip)
-        .limit(limit)
+      // Newest first: nextCursor reaches back into older history, prevCursor towards the present
+      const page = await paginate(({ keyset, sort, limit: size }) => Message.find(withKeyset(query, keyset))
+        .sort(sort)
+        .limit(size)
         .populate('sender', 'username profile.avatar')
         .populate({
           path: 'replyTo',
@@ -170,7 +185,9 @@ class ChatService {
             path: 'sender',
             select: 'username'
           }
-        });
+        }), { limit, cursor, scope: ['communityMessages', communityId, userId] });
+      
+      const messages = page.items;
       
       // Mark messages as delivered
       const messageIds = messages.map(msg => msg._id);
@@ -192,7 +209,10 @@ class ChatService {
       // Reverse to get chronological order
       messages.reverse();
       
-      return messages;
+      // Message uploads are always private
+      await mediaService.signAttachments(messages.map(msg => msg.media));
+      
+      return page;
     } catch (error) {
       logger.error(`Get community messages failed: ${error.message}`);
       throw error;
@@ -201,31 +221,24 @@ class ChatService {
   
   async getDirectMessages(userId, otherUserId, pagination = {}) {
     try {
-      const { page = 1, limit = 50, before = null } = pagination;
-      const skip = (page - 1) * limit;
+      const { limit = 50, cursor } = pagination;
       
       const channel = this.getDirectMessageChannel(userId, otherUserId);
       
       // Build query
-      let query = Message.find({
+      const query = {
         channel,
         isDeleted: false,
         $or: [
           { 'deletedFor': { $ne: userId } },
           { 'deletedFor': { $exists: false } }
         ]
-      });
-      
-      // Filter messages before a certain date if provided
-      if (before) {
-        query = query.where('createdAt').lt(new Date(before));
-      }
+      };
       
-      // Get messages
-      const messages = await query
-        .sort('-createdAt')
-        .skip(skip)
-        .limit(limit)
+      // Newest first: nextCursor reaches back into older history, prevCursor towards the present
+      const page = await paginate(({ keyset, sort, limit: size }) => Message.find(withKeyset(query, keyset))
+        .sort(sort)
+        .limit(size)
         .populate('sender', 'username profile.avatar')
         .populate('receiver', 'username profile.avatar')
         .populate({
@@ -235,7 +248,9 @@ class ChatService {
             path: 'sender',
             select: 'username'
           }
-        });
+        }), { limit, cursor, scope: ['directMessages', channel] });
+      
+      const messages = page.items;
       
       // Mark messages as delivered
       const messageIds = messages.map(msg => msg._id);
@@ -257,7 +272,10 @@ class ChatService {
       // Reverse to get chronological order
       messages.reverse();
       
-      return messages;
+      // Message uploads are always private
+      await mediaService.signAttachments(messages.map(msg => msg.media));
+      
+      return page;
     } catch (error) {
       logger.error(`Get direct messages failed: ${error.message}`);
       throw error;
@@ -307,7 +325,7 @@ class ChatService {
     try {
       const message = await Message.findById(messageId);
       
-      if (!message) {
+      if (!message || message.isDeleted) {
         throw new ApiError('Message not found', 404);
       }
       
@@ -342,6 +360,10 @@ class ChatService {
       
       await message.save();
       
+      if (message.media?.mediaId) {
+        await mediaService.release([message.media.mediaId]);
+      }
+      
       logger.info(`Message deleted: ${messageId} by user ${userId}`);
       
       return message;
@@ -0,0 +1,433 @@
+// src/services/comment.service.js
+const Comment = require('../models/Comment.model');
+const Post = require('../models/Post.model');
+const Community = require('../models/Community.model');
+const ApiError = require('../utils/helpers/apiError');
+const { paginate, withKeyset } = require('../utils/helpers/cursor');
+const logger = require('../config/logger');
+const redisService = require('./redis.service');
+const queue = require('../queues');
+const mentionService = require('./mention.service');
+const voteService = require('./vote.service');
+const { ACCESS_FIELDS, assertCanRead, assertCanParticipate } = require('../utils/helpers/communityAccess');
+const { POST_STATUS, NOTIFICATION_TYPES, JOBS, VOTE_TARGETS } = require('../config/constants');
+
+const MAX_DEPTH = 10;
+
+// Field each sort orders by; _id breaks ties so keyset cursors are total
+const SORT_FIELDS = {
+  best: 'bestScore',
+  new: 'createdAt',
+  controversial: 'controversialScore'
+};
+
+class CommentService {
+  async createComment(data) {
+    try {
+      const { postId, content, author, parentComment = null } = data;
+
+      const post = await Post.findById(postId);
+
+      if (!post || post.isDeleted || post.status !== POST_STATUS.PUBLISHED) {
+        throw new ApiError('Post not found', 404);
+      }
+
+      if (post.isLocked) {
+        throw new ApiError('Post is locked', 403);
+      }
+
+      const community = await Community.findById(post.community).select(ACCESS_FIELDS);
+      assertCanParticipate(community, author);
+
+      // Resolve parent and depth for replies
+      let depth = 0;
+      let parent = null;
+      if (parentComment) {
+        parent = await Comment.findById(parentComment);
+
+        if (!parent || parent.post.toString() !== postId.toString()) {
+          throw new ApiError('Parent comment not found', 404);
+        }
+
+        if (parent.isDeleted) {
+          throw new ApiError('Cannot reply to a deleted comment', 400);
+        }
+
+        if (parent.depth >= MAX_DEPTH) {
+          throw new ApiError(`Replies cannot be nested more than ${MAX_DEPTH} levels deep`, 400);
+        }
+
+        depth = parent.depth + 1;
+      }
+
+      const comment = await Comment.create({
+        content,
+        author,
+        post: postId,
+        parentComment: parentComment || null,
+        depth,
+        mentions: await mentionService.resolveMentions([content], { authorId: author, community })
+      });
+
+      // Keep post comment count in sync
+      await Post.findByIdAndUpdate(postId, { $inc: { commentCount: 1 } });
+
+      await comment.populate('author', 'username profile.avatar');
+
+      // AI moderation runs in the background worker
+      await queue.add(JOBS.ANALYZE_COMMENT, { commentId: comment._id });
+
+      // Clear cache
+      await redisService.clearPattern(`post:${postId}:*`);
+
+      await this.notifyNewComment(comment, post, parent);
+
+      // The post and parent authors already hear about the comment itself
+      await this.notifyMentions(comment, post, [], [post.author, parent?.author].filter(Boolean));
+
+      logger.info(`Comment created: ${comment._id} on post ${postId} by user ${author}`);
+
+      return comment;
+    } catch (error) {
+      logger.error(`Comment creation failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async updateComment(id, content, userId) {
+    try {
+      const comment = await Comment.findById(id);
+
+      if (!comment || comment.isDeleted) {
+        throw new ApiError('Comment not found', 404);
+      }
+
+      // Only the author can edit
+      if (comment.author.toString() !== userId.toString()) {
+        throw new ApiError('Only the author can edit this comment', 403);
+      }
+
+      const post = await Post.findById(comment.post).select('community');
+
+      if (!post) {
+        throw new ApiError('Post not found', 404);
+      }
+
+      const community = await Community.findById(post.community).select(ACCESS_FIELDS);
+      const previousMentions = comment.mentions.map(id => id.toString());
+
+      comment.content = content;
+      comment.mentions = await mentionService.resolveMentions([content], { authorId: userId, community });
+      comment.isEdited = true;
+      comment.editedAt = new Date();
+
+      await comment.save();
+      await comment.populate('author', 'username profile.avatar');
+
+      await this.notifyMentions(comment, post, previousMentions);
+
+      // Re-run AI moderation on edited content
+      await queue.add(JOBS.ANALYZE_COMMENT, { commentId: comment._id });
+
+      // Clear cache
+      await redisService.clearPattern(`post:${comment.post}:*`);
+
+      logger.info(`Comment updated: ${comment._id} by user ${userId}`);
+
+      return comment;
+    } catch (error) {
+      logger.error(`Comment update failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async deleteComment(id, userId) {
+    try {
+      const comment = await Comment.findById(id);
+
+      if (!comment || comment.isDeleted) {
+        throw new ApiError('Comment not found', 404);
+      }
+
+      // Check permission
+      if (comment.author.toString() !== userId.toString()) {
+        const post = await Post.findById(comment.post);
+        const community = post && await Community.findById(post.community);
+        const isModerator = community && (community.moderators.some(
+          mod => mod.user.toString() === userId.toString()
+        ) || community.owner.toString() === userId.toString());
+
+        if (!isModerator) {
+          throw new ApiError('Insufficient permissions', 403);
+        }
+      }
+
+      // Soft delete keeps the node so replies stay attached
+      comment.isDeleted = true;
+      comment.deletedAt = new Date();
+      await comment.save();
+
+      await Post.findByIdAndUpdate(comment.post, { $inc: { commentCount: -1 } });
+
+      // Clear cache
+      await redisService.clearPattern(`post:${comment.post}:*`);
+
+      logger.info(`Comment deleted: ${comment._id} by user ${userId}`);
+
+      return comment;
+    } catch (error) {
+      logger.error(`Comment deletion failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async upvoteComment(commentId, userId) {
+    try {
+      const result = await this.voteComment(commentId, userId, 1);
+
+      logger.info(`Comment ${commentId} upvoted by user ${userId}`);
+
+      return result;
+    } catch (error) {
+      logger.error(`Upvote comment failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async downvoteComment(commentId, userId) {
+    try {
+      const result = await this.voteComment(commentId, userId, -1);
+
+      logger.info(`Comment ${commentId} downvoted by user ${userId}`);
+
+      return result;
+    } catch (error) {
+      logger.error(`Downvote comment failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async clearCommentVote(commentId, userId) {
+    try {
+      const result = await this.voteComment(commentId, userId, 0);
+
+      logger.info(`Vote on comment ${commentId} cleared by user ${userId}`);
+
+      return result;
+    } catch (error) {
+      logger.error(`Clear comment vote failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getCommentsByPost(postId, pagination = {}, userId = null) {
+    try {
+      const { limit, cursor, sort = 'best', depth = 3 } = pagination;
+      const field = SORT_FIELDS[sort] || SORT_FIELDS.best;
+      const maxDepth = Math.min(parseInt(depth), MAX_DEPTH);
+
+      // Checked before the cache, which is shared by all viewers
+      await this.assertCommunityAccess(postId, userId, assertCanRead);
+
+      const cacheKey = `post:${postId}:comments:${sort}:${maxDepth}:${limit}:${cursor || ''}`;
+      const cached = await redisService.get(cacheKey);
+
+      if (cached) {
+        return await this.withUserVotes(cached, userId);
+      }
+
+      const post = await Post.findById(postId).select('isDeleted');
+
+      if (!post || post.isDeleted) {
+        throw new ApiError('Post not found', 404);
+      }
+
+      // Only top-level comments are paged; each carries its reply tree down to maxDepth
+      const page = await this.paginateTrees({ post: postId, parentComment: null }, field, maxDepth, {
+        limit,
+        cursor,
+        scope: ['comments', postId, sort, maxDepth]
+      });
+
+      await redisService.set(cacheKey, page, 30); // Cache for 30 seconds
+
+      return await this.withUserVotes(page, userId);
+    } catch (error) {
+      logger.error(`Get post comments failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getReplies(commentId, pagination = {}, userId = null) {
+    try {
+      const { limit, cursor, sort = 'best', depth = 3 } = pagination;
+      const field = SORT_FIELDS[sort] || SORT_FIELDS.best;
+      const maxDepth = Math.min(parseInt(depth), MAX_DEPTH);
+
+      const parent = await Comment.findById(commentId).select('post');
+
+      if (!parent) {
+        throw new ApiError('Comment not found', 404);
+      }
+
+      await this.assertCommunityAccess(parent.post, userId, assertCanRead);
+
+      const page = await this.paginateTrees({ parentComment: commentId }, field, maxDepth, {
+        limit,
+        cursor,
+        scope: ['replies', commentId, sort, maxDepth]
+      });
+
+      return await this.withUserVotes(page, userId);
+    } catch (error) {
+      logger.error(`Get comment replies failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Helper methods
+  async voteComment(commentId, userId, value) {
+    const comment = await Comment.findById(commentId).select('post isDeleted');
+
+    if (!comment || comment.isDeleted) {
+      throw new ApiError('Comment not found', 404);
+    }
+
+    await this.assertCommunityAccess(comment.post, userId, assertCanParticipate);
+
+    const { target, userVote } = await voteService.castVote(VOTE_TARGETS.COMMENT, commentId, userId, value);
+
+    // Clear cache
+    await redisService.clearPattern(`post:${comment.post}:comments:*`);
+
+    return { ...target, userVote };
+  }
+
+  // The viewer's votes are added to every comment in the trees after caching
+  async withUserVotes(page, userId) {
+    return { ...page, items: await voteService.attachUserVotes(page.items, userId) };
+  }
+
+  async paginateTrees(query, field, maxDepth, options) {
+    const page = await paginate(({ keyset, sort, limit }) => Comment.find(withKeyset(query, keyset))
+      .sort(sort)
+      .limit(limit)
+      .populate('author', 'username profile.avatar')
+      .lean(), { field, ...options });
+
+    page.items = await this.buildTree(page.items, { [field]: -1, _id: -1 }, maxDepth);
+
+    return page;
+  }
+
+  async assertCommunityAccess(postId, userId, check) {
+    const post = await Post.findById(postId).select('community');
+
+    if (!post) {
+      throw new ApiError('Post not found', 404);
+    }
+
+    const community = await Community.findById(post.community).select(ACCESS_FIELDS);
+    check(community, userId);
+  }
+
+  async notifyMentions(comment, post, previous = [], excludeUserIds = []) {
+    await mentionService.notifyMentions({
+      mentions: comment.mentions,
+      previous,
+      excludeUserIds,
+      notification: {
+        actor: comment.author._id,
+        post: post._id,
+        comment: comment._id,
+        community: post.community,
+        message: `${comment.author.username} mentioned you in a comment`,
+        actionUrl: `/posts/${post._id}`
+      }
+    });
+  }
+
+  async notifyNewComment(comment, post, parent) {
+    const base = {
+      type: NOTIFICATION_TYPES.NEW_COMMENT,
+      actor: comment.author._id,
+      post: post._id,
+      comment: comment._id,
+      community: post.community
+    };
+
+    await queue.add(JOBS.SEND_NOTIFICATION, {
+      ...base,
+      recipient: post.author,
+      message: `${comment.author.username} commented on your post`
+    });
+
+    if (parent && parent.author.toString() !== post.author.toString()) {
+      await queue.add(JOBS.SEND_NOTIFICATION, {
+        ...base,
+        recipient: parent.author,
+        message: `${comment.author.username} replied to your comment`
+      });
+    }
+  }
+
+  // Loads descendants level by level below the given nodes, down to maxDepth levels
+  async buildTree(nodes, sortOrder, maxDepth) {
+    const all = [...nodes];
+    let level = nodes;
+
+    for (let i = 1; i < maxDepth && level.length > 0; i++) {
+      level = await Comment.find({ parentComment: { $in: level.map(c => c._id) } })
+        .sort(sortOrder)
+        .populate('author', 'username profile.avatar')
+        .lean();
+
+      all.push(...level);
+    }
+
+    // Count direct replies so clients know when to load more
+    const counts = await Comment.aggregate([
+      { $match: { parentComment: { $in: all.map(c => c._id) } } },
+      { $group: { _id: '$parentComment', count: { $sum: 1 } } }
+    ]);
+    const replyCounts = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+    const byId = new Map();
+    all.forEach(c => {
+      byId.set(c._id.toString(), this.formatComment(c, replyCounts.get(c._id.toString()) || 0));
+    });
+
+    all.forEach(c => {
+      if (!c.parentComment) return;
+      const parent = byId.get(c.parentComment.toString());
+      if (parent) {
+        parent.replies.push(byId.get(c._id.toString()));
+      }
+    });
+
+    // Drop deleted leaves, keep deleted nodes that still have replies
+    const prune = (list) => list
+      .map(c => ({ ...c, replies: prune(c.replies) }))
+      .filter(c => !c.isDeleted || c.replyCount > 0);
+
+    return prune(nodes.map(c => byId.get(c._id.toString())));
+  }
+
+  formatComment(comment, replyCount) {
+    const formatted = {
+      ...comment,
+      replyCount,
+      replies: []
+    };
+
+    if (comment.isDeleted) {
+      formatted.content = '[deleted]';
+      formatted.author = null;
+      formatted.mentions = [];
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = new CommentService();
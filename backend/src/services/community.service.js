@@ -1,9 +1,14 @@
 // src/services/community.service.js
 const Community = require('../models/Community.model');
 const User = require('../models/User.model');
+const JoinRequest = require('../models/JoinRequest.model');
 const ApiError = require('../utils/helpers/apiError');
 const logger = require('../config/logger');
 const redisService = require('./redis.service');
+const queue = require('../queues');
+const { canReadContent, toPublicSummary } = require('../utils/helpers/communityAccess');
+const { COMMUNITY_PRIVACY, COMMUNITY_SORTS, JOIN_METHODS, NOTIFICATION_TYPES, JOBS } = require('../config/constants');
+const { paginate, withKeyset } = require('../utils/helpers/cursor');
 
 class CommunityService {
   async createCommunity(data, ownerId) {
@@ -71,10 +76,11 @@ class CommunityService {
       let query = Community.findById(id);
       
       if (includeMembers) {
+        // No emails: the member list is visible to every reader of the community
         query = query.populate([
-          { path: 'owner', select: 'username email profile.avatar' },
-          { path: 'moderators.user', select: 'username email profile.avatar' },
-          { path: 'members.user', select: 'username email profile.avatar status.isOnline' }
+          { path: 'owner', select: 'username profile.avatar' },
+          { path: 'moderators.user', select: 'username profile.avatar' },
+          { path: 'members.user', select: 'username profile.avatar status.isOnline' }
         ]);
       }
       
@@ -93,6 +99,23 @@ class CommunityService {
     }
   }
   
+  // Full details with the member list for those who can read the community,
+  // a public summary for everyone else
+  async getCommunityForViewer(id, userId = null) {
+    try {
+      const community = await this.getCommunityById(id, true);
+      
+      if (!canReadContent(community, userId)) {
+        return { ...toPublicSummary(community), isMember: false };
+      }
+      
+      return community;
+    } catch (error) {
+      logger.error(`Get community failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
   async getCommunityBySlug(slug) {
     try {
       const cacheKey = `community:slug:${slug}`;
@@ -194,7 +217,7 @@ class CommunityService {
     }
   }
   
-  async joinCommunity(communityId, userId) {
+  async joinCommunity(communityId, userId, answers = []) {
     try {
       const community = await Community.findById(communityId);
       
@@ -215,43 +238,138 @@ class CommunityService {
         throw new ApiError('Already a member of this community', 409);
       }
       
-      // Check community privacy and join method
-      if (community.settings.privacy === 'private' || community.settings.joinMethod === 'invite') {
+      if (community.settings.joinMethod === JOIN_METHODS.INVITE) {
         throw new ApiError('This community requires an invitation', 403);
       }
       
-      // Add user to community members
-      community.members.push({
-        user: userId,
-        role: 'member',
-        joinedAt: new Date()
-      });
+      // Restricted communities only let approved members write, so joining always needs review
+      if (community.settings.joinMethod === JOIN_METHODS.APPROVAL ||
+          community.settings.privacy === COMMUNITY_PRIVACY.RESTRICTED) {
+        const request = await this.createJoinRequest(community, userId, answers);
+        return { status: 'pending', request };
+      }
       
-      community.stats.memberCount += 1;
-      community.stats.activeMembers += 1;
+      // Private communities set to open still can't be joined without an invitation or a request
+      if (community.settings.privacy === COMMUNITY_PRIVACY.PRIVATE) {
+        throw new ApiError('This community requires an invitation', 403);
+      }
       
-      await community.save();
+      await this.addMember(community, userId);
       
-      // Add community to user's communities
-      await User.findByIdAndUpdate(userId, {
-        $push: {
-          communities: {
-            community: communityId,
-            role: 'member',
-            joinedAt: new Date()
+      logger.info(`User ${userId} joined community ${community.name}`);
+      
+      return { status: 'joined', community };
+    } catch (error) {
+      logger.error(`Join community failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async getJoinRequests(communityId, options = {}) {
+    try {
+      const { status = 'pending', limit, cursor } = options;
+      
+      const query = { community: communityId, status };
+      
+      // Oldest first, so the queue is worked in arrival order
+      return await paginate(({ keyset, sort, limit: size }) => JoinRequest.find(withKeyset(query, keyset))
+        .sort(sort)
+        .limit(size)
+        .populate('user', 'username profile.avatar profile.bio createdAt')
+        .populate('reviewedBy', 'username'), { order: 1, limit, cursor, scope: ['joinRequests', communityId, status] });
+    } catch (error) {
+      logger.error(`Get join requests failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async getMyJoinRequest(communityId, userId) {
+    try {
+      const request = await JoinRequest.findOne({ community: communityId, user: userId })
+        .sort({ createdAt: -1 });
+      
+      if (!request) {
+        throw new ApiError('No join request found', 404);
+      }
+      
+      return request;
+    } catch (error) {
+      logger.error(`Get join request failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async withdrawJoinRequest(communityId, userId) {
+    try {
+      const request = await JoinRequest.findOneAndUpdate(
+        { community: communityId, user: userId, status: 'pending' },
+        { $set: { status: 'withdrawn' } },
+        { new: true }
+      );
+      
+      if (!request) {
+        throw new ApiError('No pending join request found', 404);
+      }
+      
+      logger.info(`User ${userId} withdrew join request for community ${communityId}`);
+      
+      return request;
+    } catch (error) {
+      logger.error(`Withdraw join request failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async reviewJoinRequest(communityId, requestId, decision, reviewerId, reason) {
+    try {
+      const approved = decision === 'approve';
+      
+      // Only a pending request can be decided, and only once
+      const request = await JoinRequest.findOneAndUpdate(
+        { _id: requestId, community: communityId, status: 'pending' },
+        {
+          $set: {
+            status: approved ? 'approved' : 'rejected',
+            reviewedBy: reviewerId,
+            reviewedAt: new Date(),
+            reason
           }
+        },
+        { new: true }
+      );
+      
+      if (!request) {
+        throw new ApiError('Pending join request not found', 404);
+      }
+      
+      const community = await Community.findById(communityId);
+      
+      if (approved) {
+        const isMember = community.members.some(
+          member => member.user.toString() === request.user.toString()
+        );
+        
+        if (!isMember) {
+          await this.addMember(community, request.user);
         }
-      });
+      }
       
-      // Clear cache
-      await redisService.clearPattern(`community:${communityId}:*`);
-      await redisService.clearPattern(`user:${userId}:communities`);
+      await queue.add(JOBS.SEND_NOTIFICATION, {
+        recipient: request.user,
+        type: approved ? NOTIFICATION_TYPES.JOIN_REQUEST_APPROVED : NOTIFICATION_TYPES.JOIN_REQUEST_REJECTED,
+        actor: reviewerId,
+        community: communityId,
+        message: (approved
+          ? `Your request to join ${community.name} was approved`
+          : `Your request to join ${community.name} was declined${reason ? `: ${reason}` : ''}`).slice(0, 500),
+        actionUrl: `/communities/${community.slug}`
+      });
       
-      logger.info(`User ${userId} joined community ${community.name}`);
+      logger.info(`Join request ${requestId} ${request.status} by user ${reviewerId}`);
       
-      return community;
+      return request;
     } catch (error) {
-      logger.error(`Join community failed: ${error.message}`);
+      logger.error(`Review join request failed: ${error.message}`);
       throw error;
     }
   }
@@ -292,6 +410,11 @@ class CommunityService {
         community.moderators.splice(moderatorIndex, 1);
       }
       
+      // Rejoining puts the user's posts back through the queue
+      community.approvedSubmitters = community.approvedSubmitters.filter(
+        submitter => submitter.user.toString() !== userId.toString()
+      );
+      
       await community.save();
       
       // Remove community from user's communities
@@ -314,10 +437,10 @@ class CommunityService {
   
   async getCommunities(filters = {}, pagination = {}) {
     try {
-      const { page = 1, limit = 20, sort = '-createdAt', search = '' } = pagination;
-      const skip = (page - 1) * limit;
+      const { limit, cursor, sort = 'new', search = '' } = pagination;
+      const field = COMMUNITY_SORTS[sort] || COMMUNITY_SORTS.new;
       
-      const cacheKey = `communities:${JSON.stringify(filters)}:${page}:${limit}:${sort}:${search}`;
+      const cacheKey = `communities:${JSON.stringify(filters)}:${sort}:${search}:${limit}:${cursor || ''}`;
       const cached = await redisService.get(cacheKey);
       
       if (cached) {
@@ -325,47 +448,31 @@ class CommunityService {
       }
       
       // Build query
-      let query = Community.find({ isActive: true });
+      const query = { isActive: true };
       
       // Apply filters
       if (filters.privacy) {
-        query = query.where('settings.privacy').equals(filters.privacy);
+        query['settings.privacy'] = filters.privacy;
       }
       
       if (filters.owner) {
-        query = query.where('owner').equals(filters.owner);
+        query.owner = filters.owner;
       }
       
       if (search) {
-        query = query.find({
-          $or: [
-            { name: { $regex: search, $options: 'i' } },
-            { description: { $regex: search, $options: 'i' } },
-            { tags: { $regex: search, $options: 'i' } }
-          ]
-        });
+        query.$or = [
+          { name: { $regex: search, $options: 'i' } },
+          { description: { $regex: search, $options: 'i' } },
+          { tags: { $regex: search, $options: 'i' } }
+        ];
       }
       
-      // Count total
-      const total = await Community.countDocuments(query);
-      
-      // Apply pagination and sorting
-      const communities = await query
-        .sort(sort)
-        .skip(skip)
-        .limit(limit)
+      const result = await paginate(({ keyset, sort: order, limit: size }) => Community.find(withKeyset(query, keyset))
+        .sort(order)
+        .limit(size)
         .populate('owner', 'username profile.avatar')
-        .select('name slug description avatar stats tags settings.privacy createdAt');
-      
-      const result = {
-        communities,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
-        }
-      };
+        .select('name slug description avatar stats tags settings.privacy createdAt')
+        .lean(), { field, limit, cursor, scope: ['communities', filters, sort, search] });
       
       await redisService.set(cacheKey, result, 60); // Cache for 1 minute
       
@@ -493,6 +600,77 @@ class CommunityService {
     }
   }
   
+  async getApprovedSubmitters(communityId) {
+    try {
+      const community = await Community.findById(communityId)
+        .select('approvedSubmitters')
+        .populate('approvedSubmitters.user', 'username profile.avatar')
+        .populate('approvedSubmitters.addedBy', 'username');
+      
+      if (!community) {
+        throw new ApiError('Community not found', 404);
+      }
+      
+      return community.approvedSubmitters;
+    } catch (error) {
+      logger.error(`Get approved submitters failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async addApprovedSubmitter(communityId, userId, adminId) {
+    try {
+      const community = await Community.findById(communityId).select('members.user');
+      
+      if (!community) {
+        throw new ApiError('Community not found', 404);
+      }
+      
+      const isMember = community.members.some(
+        member => member.user.toString() === userId.toString()
+      );
+      
+      if (!isMember) {
+        throw new ApiError('Only members can be approved submitters', 400);
+      }
+      
+      const updated = await Community.findOneAndUpdate(
+        { _id: communityId, 'approvedSubmitters.user': { $ne: userId } },
+        { $push: { approvedSubmitters: { user: userId, addedBy: adminId, addedAt: new Date() } } },
+        { new: true }
+      ).select('approvedSubmitters');
+      
+      if (!updated) {
+        throw new ApiError('User is already an approved submitter', 409);
+      }
+      
+      logger.info(`User ${userId} approved to submit in community ${communityId} by ${adminId}`);
+      
+      return updated.approvedSubmitters;
+    } catch (error) {
+      logger.error(`Add approved submitter failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async removeApprovedSubmitter(communityId, userId, adminId) {
+    try {
+      const result = await Community.updateOne(
+        { _id: communityId },
+        { $pull: { approvedSubmitters: { user: userId } } }
+      );
+      
+      if (result.modifiedCount === 0) {
+        throw new ApiError('Approved submitter not found', 404);
+      }
+      
+      logger.info(`User ${userId} removed from approved submitters of community ${communityId} by ${adminId}`);
+    } catch (error) {
+      logger.error(`Remove approved submitter failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
   async getUserCommunities(userId) {
     try {
       const cacheKey = `user:${userId}:communities`;
@@ -521,6 +699,83 @@ class CommunityService {
       throw error;
     }
   }
+  
+  // Helper methods
+  async addMember(community, userId) {
+    community.members.push({
+      user: userId,
+      role: 'member',
+      joinedAt: new Date()
+    });
+    
+    community.stats.memberCount += 1;
+    community.stats.activeMembers += 1;
+    
+    await community.save();
+    
+    // Add community to user's communities
+    await User.findByIdAndUpdate(userId, {
+      $push: {
+        communities: {
+          community: community._id,
+          role: 'member',
+          joinedAt: new Date()
+        }
+      }
+    });
+    
+    // Clear cache
+    await redisService.clearPattern(`community:${community._id}:*`);
+    await redisService.clearPattern(`user:${userId}:communities`);
+  }
+  
+  async createJoinRequest(community, userId, answers) {
+    const existing = await JoinRequest.exists({ community: community._id, user: userId, status: 'pending' });
+    
+    if (existing) {
+      throw new ApiError('You already have a pending request for this community', 409);
+    }
+    
+    // Match answers to the community's questions and enforce required ones
+    const answerMap = new Map(answers.map(a => [a.questionId.toString(), a.answer?.trim()]));
+    const missing = community.joinQuestions.filter(
+      q => q.required && !answerMap.get(q._id.toString())
+    );
+    
+    if (missing.length > 0) {
+      throw new ApiError('Please answer all required questions', 400, missing.map(q => ({
+        field: `answers.${q._id}`,
+        message: `${q.question} is required`
+      })));
+    }
+    
+    const request = await JoinRequest.create({
+      community: community._id,
+      user: userId,
+      answers: community.joinQuestions
+        .filter(q => answerMap.get(q._id.toString()))
+        .map(q => ({
+          questionId: q._id,
+          question: q.question,
+          answer: answerMap.get(q._id.toString())
+        }))
+    });
+    
+    await queue.add(JOBS.FANOUT_NOTIFICATION, {
+      recipients: [community.owner, ...community.moderators.map(mod => mod.user)],
+      notification: {
+        type: NOTIFICATION_TYPES.JOIN_REQUEST_RECEIVED,
+        actor: userId,
+        community: community._id,
+        message: `New request to join ${community.name}`,
+        actionUrl: `/communities/${community.slug}/join-requests`
+      }
+    });
+    
+    logger.info(`User ${userId} requested to join community ${community.name}`);
+    
+    return request;
+  }
 }
 
 module.exports = new CommunityService();
\ No newline at end of file
@@ -0,0 +1,49 @@
+// src/services/email.service.js
+const nodemailer = require('nodemailer');
+const logger = require('../config/logger');
+
+class EmailService {
+  constructor() {
+    this.from = process.env.EMAIL_FROM || 'noreply@petly.app';
+    this.clientUrl = process.env.CLIENT_URL || 'http://localhost:5000';
+    this.transporter = null;
+    
+    if (process.env.SMTP_HOST) {
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: parseInt(process.env.SMTP_PORT) === 465,
+        auth: process.env.SMTP_USER ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        } : undefined
+      });
+    }
+  }
+  
+  // Email failures are logged and never fail the calling request
+  async send(to, subject, html) {
+    if (!this.transporter) {
+      logger.info(`Email to ${to} skipped (SMTP not configured): ${subject}`);
+      return;
+    }
+    
+    try {
+      await this.transporter.sendMail({ from: this.from, to, subject, html });
+      logger.info(`Email sent to ${to}: ${subject}`);
+    } catch (error) {
+      logger.error(`Email to ${to} failed: ${error.message}`);
+    }
+  }
+  
+  async sendPasswordResetEmail(email, token) {
+    const url = `${this.clientUrl}/auth/reset-password?token=${token}`;
+    await this.send(email, 'Reset your Petly password', `<p>Reset your password within 10 minutes: <a href="${url}">${url}</a></p>`);
+  }
+  
+  async sendPasswordResetConfirmation(email) {
+    await this.send(email, 'Your Petly password was changed', '<p>Your password was reset. If this wasn\'t you, contact support.</p>');
+  }
+}
+
+module.exports = new EmailService();
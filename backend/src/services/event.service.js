@@ -0,0 +1,433 @@
+// src/services/event.service.js
+const Event = require('../models/Event.model');
+const Community = require('../models/Community.model');
+const ApiError = require('../utils/helpers/apiError');
+const { paginate, withKeyset } = require('../utils/helpers/cursor');
+const logger = require('../config/logger');
+const queue = require('../queues');
+const { ACCESS_FIELDS, assertCanRead } = require('../utils/helpers/communityAccess');
+const { NOTIFICATION_TYPES, JOBS } = require('../config/constants');
+
+const MAX_PROMOTION_RETRIES = 5;
+
+const isCommunityModerator = (community, userId) =>
+  community.owner.toString() === userId.toString() ||
+  community.moderators.some(mod => mod.user.toString() === userId.toString());
+
+const isCommunityMember = (community, userId) =>
+  community.members.some(member => member.user.toString() === userId.toString());
+
+class EventService {
+  async createEvent(data, userId) {
+    try {
+      const community = await this.getActiveCommunity(data.communityId);
+      
+      if (!isCommunityMember(community, userId)) {
+        throw new ApiError('You must be a member to create events in this community', 403);
+      }
+      
+      const { communityId, ...fields } = data;
+      
+      const event = await Event.create({
+        ...fields,
+        community: communityId,
+        createdBy: userId,
+        // The organizer attends their own event
+        attendees: [userId],
+        attendeeCount: 1
+      });
+      
+      logger.info(`Event created: ${event._id} in community ${communityId} by user ${userId}`);
+      
+      return event;
+    } catch (error) {
+      logger.error(`Event creation failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async getEventById(id, userId = null) {
+    try {
+      const event = await Event.findById(id)
+        .populate('createdBy', 'username profile.avatar')
+        .populate('community', 'name slug avatar');
+      
+      if (!event) {
+        throw new ApiError('Event not found', 404);
+      }
+      
+      await this.assertCanReadCommunity(event.community._id, userId);
+      
+      return event;
+    } catch (error) {
+      logger.error(`Get event failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async getEventsByCommunity(communityId, filters = {}, pagination = {}, userId = null) {
+    try {
+      const { limit, cursor } = pagination;
+      
+      await this.assertCanReadCommunity(communityId, userId);
+      
+      const query = this.buildFilterQuery({ ...filters, communityId });
+      
+      // Soonest first
+      return await paginate(({ keyset, sort, limit: size }) => Event.find(withKeyset(query, keyset))
+        .sort(sort)
+        .limit(size)
+        .populate('createdBy', 'username profile.avatar')
+        .select('-attendees -waitlist'), { field: 'startDate', order: 1, limit, cursor, scope: ['events', communityId, filters] });
+    } catch (error) {
+      logger.error(`Get community events failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async updateEvent(id, data, userId) {
+    try {
+      const event = await this.getManageableEvent(id, userId);
+      
+      if (event.isCancelled) {
+        throw new ApiError('Cancelled events cannot be edited', 400);
+      }
+      
+      if (data.maxAttendees && data.maxAttendees < event.attendeeCount) {
+        throw new ApiError(`${event.attendeeCount} people are already attending; capacity cannot be lower`, 400);
+      }
+      
+      Object.keys(data).forEach(key => {
+        event[key] = data[key];
+      });
+      
+      await event.save();
+      
+      // Raising or removing the cap frees spots for the waitlist
+      if (data.maxAttendees !== undefined) {
+        await this.promoteFromWaitlist(event._id);
+      }
+      
+      logger.info(`Event updated: ${event._id} by user ${userId}`);
+      
+      return await Event.findById(event._id);
+    } catch (error) {
+      logger.error(`Event update failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async cancelEvent(id, reason, userId) {
+    try {
+      const event = await this.getManageableEvent(id, userId);
+      
+      if (event.isCancelled) {
+        throw new ApiError('Event is already cancelled', 400);
+      }
+      
+      event.isCancelled = true;
+      event.cancelledAt = new Date();
+      event.cancellationReason = reason;
+      await event.save();
+      
+      // Everyone who planned to come hears about it, including the waitlist
+      await queue.add(JOBS.FANOUT_NOTIFICATION, {
+        recipients: [
+          ...event.attendees,
+          ...event.waitlist.map(entry => entry.user)
+        ],
+        excludeUserIds: [userId],
+        notification: {
+          type: NOTIFICATION_TYPES.EVENT_CANCELLED,
+          actor: userId,
+          community: event.community,
+          event: event._id,
+          message: `"${event.title}" has been cancelled${reason ? `: ${reason}` : ''}`.slice(0, 500),
+          actionUrl: `/events/${event._id}`
+        }
+      });
+      
+      logger.info(`Event cancelled: ${event._id} by user ${userId}`);
+      
+      return event;
+    } catch (error) {
+      logger.error(`Event cancellation failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async rsvp(id, userId) {
+    try {
+      const event = await Event.findById(id);
+      
+      if (!event) {
+        throw new ApiError('Event not found', 404);
+      }
+      
+      this.assertOpenForRsvp(event);
+      
+      const community = await this.getActiveCommunity(event.community);
+      if (!isCommunityMember(community, userId)) {
+        throw new ApiError('You must be a member of this community to RSVP', 403);
+      }
+      
+      if (event.attendees.some(attendee => attendee.toString() === userId.toString())) {
+        throw new ApiError('You are already attending this event', 409);
+      }
+      
+      if (event.waitlist.some(entry => entry.user.toString() === userId.toString())) {
+        throw new ApiError('You are already on the waitlist', 409);
+      }
+      
+      // Take a spot only if one is free; the capacity check and the push are one atomic update
+      const attending = await Event.findOneAndUpdate(
+        {
+          _id: id,
+          isCancelled: false,
+          attendees: { $ne: userId },
+          $or: [
+            { maxAttendees: null },
+            { $expr: { $lt: ['$attendeeCount', '$maxAttendees'] } }
+          ]
+        },
+        { $push: { attendees: userId }, $inc: { attendeeCount: 1 } },
+        { new: true }
+      );
+      
+      if (attending) {
+        logger.info(`User ${userId} is attending event ${id}`);
+        return { status: 'attending', event: attending };
+      }
+      
+      const waitlisted = await Event.findOneAndUpdate(
+        { _id: id, isCancelled: false, 'waitlist.user': { $ne: userId }, attendees: { $ne: userId } },
+        { $push: { waitlist: { user: userId, joinedAt: new Date() } } },
+        { new: true }
+      );
+      
+      if (!waitlisted) {
+        throw new ApiError('Could not RSVP to this event', 409);
+      }
+      
+      logger.info(`User ${userId} waitlisted for event ${id}`);
+      
+      return {
+        status: 'waitlisted',
+        position: waitlisted.waitlist.findIndex(entry => entry.user.toString() === userId.toString()) + 1,
+        event: waitlisted
+      };
+    } catch (error) {
+      logger.error(`Event RSVP failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async cancelRsvp(id, userId) {
+    try {
+      const left = await Event.findOneAndUpdate(
+        { _id: id, attendees: userId },
+        { $pull: { attendees: userId }, $inc: { attendeeCount: -1 } },
+        { new: true }
+      );
+      
+      if (left) {
+        if (!left.isCancelled) {
+          await this.promoteFromWaitlist(id);
+        }
+        
+        logger.info(`User ${userId} no longer attending event ${id}`);
+        
+        return await Event.findById(id);
+      }
+      
+      const unlisted = await Event.findOneAndUpdate(
+        { _id: id, 'waitlist.user': userId },
+        { $pull: { waitlist: { user: userId } } },
+        { new: true }
+      );
+      
+      if (!unlisted) {
+        throw new ApiError('You have not RSVPed to this event', 404);
+      }
+      
+      logger.info(`User ${userId} left the waitlist for event ${id}`);
+      
+      return unlisted;
+    } catch (error) {
+      logger.error(`Cancel RSVP failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async getAttendees(id, userId = null) {
+    try {
+      const event = await Event.findById(id)
+        .select('community attendees waitlist attendeeCount maxAttendees')
+        .populate('attendees', 'username profile.avatar')
+        .populate('waitlist.user', 'username profile.avatar');
+      
+      if (!event) {
+        throw new ApiError('Event not found', 404);
+      }
+      
+      await this.assertCanReadCommunity(event.community, userId);
+      
+      return {
+        attendees: event.attendees,
+        waitlist: event.waitlist,
+        attendeeCount: event.attendeeCount,
+        maxAttendees: event.maxAttendees
+      };
+    } catch (error) {
+      logger.error(`Get event attendees failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  // Moves people from the head of the waitlist into free spots. Each move is conditional
+  // on the head still being the same user, so concurrent promotions can't double-book.
+  async promoteFromWaitlist(id) {
+    const promoted = [];
+    let retries = 0;
+    
+    while (retries < MAX_PROMOTION_RETRIES) {
+      const event = await Event.findById(id).select('title community isCancelled attendeeCount maxAttendees waitlist');
+      
+      if (!event || event.isCancelled || event.waitlist.length === 0 || event.isFull) {
+        break;
+      }
+      
+      const next = event.waitlist[0].user;
+      
+      const updated = await Event.findOneAndUpdate(
+        {
+          _id: id,
+          'waitlist.0.user': next,
+          $or: [
+            { maxAttendees: null },
+            { $expr: { $lt: ['$attendeeCount', '$maxAttendees'] } }
+          ]
+        },
+        {
+          $pop: { waitlist: -1 },
+          $push: { attendees: next },
+          $inc: { attendeeCount: 1 }
+        }
+      );
+      
+      if (!updated) {
+        retries++;
+        continue;
+      }
+      
+      promoted.push(next);
+      
+      await queue.add(JOBS.SEND_NOTIFICATION, {
+        recipient: next,
+        type: NOTIFICATION_TYPES.EVENT_WAITLIST_PROMOTED,
+        community: event.community,
+        event: event._id,
+        message: `A spot opened up: you're now attending "${event.title}"`.slice(0, 500),
+        actionUrl: `/events/${event._id}`
+      });
+    }
+    
+    if (promoted.length > 0) {
+      logger.info(`Promoted ${promoted.length} users from the waitlist of event ${id}`);
+    }
+    
+    return promoted;
+  }
+  
+  async getCalendarEvents(communityId, filters = {}, userId = null) {
+    try {
+      await this.assertCanReadCommunity(communityId, userId);
+      
+      const query = this.buildFilterQuery({ ...filters, communityId, includeCancelled: true });
+      
+      return await Event.find(query)
+        .sort({ startDate: 1 })
+        .limit(500)
+        .select('title description location coordinates startDate endDate eventType isCancelled updatedAt');
+    } catch (error) {
+      logger.error(`Get calendar events failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  // Helper methods
+  async assertCanReadCommunity(communityId, userId) {
+    const community = await Community.findById(communityId).select(ACCESS_FIELDS);
+    assertCanRead(community, userId);
+  }
+  
+  buildFilterQuery(filters) {
+    const { communityId, petType, eventType, from, to, includeCancelled = false } = filters;
+    const query = { community: communityId };
+    
+    if (!includeCancelled) {
+      query.isCancelled = false;
+    }
+    
+    if (eventType) {
+      query.eventType = eventType;
+    }
+    
+    // Events open to every pet type match any pet filter
+    if (petType) {
+      query.petTypes = { $in: [petType, 'all'] };
+    }
+    
+    // Overlap with [from, to]; defaults to events that haven't ended yet
+    query.endDate = { $gte: from ? new Date(from) : new Date() };
+    if (to) {
+      query.startDate = { $lte: new Date(to) };
+    }
+    
+    return query;
+  }
+  
+  assertOpenForRsvp(event) {
+    if (event.isCancelled) {
+      throw new ApiError('This event has been cancelled', 400);
+    }
+    
+    if (event.endDate < new Date()) {
+      throw new ApiError('This event has already ended', 400);
+    }
+  }
+  
+  async getActiveCommunity(communityId) {
+    const community = await Community.findById(communityId);
+    
+    if (!community) {
+      throw new ApiError('Community not found', 404);
+    }
+    
+    if (!community.isActive) {
+      throw new ApiError('Community is not active', 400);
+    }
+    
+    return community;
+  }
+  
+  async getManageableEvent(id, userId) {
+    const event = await Event.findById(id);
+    
+    if (!event) {
+      throw new ApiError('Event not found', 404);
+    }
+    
+    if (event.createdBy.toString() !== userId.toString()) {
+      const community = await Community.findById(event.community);
+      
+      if (!community || !isCommunityModerator(community, userId)) {
+        throw new ApiError('Insufficient permissions', 403);
+      }
+    }
+    
+    return event;
+  }
+}
+
+module.exports = new EventService();
@@ -0,0 +1,172 @@
+// src/services/feed.service.js
+const mongoose = require('mongoose');
+const Post = require('../models/Post.model');
+const Comment = require('../models/Comment.model');
+const User = require('../models/User.model');
+const Community = require('../models/Community.model');
+const Vote = require('../models/Vote.model');
+const ApiError = require('../utils/helpers/apiError');
+const logger = require('../config/logger');
+const redisService = require('./redis.service');
+const mediaService = require('./media.service');
+const postService = require('./post.service');
+const { postSort } = require('../utils/helpers/ranking');
+const { paginate } = require('../utils/helpers/cursor');
+const { FEED, POST_STATUS, VOTE_TARGETS } = require('../config/constants');
+
+class FeedService {
+  /**
+   * Home feed: published posts from the user's communities and from users they follow.
+   * The single $or query dedupes posts matching both. Every page is ranked as of the first
+   * page's time, so keyset cursors stay stable while new posts arrive.
+   */
+  async getFeed(userId, options = {}) {
+    try {
+      const { sort = 'hot', window = 'day', limit, cursor } = options;
+      
+      const sources = await this.getSources(userId);
+      
+      if (sources.communityIds.length === 0 && sources.followingIds.length === 0) {
+        return { items: [], nextCursor: null, prevCursor: null };
+      }
+      
+      // Hot pages on the personalised rank instead of the stored hot score
+      const personalised = sort === 'hot';
+      const field = personalised ? 'rank' : postSort(sort).field;
+      
+      const page = await paginate(async ({ keyset, sort: order, limit: size, asOf }) => {
+        const ranking = postSort(sort, window, asOf.getTime());
+        const affinity = personalised ? await this.getAffinity(userId, sources, asOf) : null;
+        
+        const match = {
+          isDeleted: false,
+          status: { $in: [POST_STATUS.PUBLISHED, null] },
+          createdAt: { $lte: asOf, ...ranking.filter.createdAt },
+          $or: [
+            { community: { $in: sources.communityIds } },
+            { author: { $in: sources.followingIds }, community: { $nin: sources.hiddenCommunityIds } }
+          ]
+        };
+        
+        const pipeline = [{ $match: match }];
+        
+        if (affinity) {
+          match.createdAt.$gte = new Date(asOf - FEED.HOT_MAX_AGE);
+          pipeline.push({ $addFields: { rank: this.rankExpression(affinity) } });
+        }
+        
+        if (keyset) {
+          pipeline.push({ $match: keyset });
+        }
+        
+        pipeline.push(
+          { $sort: order },
+          { $limit: size },
+          // Aggregation skips the model's toJSON, so voters and internal fields are dropped here
+          { $project: { 'poll.options.voters': 0, aiAnalysis: 0, review: 0, isDeleted: 0, deletedAt: 0 } }
+        );
+        
+        return Post.aggregate(pipeline);
+      }, { field, limit, cursor, scope: ['feed', userId, sort, window] });
+      
+      await Post.populate(page.items, [
+        { path: 'author', select: 'username profile.avatar' },
+        { path: 'community', select: 'name slug avatar' },
+        { path: 'pet', select: 'name species breed photos' }
+      ]);
+      
+      await mediaService.signAttachments(page.items.flatMap(post => post.media || []));
+      
+      return await postService.withUserVotes(page, userId);
+    } catch (error) {
+      logger.error(`Get feed failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  // Helper methods
+  async getSources(userId) {
+    const user = await User.findById(userId).select('communities following');
+    
+    if (!user) {
+      throw new ApiError('User not found', 404);
+    }
+    
+    const communityIds = await Community.find({
+      _id: { $in: user.communities.map(membership => membership.community) },
+      isActive: true
+    }).distinct('_id');
+    
+    return {
+      communityIds,
+      followingIds: user.following.map(follow => follow.user),
+      // Followed users' posts in private or hidden communities the user hasn't joined stay out
+      hiddenCommunityIds: await postService.getHiddenCommunityIds(userId)
+    };
+  }
+  
+  /**
+   * Per-user boosts for hot ranking: followed authors get a flat bonus, communities scale with how
+   * much the user posted, commented and upvoted there recently. Ranks are compared across pages, so
+   * the boosts are a snapshot taken as of the first page's time and cached for every later page.
+   */
+  async getAffinity(userId, sources, asOf) {
+    const cacheKey = `feed:${userId}:affinity:${asOf.getTime()}`;
+    const cached = await redisService.get(cacheKey);
+    
+    if (cached) {
+      return cached;
+    }
+    
+    const period = { $gte: new Date(asOf - FEED.AFFINITY_LOOKBACK), $lte: asOf };
+    
+    const [commentedPostIds, upvotedPostIds] = await Promise.all([
+      Comment.find({ author: userId, isDeleted: false, createdAt: period }).distinct('post'),
+      Vote.find({ user: userId, targetType: VOTE_TARGETS.POST, value: 1, createdAt: period }).distinct('target')
+    ]);
+    
+    const interactions = await Post.aggregate([
+      { $match: {
+        community: { $in: sources.communityIds },
+        createdAt: period,
+        $or: [
+          { author: userId },
+          { _id: { $in: [...commentedPostIds, ...upvotedPostIds] } }
+        ]
+      } },
+      { $group: { _id: '$community', count: { $sum: 1 } } }
+    ]);
+    
+    const busiest = Math.max(1, ...interactions.map(item => item.count));
+    
+    const affinity = {
+      authors: sources.followingIds.map(id => id.toString()),
+      communities: interactions.map(item => ({
+        id: item._id.toString(),
+        weight: Math.round(FEED.COMMUNITY_AFFINITY * item.count / busiest * 1000) / 1000
+      }))
+    };
+    
+    await redisService.set(cacheKey, affinity, FEED.AFFINITY_SNAPSHOT_TTL);
+    
+    return affinity;
+  }
+  
+  // Hot score (which already decays with age) plus affinity, computed in the database so cursors can page on it
+  rankExpression(affinity) {
+    const authorIds = affinity.authors.map(id => new mongoose.Types.ObjectId(id));
+    const communityIds = affinity.communities.map(item => new mongoose.Types.ObjectId(item.id));
+    const communityWeights = affinity.communities.map(item => item.weight);
+    
+    return { $add: [
+      { $ifNull: ['$score', 0] },
+      { $cond: [{ $in: ['$author', authorIds] }, FEED.FOLLOW_AFFINITY, 0] },
+      { $let: {
+        vars: { index: { $indexOfArray: [communityIds, '$community'] } },
+        in: { $cond: [{ $gte: ['$$index', 0] }, { $arrayElemAt: [communityWeights, '$$index'] }, 0] }
+      } }
+    ] };
+  }
+}
+
+module.exports = new FeedService();
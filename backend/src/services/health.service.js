@@ -0,0 +1,438 @@
+// src/services/health.service.js
+const mongoose = require('mongoose');
+const path = require('path');
+const HealthRecord = require('../models/HealthRecord.model');
+const ApiError = require('../utils/helpers/apiError');
+const { paginate, withKeyset } = require('../utils/helpers/cursor');
+const logger = require('../config/logger');
+const petService = require('./pet.service');
+const notificationService = require('./notification.service');
+const storage = require('../storage');
+const { deleteFile } = require('../utils/helpers/fileUpload');
+const { HEALTH_RECORD_TYPES, NOTIFICATION_TYPES, RECURRENCE } = require('../config/constants');
+
+const DUE_BATCH_SIZE = 100;
+
+// Adds one recurrence step, clamping to the end of shorter months (Jan 31 -> Feb 28)
+const addInterval = (date, recurrence) => {
+  const next = new Date(date);
+  
+  switch (recurrence) {
+    case RECURRENCE.DAILY:
+      next.setDate(next.getDate() + 1);
+      return next;
+    case RECURRENCE.WEEKLY:
+      next.setDate(next.getDate() + 7);
+      return next;
+    case RECURRENCE.MONTHLY:
+    case RECURRENCE.YEARLY: {
+      const day = next.getDate();
+      next.setDate(1);
+      if (recurrence === RECURRENCE.MONTHLY) {
+        next.setMonth(next.getMonth() + 1);
+      } else {
+        next.setFullYear(next.getFullYear() + 1);
+      }
+      const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+      next.setDate(Math.min(day, lastDay));
+      return next;
+    }
+    default:
+      throw new Error(`Unknown recurrence: ${recurrence}`);
+  }
+};
+
+class HealthService {
+  async createRecord(data, userId) {
+    try {
+      const { petId, ...fields } = data;
+      const pet = await petService.getOwnedPet(petId, userId);
+      
+      const record = await HealthRecord.create({
+        ...fields,
+        owner: userId,
+        pet: pet._id
+      });
+      
+      if (record.recordType === HEALTH_RECORD_TYPES.WEIGHT && record.weight?.value) {
+        await petService.addWeight(pet._id, {
+          weight: record.weight.value,
+          unit: record.weight.unit,
+          recordedAt: record.date,
+          note: record.title
+        }, userId);
+      }
+      
+      logger.info(`Health record created: ${record._id} for pet ${pet._id}`);
+      
+      return record;
+    } catch (error) {
+      logger.error(`Health record creation failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async getRecordById(id, userId) {
+    try {
+      const record = await HealthRecord.findById(id)
+        .populate('pet', 'name species');
+      
+      if (!record || record.isDeleted) {
+        throw new ApiError('Health record not found', 404);
+      }
+      
+      if (record.owner.toString() !== userId.toString()) {
+        throw new ApiError('Health record not found', 404);
+      }
+      
+      return record;
+    } catch (error) {
+      logger.error(`Get health record failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async getRecordsByPet(petId, userId, options = {}) {
+    try {
+      const { limit, cursor, recordType, from, to, tag } = options;
+      
+      await petService.getOwnedPet(petId, userId);
+      
+      const query = { pet: petId, isDeleted: false };
+      
+      if (recordType) query.recordType = recordType;
+      if (tag) query.tags = tag;
+      if (from || to) {
+        query.date = {};
+        if (from) query.date.$gte = new Date(from);
+        if (to) query.date.$lte = new Date(to);
+      }
+      
+      return await paginate(({ keyset, sort, limit: size }) => HealthRecord.find(withKeyset(query, keyset))
+        .sort(sort)
+        .limit(size), { field: 'date', limit, cursor, scope: ['healthRecords', petId, recordType, from, to, tag] });
+    } catch (error) {
+      logger.error(`Get pet health records failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async updateRecord(id, data, userId) {
+    try {
+      const record = await this.getRecordById(id, userId);
+      
+      Object.keys(data).forEach(key => {
+        record[key] = data[key];
+      });
+      
+      // Rescheduled reminders should fire again
+      if (data.reminders) {
+        record.reminders.forEach(reminder => {
+          reminder.notifiedAt = null;
+        });
+      }
+      
+      await record.save();
+      
+      logger.info(`Health record updated: ${record._id} by user ${userId}`);
+      
+      return record;
+    } catch (error) {
+      logger.error(`Health record update failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async deleteRecord(id, userId) {
+    try {
+      const record = await this.getRecordById(id, userId);
+      
+      // Soft delete; stop the series from generating further occurrences
+      record.isDeleted = true;
+      record.deletedAt = new Date();
+      record.isRecurring = false;
+      await record.save();
+      
+      logger.info(`Health record deleted: ${record._id} by user ${userId}`);
+      
+      return record;
+    } catch (error) {
+      logger.error(`Health record deletion failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async completeRecord(id, userId) {
+    try {
+      const record = await this.getRecordById(id, userId);
+      
+      record.completedAt = new Date();
+      record.reminders.forEach(reminder => {
+        reminder.isCompleted = true;
+      });
+      await record.save();
+      
+      // Completing a recurring item schedules the next one right away
+      const next = await this.createNextOccurrence(record);
+      
+      logger.info(`Health record completed: ${record._id} by user ${userId}`);
+      
+      return { record, next };
+    } catch (error) {
+      logger.error(`Complete health record failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async completeReminder(id, reminderId, userId) {
+    try {
+      const record = await this.getRecordById(id, userId);
+      
+      const reminder = record.reminders.id(reminderId);
+      if (!reminder) {
+        throw new ApiError('Reminder not found', 404);
+      }
+      
+      reminder.isCompleted = true;
+      await record.save();
+      
+      return record;
+    } catch (error) {
+      logger.error(`Complete reminder failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async getUpcomingReminders(userId, days = 30) {
+    try {
+      const now = new Date();
+      const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+      
+      return await HealthRecord.aggregate([
+        { $match: { owner: new mongoose.Types.ObjectId(userId), isDeleted: false } },
+        { $unwind: '$reminders' },
+        { $match: { 'reminders.isCompleted': false, 'reminders.date': { $lte: until } } },
+        { $sort: { 'reminders.date': 1 } },
+        { $lookup: { from: 'pets', localField: 'pet', foreignField: '_id', as: 'pet' } },
+        { $unwind: '$pet' },
+        { $project: {
+          _id: '$reminders._id',
+          date: '$reminders.date',
+          message: '$reminders.message',
+          isOverdue: { $lt: ['$reminders.date', now] },
+          record: { _id: '$_id', title: '$title', recordType: '$recordType' },
+          pet: { _id: '$pet._id', name: '$pet.name', species: '$pet.species' }
+        } }
+      ]);
+    } catch (error) {
+      logger.error(`Get upcoming reminders failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async addDocuments(id, files, userId) {
+    const stored = [];
+    
+    try {
+      const record = await this.getRecordById(id, userId);
+      
+      // Multer's random file names double as the storage object names
+      for (const file of files) {
+        const key = await storage.putFile(`private/health/${path.basename(file.path)}`, file.path, file.mimetype);
+        stored.push(key);
+        
+        record.documents.push({
+          name: file.originalname,
+          key,
+          mimeType: file.mimetype,
+          size: file.size
+        });
+      }
+      
+      await record.save();
+      
+      logger.info(`${files.length} documents attached to health record ${record._id}`);
+      
+      return record;
+    } catch (error) {
+      // Don't leave orphaned uploads behind
+      await storage.delete(stored);
+      logger.error(`Attach health documents failed: ${error.message}`);
+      throw error;
+    } finally {
+      files.forEach(file => deleteFile(file.path));
+    }
+  }
+  
+  async getDocument(id, documentId, userId) {
+    try {
+      const record = await this.getRecordById(id, userId);
+      
+      const document = record.documents.id(documentId);
+      if (!document) {
+        throw new ApiError('Document not found', 404);
+      }
+      
+      return document;
+    } catch (error) {
+      logger.error(`Get health document failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async removeDocument(id, documentId, userId) {
+    try {
+      const record = await this.getRecordById(id, userId);
+      
+      const document = record.documents.id(documentId);
+      if (!document) {
+        throw new ApiError('Document not found', 404);
+      }
+      
+      const { key, path: legacyPath } = document;
+      document.deleteOne();
+      await record.save();
+      
+      // Documents uploaded before the storage layer still live on the local disk
+      if (key) {
+        await storage.delete(key);
+      } else {
+        deleteFile(legacyPath);
+      }
+      
+      return record;
+    } catch (error) {
+      logger.error(`Remove health document failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  // Creates the following occurrence of a recurring record at most once, even when the
+  // scheduler and a manual completion race for it. The unique previousOccurrence index decides
+  // the race; the link is written afterwards, so a failure in between is repaired by the next run.
+  async createNextOccurrence(record) {
+    if (!record.isRecurring || record.isDeleted || record.nextOccurrence) {
+      return null;
+    }
+    
+    // Skip occurrences that are already in the past so an old series doesn't replay
+    let date = addInterval(record.date, record.recurrence);
+    while (date <= Date.now()) {
+      date = addInterval(date, record.recurrence);
+    }
+    
+    if (record.recurrenceEndsAt && date > record.recurrenceEndsAt) {
+      return null;
+    }
+    
+    // Reminders keep their offset from the record date
+    const offset = date.getTime() - record.date.getTime();
+    
+    let next = null;
+    try {
+      next = await HealthRecord.create({
+        owner: record.owner,
+        pet: record.pet._id || record.pet,
+        recordType: record.recordType,
+        title: record.title,
+        description: record.description,
+        date,
+        vetName: record.vetName,
+        vetClinic: record.vetClinic,
+        location: record.location,
+        reminders: record.reminders.map(reminder => ({
+          date: new Date(reminder.date.getTime() + offset),
+          message: reminder.message
+        })),
+        tags: record.tags,
+        isRecurring: true,
+        recurrence: record.recurrence,
+        recurrenceEndsAt: record.recurrenceEndsAt,
+        previousOccurrence: record._id
+      });
+    } catch (error) {
+      // Another run created it first, or created it and failed before linking it
+      if (error.code !== 11000) throw error;
+    }
+    
+    const nextId = next?._id || (await HealthRecord.findOne({ previousOccurrence: record._id }).select('_id'))?._id;
+    
+    if (!nextId) {
+      return null;
+    }
+    
+    await HealthRecord.updateOne({ _id: record._id, nextOccurrence: null }, { $set: { nextOccurrence: nextId } });
+    record.nextOccurrence = nextId;
+    
+    if (next) {
+      logger.info(`Next occurrence ${next._id} generated for health record ${record._id}`);
+    }
+    
+    return next;
+  }
+  
+  // Called by the scheduler: generates due recurrences and sends due reminders
+  async processDue(now = new Date()) {
+    try {
+      let generated = 0;
+      let notified = 0;
+      
+      const recurring = await HealthRecord.find({
+        isRecurring: true,
+        isDeleted: false,
+        nextOccurrence: null,
+        date: { $lte: now }
+      }).limit(DUE_BATCH_SIZE);
+      
+      for (const record of recurring) {
+        if (await this.createNextOccurrence(record)) {
+          generated++;
+        }
+      }
+      
+      const due = await HealthRecord.find({
+        isDeleted: false,
+        reminders: { $elemMatch: { date: { $lte: now }, isCompleted: false, notifiedAt: null } }
+      })
+        .populate('pet', 'name')
+        .limit(DUE_BATCH_SIZE);
+      
+      for (const record of due) {
+        for (const reminder of record.reminders) {
+          if (reminder.isCompleted || reminder.notifiedAt || reminder.date > now) continue;
+          
+          // Claim the reminder so concurrent workers don't notify twice
+          const claimed = await HealthRecord.updateOne(
+            { _id: record._id, reminders: { $elemMatch: { _id: reminder._id, notifiedAt: null } } },
+            { $set: { 'reminders.$.notifiedAt': now } }
+          );
+          
+          if (claimed.modifiedCount === 0) continue;
+          
+          await notificationService.createNotification({
+            recipient: record.owner,
+            type: NOTIFICATION_TYPES.HEALTH_REMINDER,
+            message: reminder.message || `${record.pet?.name || 'Your pet'}: ${record.title}`,
+            actionUrl: `/pets/${record.pet?._id || record.pet}/health/${record._id}`,
+            data: {
+              petId: record.pet?._id || record.pet,
+              recordId: record._id,
+              reminderId: reminder._id,
+              recordType: record.recordType,
+              dueAt: reminder.date
+            }
+          });
+          
+          notified++;
+        }
+      }
+      
+      return { generated, notified };
+    } catch (error) {
+      logger.error(`Process health reminders failed: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new HealthService();
@@ -0,0 +1,288 @@
+// src/services/invite.service.js
+const crypto = require('crypto');
+const Invite = require('../models/Invite.model');
+const Community = require('../models/Community.model');
+const User = require('../models/User.model');
+const ApiError = require('../utils/helpers/apiError');
+const { paginate, withKeyset } = require('../utils/helpers/cursor');
+const logger = require('../config/logger');
+const communityService = require('./community.service');
+const queue = require('../queues');
+const { NOTIFICATION_TYPES, JOBS } = require('../config/constants');
+
+const DIRECT_INVITE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const CODE_BYTES = 6;
+
+const isMember = (community, userId) =>
+  community.members.some(member => member.user.toString() === userId.toString());
+
+class InviteService {
+  async inviteUser(communityId, inviteeId, inviterId) {
+    try {
+      const community = await this.getActiveCommunity(communityId);
+      
+      const invitee = await User.findById(inviteeId).select('username');
+      if (!invitee) {
+        throw new ApiError('User not found', 404);
+      }
+      
+      if (isMember(community, inviteeId)) {
+        throw new ApiError('User is already a member of this community', 409);
+      }
+      
+      const existing = await Invite.findOne({
+        community: communityId,
+        invitee: inviteeId,
+        type: 'direct',
+        status: 'pending',
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      });
+      
+      if (existing) {
+        throw new ApiError('User already has a pending invite', 409);
+      }
+      
+      const invite = await Invite.create({
+        community: communityId,
+        createdBy: inviterId,
+        type: 'direct',
+        invitee: inviteeId,
+        expiresAt: new Date(Date.now() + DIRECT_INVITE_TTL),
+        maxUses: 1
+      });
+      
+      await queue.add(JOBS.SEND_NOTIFICATION, {
+        recipient: inviteeId,
+        type: NOTIFICATION_TYPES.COMMUNITY_INVITE,
+        actor: inviterId,
+        community: communityId,
+        message: `You've been invited to join ${community.name}`,
+        actionUrl: `/communities/${community.slug}`,
+        data: { inviteId: invite._id }
+      });
+      
+      logger.info(`User ${inviteeId} invited to community ${communityId} by user ${inviterId}`);
+      
+      return invite;
+    } catch (error) {
+      logger.error(`Invite user failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async createInviteCode(communityId, options, creatorId) {
+    try {
+      const { expiresInHours, maxUses } = options;
+      
+      await this.getActiveCommunity(communityId);
+      
+      const invite = await Invite.create({
+        community: communityId,
+        createdBy: creatorId,
+        type: 'code',
+        code: crypto.randomBytes(CODE_BYTES).toString('base64url'),
+        expiresAt: expiresInHours ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000) : undefined,
+        maxUses: maxUses || null
+      });
+      
+      logger.info(`Invite code created for community ${communityId} by user ${creatorId}`);
+      
+      return invite;
+    } catch (error) {
+      logger.error(`Create invite code failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async getInvites(communityId, options = {}) {
+    try {
+      const { type, active, limit, cursor } = options;
+      
+      const query = { community: communityId };
+      if (type) query.type = type;
+      if (active) {
+        query.revokedAt = null;
+        query.$and = [
+          { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+          { $or: [{ type: 'direct', status: 'pending' }, { type: 'code', maxUses: null }, { type: 'code', $expr: { $lt: ['$uses', '$maxUses'] } }] }
+        ];
+      }
+      
+      return await paginate(({ keyset, sort, limit: size }) => Invite.find(withKeyset(query, keyset))
+        .sort(sort)
+        .limit(size)
+        .populate('createdBy', 'username')
+        .populate('invitee', 'username profile.avatar')
+        .populate('redemptions.user', 'username profile.avatar')
+        .populate('revokedBy', 'username'), { limit, cursor, scope: ['invites', communityId, type, active] });
+    } catch (error) {
+      logger.error(`Get invites failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async revokeInvite(communityId, inviteId, userId) {
+    try {
+      const invite = await Invite.findOneAndUpdate(
+        { _id: inviteId, community: communityId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedBy: userId } },
+        { new: true }
+      );
+      
+      if (!invite) {
+        throw new ApiError('Invite not found or already revoked', 404);
+      }
+      
+      logger.info(`Invite ${inviteId} revoked by user ${userId}`);
+      
+      return invite;
+    } catch (error) {
+      logger.error(`Revoke invite failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  // Public preview so a link recipient can see where it leads before accepting
+  async getInviteByCode(code) {
+    try {
+      const invite = await Invite.findOne({ code, type: 'code' })
+        .populate('community', 'name slug description avatar stats.memberCount isActive')
+        .populate('createdBy', 'username');
+      
+      if (!invite || !invite.isActive || !invite.community?.isActive) {
+        throw new ApiError('This invite is invalid or has expired', 404);
+      }
+      
+      return invite;
+    } catch (error) {
+      logger.error(`Get invite failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async redeemCode(code, userId, ip) {
+    try {
+      const invite = await Invite.findOne({ code, type: 'code' });
+      
+      if (!invite || !invite.isActive) {
+        throw new ApiError('This invite is invalid or has expired', 404);
+      }
+      
+      const community = await this.getActiveCommunity(invite.community);
+      
+      if (isMember(community, userId)) {
+        throw new ApiError('Already a member of this community', 409);
+      }
+      
+      // Claim a use atomically so maxUses holds under concurrent redemptions
+      const claimed = await Invite.findOneAndUpdate(
+        {
+          _id: invite._id,
+          revokedAt: null,
+          'redemptions.user': { $ne: userId },
+          $and: [
+            { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+            { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+          ]
+        },
+        {
+          $inc: { uses: 1 },
+          $push: { redemptions: { user: userId, usedAt: new Date(), ip } }
+        },
+        { new: true }
+      );
+      
+      if (!claimed) {
+        throw new ApiError('This invite is invalid or has expired', 404);
+      }
+      
+      await communityService.addMember(community, userId);
+      
+      logger.info(`User ${userId} joined community ${community.name} with invite ${invite._id}`);
+      
+      return community;
+    } catch (error) {
+      logger.error(`Redeem invite failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async respondToInvite(inviteId, userId, accept, ip) {
+    try {
+      const update = accept
+        ? { $set: { status: 'accepted' }, $inc: { uses: 1 }, $push: { redemptions: { user: userId, usedAt: new Date(), ip } } }
+        : { $set: { status: 'declined' } };
+      
+      const invite = await Invite.findOneAndUpdate(
+        {
+          _id: inviteId,
+          type: 'direct',
+          invitee: userId,
+          status: 'pending',
+          revokedAt: null,
+          expiresAt: { $gt: new Date() }
+        },
+        update,
+        { new: true }
+      );
+      
+      if (!invite) {
+        throw new ApiError('This invite is invalid or has expired', 404);
+      }
+      
+      if (!accept) {
+        logger.info(`User ${userId} declined invite ${inviteId}`);
+        return null;
+      }
+      
+      const community = await this.getActiveCommunity(invite.community);
+      
+      if (!isMember(community, userId)) {
+        await communityService.addMember(community, userId);
+      }
+      
+      logger.info(`User ${userId} accepted invite ${inviteId} to community ${community.name}`);
+      
+      return community;
+    } catch (error) {
+      logger.error(`Respond to invite failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async getMyInvites(userId) {
+    try {
+      return await Invite.find({
+        invitee: userId,
+        type: 'direct',
+        status: 'pending',
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      })
+        .sort({ createdAt: -1 })
+        .populate('community', 'name slug description avatar stats.memberCount')
+        .populate('createdBy', 'username profile.avatar');
+    } catch (error) {
+      logger.error(`Get user invites failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  // Helper methods
+  async getActiveCommunity(communityId) {
+    const community = await Community.findById(communityId);
+    
+    if (!community) {
+      throw new ApiError('Community not found', 404);
+    }
+    
+    if (!community.isActive) {
+      throw new ApiError('Community is not active', 400);
+    }
+    
+    return community;
+  }
+}
+
+module.exports = new InviteService();
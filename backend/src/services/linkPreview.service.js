@@ -0,0 +1,154 @@
+// src/services/linkPreview.service.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../config/logger');
+const redisService = require('./redis.service');
+const ApiError = require('../utils/helpers/apiError');
+const storage = require('../storage');
+const { fetchPublic } = require('../utils/helpers/safeHttp');
+const { parseMetadata } = require('../utils/helpers/htmlMeta');
+const { processImage, generateThumbnail, deleteFile, uploadDir } = require('../utils/helpers/fileUpload');
+const { CACHE_TTL, FILE_LIMITS } = require('../config/constants');
+
+const MAX_HTML_BYTES = 512 * 1024; // 512KB is plenty to reach </head>
+const MAX_OEMBED_BYTES = 64 * 1024;
+// Local scratch space for sharp; results are pushed to storage
+const WORK_DIR = path.join(uploadDir, 'tmp');
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+
+const mimeTypeOf = (headers) => (headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+const truncate = (text, length) => (text && text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+class LinkPreviewService {
+  /**
+   * Fetch and normalise preview metadata for a URL, rehosting its image.
+   * Never throws: failures resolve to null and are cached briefly so a bad link isn't refetched per post.
+   */
+  async unfurl(url) {
+    const cacheKey = `linkpreview:${crypto.createHash('sha1').update(url).digest('hex')}`;
+    
+    const cached = await redisService.get(cacheKey);
+    if (cached) {
+      return cached.failed ? null : cached;
+    }
+    
+    try {
+      const page = await fetchPublic(url, {
+        maxBytes: MAX_HTML_BYTES,
+        accept: 'text/html,application/xhtml+xml;q=0.9,image/*;q=0.8'
+      });
+      
+      const mimeType = mimeTypeOf(page.headers);
+      const preview = {
+        url,
+        domain: new URL(page.url).hostname.replace(/^www\./, ''),
+        fetchedAt: new Date()
+      };
+      
+      if (IMAGE_EXTENSIONS[mimeType]) {
+        // Direct image links preview as the image itself
+        Object.assign(preview, await this.storeImage(page.data, mimeType));
+      } else if (['text/html', 'application/xhtml+xml'].includes(mimeType)) {
+        const metadata = parseMetadata(page.data.toString('utf8'), page.url);
+        
+        if (metadata.oembedUrl && (!metadata.title || !metadata.image)) {
+          const oembed = await this.fetchOEmbed(metadata.oembedUrl);
+          
+          metadata.title = metadata.title || oembed.title;
+          metadata.image = metadata.image || oembed.thumbnail_url;
+          metadata.siteName = metadata.siteName || oembed.provider_name;
+        }
+        
+        preview.title = truncate(metadata.title, 200);
+        preview.description = truncate(metadata.description, 500);
+        preview.siteName = truncate(metadata.siteName, 100);
+        
+        if (metadata.image) {
+          Object.assign(preview, await this.rehostImage(metadata.image));
+        }
+      } else {
+        throw new ApiError(`Unsupported content type ${mimeType || 'unknown'}`, 422);
+      }
+      
+      await redisService.set(cacheKey, preview, CACHE_TTL.LONG);
+      
+      return preview;
+    } catch (error) {
+      logger.warn(`Link preview failed for ${url}: ${error.message}`);
+      await redisService.set(cacheKey, { failed: true }, CACHE_TTL.SHORT);
+      return null;
+    }
+  }
+  
+  // Helper methods
+  async fetchOEmbed(oembedUrl) {
+    try {
+      const response = await fetchPublic(oembedUrl, {
+        maxBytes: MAX_OEMBED_BYTES,
+        accept: 'application/json'
+      });
+      
+      return JSON.parse(response.data.toString('utf8'));
+    } catch (error) {
+      logger.warn(`oEmbed lookup failed for ${oembedUrl}: ${error.message}`);
+      return {};
+    }
+  }
+  
+  // A missing or broken image shouldn't cost the rest of the preview
+  async rehostImage(imageUrl) {
+    try {
+      const response = await fetchPublic(imageUrl, {
+        maxBytes: FILE_LIMITS.MAX_FILE_SIZE,
+        accept: 'image/*'
+      });
+      
+      return await this.storeImage(response.data, mimeTypeOf(response.headers));
+    } catch (error) {
+      logger.warn(`Preview image rehost failed for ${imageUrl}: ${error.message}`);
+      return {};
+    }
+  }
+  
+  // Re-encodes through sharp so only decoded pixels are ever served back, never the fetched bytes
+  async storeImage(data, mimeType) {
+    if (!FILE_LIMITS.ALLOWED_IMAGE_TYPES.includes(mimeType)) {
+      throw new ApiError(`Preview image type ${mimeType || 'unknown'} is not allowed`, 422);
+    }
+    
+    await fs.promises.mkdir(WORK_DIR, { recursive: true });
+    
+    const originalPath = path.join(WORK_DIR, `${uuidv4()}${IMAGE_EXTENSIONS[mimeType]}`);
+    const created = [originalPath];
+    await fs.promises.writeFile(originalPath, data);
+    
+    try {
+      const imagePath = await processImage(originalPath, { width: 1200, height: 630 });
+      created.push(imagePath);
+      const thumbnailPath = await generateThumbnail(imagePath, 400);
+      created.push(thumbnailPath);
+      
+      // Unreferenced previews are swept by the media cleanup job
+      const imageKey = await storage.putFile(`public/previews/${path.basename(imagePath)}`, imagePath);
+      const thumbnailKey = await storage.putFile(`public/previews/${path.basename(thumbnailPath)}`, thumbnailPath);
+      
+      return {
+        image: storage.publicUrl(imageKey),
+        thumbnail: storage.publicUrl(thumbnailKey)
+      };
+    } finally {
+      created.forEach(filePath => deleteFile(filePath));
+    }
+  }
+}
+
+module.exports = new LinkPreviewService();
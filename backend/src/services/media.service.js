@@ -0,0 +1,487 @@
+// src/services/media.service.js
+const path = require('path');
+const Media = require('../models/Media.model');
+const Post = require('../models/Post.model');
+const User = require('../models/User.model');
+const Community = require('../models/Community.model');
+const storage = require('../storage');
+const ApiError = require('../utils/helpers/apiError');
+const logger = require('../config/logger');
+const redisService = require('./redis.service');
+const {
+  detectMimeType,
+  createImageVariants,
+  generateThumbnail,
+  deleteFile
+} = require('../utils/helpers/fileUpload');
+const { idOf } = require('../utils/helpers/communityAccess');
+const { FILE_LIMITS, MEDIA_PURPOSES, MEDIA_VISIBILITY, MEDIA_CLEANUP } = require('../config/constants');
+
+// Sweeps only touch these prefixes; anything else in the bucket is left alone
+const MEDIA_PREFIXES = ['public/media/', 'private/media/'];
+const PREVIEW_PREFIX = 'public/previews/';
+
+const ATTACHMENT_TYPES = [...FILE_LIMITS.ALLOWED_IMAGE_TYPES, ...FILE_LIMITS.ALLOWED_FILE_TYPES];
+
+// Widths are capped at the source width; avatars are cropped square
+// Avatars and banners are public from the start; post media until attached somewhere public, message media always private
+const PRESETS = {
+  [MEDIA_PURPOSES.POST]: { types: ATTACHMENT_TYPES, widths: [320, 640, 1280], visibility: MEDIA_VISIBILITY.PRIVATE },
+  [MEDIA_PURPOSES.MESSAGE]: { types: ATTACHMENT_TYPES, widths: [320, 1280], visibility: MEDIA_VISIBILITY.PRIVATE },
+  [MEDIA_PURPOSES.AVATAR]: {
+    types: FILE_LIMITS.ALLOWED_IMAGE_TYPES,
+    widths: [64, 128, 256],
+    square: true,
+    visibility: MEDIA_VISIBILITY.PUBLIC
+  },
+  [MEDIA_PURPOSES.BANNER]: {
+    types: FILE_LIMITS.ALLOWED_IMAGE_TYPES,
+    widths: [640, 1280, 1920],
+    visibility: MEDIA_VISIBILITY.PUBLIC
+  }
+};
+
+// Stored extension comes from the detected type, never from the client's file name
+const DOCUMENT_EXTENSIONS = {
+  'application/pdf': '.pdf',
+  'text/plain': '.txt',
+  'application/msword': '.doc'
+};
+
+const keyFor = (visibility, filePath) => `${visibility}/media/${path.basename(filePath)}`;
+
+// Every object a media document owns; square avatars reuse the smallest variant as thumbnail
+const keysOf = (media) => [...new Set([
+  media.key,
+  media.thumbnailKey,
+  ...(media.variants || []).map(variant => variant.key)
+].filter(Boolean))];
+
+class MediaService {
+  async uploadFiles(files, userId, purpose) {
+    const stored = [];
+    
+    try {
+      if (!files || files.length === 0) {
+        throw new ApiError('No files uploaded', 400);
+      }
+      
+      for (const file of files) {
+        stored.push(await this.storeFile(file, userId, purpose));
+      }
+      
+      logger.info(`${stored.length} ${purpose} media uploaded by user ${userId}`);
+      
+      return stored;
+    } catch (error) {
+      // All or nothing: drop what was already processed and the raw uploads still pending
+      await Promise.all(stored.map(media => this.removeMedia(media)));
+      (files || []).forEach(file => deleteFile(file.path));
+      logger.error(`Media upload failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async setAvatar(file, userId) {
+    try {
+      if (!file) {
+        throw new ApiError('No image uploaded', 400);
+      }
+      
+      const media = await this.storeFile(file, userId, MEDIA_PURPOSES.AVATAR, { refCount: 1 });
+      
+      const user = await User.findById(userId);
+      const previous = user.profile?.avatar;
+      
+      user.profile.avatar = media.url;
+      await user.save();
+      
+      await this.releaseByUrl(previous, MEDIA_PURPOSES.AVATAR);
+      await redisService.del(`user:${userId}:profile`);
+      
+      logger.info(`Avatar updated for user ${userId}`);
+      
+      return media;
+    } catch (error) {
+      if (file) deleteFile(file.path);
+      logger.error(`Avatar upload failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async setCommunityBanner(file, communityId, userId) {
+    try {
+      if (!file) {
+        throw new ApiError('No image uploaded', 400);
+      }
+      
+      const media = await this.storeFile(file, userId, MEDIA_PURPOSES.BANNER, { refCount: 1 });
+      
+      const community = await Community.findById(communityId);
+      const previous = community.bannerImage;
+      
+      community.bannerImage = media.url;
+      await community.save();
+      
+      await this.releaseByUrl(previous, MEDIA_PURPOSES.BANNER);
+      await redisService.clearPattern(`community:${communityId}:*`);
+      await redisService.clearPattern('communities:*');
+      
+      logger.info(`Banner updated for community ${communityId} by user ${userId}`);
+      
+      return media;
+    } catch (error) {
+      if (file) deleteFile(file.path);
+      logger.error(`Banner upload failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async deleteMedia(mediaId, userId) {
+    try {
+      const media = await Media.findOne({ _id: mediaId, owner: userId, isDeleted: false });
+      
+      if (!media) {
+        throw new ApiError('Media not found', 404);
+      }
+      
+      // Attached media goes away with the last post or message using it
+      if (media.refCount > 0) {
+        throw new ApiError('Media is still attached to a post or message', 409);
+      }
+      
+      await this.removeMedia(media);
+      
+      logger.info(`Media ${mediaId} deleted by user ${userId}`);
+    } catch (error) {
+      logger.error(`Media deletion failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Turn uploaded media ids into attachment entries for posts and messages.
+   * Only the caller's own uploads for that purpose are accepted. Attaching to public content
+   * moves private uploads to public storage; private entries carry no URL and are signed on read.
+   */
+  async resolveAttachments(mediaIds, userId, purpose, { isPrivate = true } = {}) {
+    const ids = [...new Set(mediaIds.map(id => id.toString()))];
+    
+    const media = await Media.find({
+      _id: { $in: ids },
+      owner: userId,
+      purpose,
+      isDeleted: false
+    });
+    
+    if (media.length !== ids.length) {
+      throw new ApiError('Invalid media attachment', 400);
+    }
+    
+    if (!isPrivate) {
+      await Promise.all(media
+        .filter(item => item.visibility === MEDIA_VISIBILITY.PRIVATE)
+        .map(item => this.publish(item)));
+    }
+    
+    const byId = new Map(media.map(item => [item._id.toString(), item]));
+    
+    return ids.map(id => {
+      const item = byId.get(id);
+      
+      return {
+        mediaId: item._id,
+        url: item.url,
+        type: item.kind,
+        thumbnail: item.thumbnail,
+        size: item.size
+      };
+    });
+  }
+  
+  // Called once the post or message holding the attachments is saved
+  async retain(mediaIds) {
+    if (mediaIds.length === 0) return;
+    
+    await Media.updateMany({ _id: { $in: mediaIds }, isDeleted: false }, { $inc: { refCount: 1 } });
+  }
+  
+  // Called when a post or message is deleted or drops attachments; the last reference removes the files
+  async release(mediaIds) {
+    if (mediaIds.length === 0) return;
+    
+    await Media.updateMany({ _id: { $in: mediaIds }, isDeleted: false }, { $inc: { refCount: -1 } });
+    
+    const unreferenced = await Media.find({ _id: { $in: mediaIds }, isDeleted: false, refCount: { $lte: 0 } });
+    await Promise.all(unreferenced.map(media => this.removeMedia(media)));
+  }
+  
+  /**
+   * Fill in signed URLs for private attachments (post media arrays or a message's media).
+   * Mutates and returns the entries; signed URLs outlive the short read caches they end up in.
+   */
+  async signAttachments(entries) {
+    const pending = entries.filter(entry => entry?.mediaId && !entry.url);
+    
+    if (pending.length === 0) return entries;
+    
+    const media = await Media.find({ _id: { $in: pending.map(entry => idOf(entry.mediaId)) }, isDeleted: false })
+      .select('key thumbnailKey');
+    const byId = new Map(media.map(item => [item._id.toString(), item]));
+    
+    await Promise.all(pending.map(async (entry) => {
+      const item = byId.get(idOf(entry.mediaId));
+      
+      if (item) {
+        entry.url = await storage.urlFor(item.key);
+        entry.thumbnail = item.thumbnailKey ? await storage.urlFor(item.thumbnailKey) : undefined;
+      }
+    }));
+    
+    return entries;
+  }
+  
+  // Upload response for the owner, with signed URLs when the media is still private
+  async toClient(media) {
+    const json = media.toJSON();
+    
+    if (media.visibility === MEDIA_VISIBILITY.PRIVATE) {
+      json.url = await storage.signedUrl(media.key);
+      json.thumbnail = media.thumbnailKey ? await storage.signedUrl(media.thumbnailKey) : undefined;
+      json.variants = await Promise.all(media.variants.map(async (variant, i) => ({
+        ...json.variants[i],
+        url: await storage.signedUrl(variant.key)
+      })));
+    }
+    
+    return json;
+  }
+  
+  /**
+   * Repeated by the scheduler. Removes media nobody references after the grace period, then sweeps
+   * storage for objects no live document points at (left behind by crashes or failed deletes).
+   */
+  async cleanupOrphans() {
+    const cutoff = new Date(Date.now() - MEDIA_CLEANUP.GRACE_PERIOD);
+    let removed = 0;
+    let swept = 0;
+    
+    const expired = await Media.find({ isDeleted: false, refCount: { $lte: 0 }, createdAt: { $lt: cutoff } })
+      .limit(MEDIA_CLEANUP.BATCH_SIZE);
+    
+    for (const media of expired) {
+      if (await this.removeMedia(media)) removed++;
+    }
+    
+    for (const prefix of MEDIA_PREFIXES) {
+      swept += await this.sweep(prefix, cutoff, async (keys) => {
+        const live = await Media.find({
+          isDeleted: false,
+          $or: [{ key: { $in: keys } }, { thumbnailKey: { $in: keys } }, { 'variants.key': { $in: keys } }]
+        }).select('key thumbnailKey variants.key');
+        
+        return new Set(live.flatMap(keysOf));
+      });
+    }
+    
+    const previewCutoff = new Date(Date.now() - MEDIA_CLEANUP.PREVIEW_GRACE_PERIOD);
+    
+    swept += await this.sweep(PREVIEW_PREFIX, previewCutoff, async (keys) => {
+      const urls = keys.map(key => storage.publicUrl(key));
+      const posts = await Post.find({
+        isDeleted: false,
+        $or: [{ 'linkPreview.image': { $in: urls } }, { 'linkPreview.thumbnail': { $in: urls } }]
+      }).select('linkPreview.image linkPreview.thumbnail');
+      
+      const used = new Set(posts.flatMap(post => [post.linkPreview.image, post.linkPreview.thumbnail]));
+      
+      return new Set(keys.filter(key => used.has(storage.publicUrl(key))));
+    });
+    
+    return { removed, swept };
+  }
+  
+  // Helper methods
+  async storeFile(file, userId, purpose, { refCount = 0 } = {}) {
+    const preset = PRESETS[purpose];
+    const { visibility } = preset;
+    const stored = [];
+    
+    try {
+      const mimeType = await detectMimeType(file.path);
+      
+      // The declared type has to match the content, so e.g. a script renamed to .png is refused
+      if (!mimeType || mimeType !== file.mimetype || !preset.types.includes(mimeType)) {
+        throw new ApiError(`${file.originalname} is not a valid ${file.mimetype} file`, 400);
+      }
+      
+      if (!FILE_LIMITS.ALLOWED_IMAGE_TYPES.includes(mimeType)) {
+        // Multer already gave the upload a random name
+        const key = keyFor(visibility, `${path.basename(file.path, path.extname(file.path))}${DOCUMENT_EXTENSIONS[mimeType]}`);
+        
+        try {
+          await storage.putFile(key, file.path, mimeType);
+          stored.push(key);
+        } finally {
+          deleteFile(file.path);
+        }
+        
+        return await Media.create({
+          owner: userId,
+          purpose,
+          kind: 'document',
+          mimeType,
+          originalName: file.originalname,
+          size: file.size,
+          key,
+          url: this.publicUrlOf(visibility, key),
+          visibility,
+          refCount
+        });
+      }
+      
+      // Variants are rendered next to the upload, then pushed to storage; the original keeps
+      // its EXIF block and never leaves this host
+      let variants = [];
+      let thumbnailPath;
+      try {
+        variants = await createImageVariants(file.path, preset.widths, { square: preset.square });
+        thumbnailPath = preset.square ? variants[0].path : await generateThumbnail(variants[0].path);
+      } catch (error) {
+        variants.forEach(variant => deleteFile(variant.path));
+        throw error instanceof ApiError ? error : new ApiError(`${file.originalname} could not be processed as an image`, 400);
+      } finally {
+        deleteFile(file.path);
+      }
+      
+      try {
+        for (const localPath of new Set([...variants.map(variant => variant.path), thumbnailPath])) {
+          stored.push(await storage.putFile(keyFor(visibility, localPath), localPath));
+        }
+      } finally {
+        new Set([...variants.map(variant => variant.path), thumbnailPath]).forEach(localPath => deleteFile(localPath));
+      }
+      
+      const largest = variants[variants.length - 1];
+      const key = keyFor(visibility, largest.path);
+      const thumbnailKey = keyFor(visibility, thumbnailPath);
+      
+      return await Media.create({
+        owner: userId,
+        purpose,
+        kind: 'image',
+        mimeType: 'image/webp',
+        originalName: file.originalname,
+        size: largest.size,
+        key,
+        url: this.publicUrlOf(visibility, key),
+        thumbnailKey,
+        thumbnail: this.publicUrlOf(visibility, thumbnailKey),
+        width: largest.width,
+        height: largest.height,
+        variants: variants.map(({ path: localPath, ...variant }) => {
+          const variantKey = keyFor(visibility, localPath);
+          return { ...variant, key: variantKey, url: this.publicUrlOf(visibility, variantKey) };
+        }),
+        visibility,
+        refCount
+      });
+    } catch (error) {
+      await storage.delete(stored);
+      throw error;
+    }
+  }
+  
+  // Private -> public only; private content keeps working because its entries are signed from the media document
+  async publish(media) {
+    const moved = [];
+    
+    try {
+      for (const key of keysOf(media)) {
+        moved.push([key, await storage.move(key, storage.withVisibility(key, false))]);
+      }
+    } catch (error) {
+      // Put back what was already moved so the document still matches storage
+      await Promise.all(moved.map(([from, to]) => storage.move(to, from).catch(() => {})));
+      throw error;
+    }
+    
+    const publicKey = (key) => key && storage.withVisibility(key, false);
+    
+    media.key = publicKey(media.key);
+    media.url = storage.publicUrl(media.key);
+    media.thumbnailKey = publicKey(media.thumbnailKey);
+    media.thumbnail = media.thumbnailKey ? storage.publicUrl(media.thumbnailKey) : undefined;
+    media.variants.forEach(variant => {
+      variant.key = publicKey(variant.key);
+      variant.url = storage.publicUrl(variant.key);
+    });
+    media.visibility = MEDIA_VISIBILITY.PUBLIC;
+    
+    await media.save();
+    
+    logger.info(`Media ${media._id} made public`);
+  }
+  
+  // Claims the document first so concurrent releases and the cleanup job delete its files only once
+  async removeMedia(media) {
+    const claimed = await Media.findOneAndUpdate(
+      { _id: media._id, isDeleted: false },
+      { $set: { isDeleted: true, deletedAt: new Date() } }
+    );
+    
+    if (!claimed) return false;
+    
+    await storage.delete(keysOf(claimed));
+    
+    return true;
+  }
+  
+  // Replaced avatars and banners lose their only reference
+  async releaseByUrl(url, purpose) {
+    if (!url) return;
+    
+    const media = await Media.findOne({ url, purpose, isDeleted: false }).select('_id');
+    
+    if (media) {
+      await this.release([media._id]);
+    }
+  }
+  
+  publicUrlOf(visibility, key) {
+    return visibility === MEDIA_VISIBILITY.PUBLIC ? storage.publicUrl(key) : undefined;
+  }
+  
+  // Lists objects under a prefix older than the cutoff and deletes those the lookup doesn't report as in use
+  async sweep(prefix, cutoff, findLive) {
+    let deleted = 0;
+    let batch = [];
+    
+    const flush = async () => {
+      const live = await findLive(batch);
+      const orphans = batch.filter(key => !live.has(key));
+      
+      await storage.delete(orphans);
+      deleted += orphans.length;
+      batch = [];
+    };
+    
+    for await (const object of storage.list(prefix)) {
+      if (object.lastModified >= cutoff) continue;
+      
+      batch.push(object.key);
+      
+      if (batch.length >= MEDIA_CLEANUP.BATCH_SIZE) {
+        await flush();
+      }
+    }
+    
+    if (batch.length > 0) {
+      await flush();
+    }
+    
+    return deleted;
+  }
+}
+
+module.exports = new MediaService();
@@ -0,0 +1,77 @@
+// src/services/mention.service.js
+const User = require('../models/User.model');
+const logger = require('../config/logger');
+const queue = require('../queues');
+const { extractMentions } = require('../utils/helpers/mentions');
+const { canReadContent } = require('../utils/helpers/communityAccess');
+const { JOBS, NOTIFICATION_TYPES } = require('../config/constants');
+
+// Case-insensitive username matching; usernames are stored as typed
+const USERNAME_COLLATION = { locale: 'en', strength: 2 };
+
+class MentionService {
+  /**
+   * User ids for the @usernames in the texts. Skips the author, anyone who blocked the author or
+   * was blocked by them, and anyone who couldn't see the content: non-readers of the community,
+   * or people outside `audience` (a DM's participants).
+   */
+  async resolveMentions(texts, { authorId, community = null, audience = null }) {
+    try {
+      const usernames = extractMentions(...texts);
+      
+      if (usernames.length === 0) {
+        return [];
+      }
+      
+      const [users, author] = await Promise.all([
+        User.find({ username: { $in: usernames } })
+          .collation(USERNAME_COLLATION)
+          .select('_id blockedUsers')
+          .lean(),
+        User.findById(authorId).select('blockedUsers').lean()
+      ]);
+      
+      const blockedByAuthor = new Set((author?.blockedUsers || []).map(id => id.toString()));
+      const allowed = audience && new Set(audience.map(id => id.toString()));
+      
+      return users
+        .filter(user => {
+          const id = user._id.toString();
+          
+          if (id === authorId.toString() || blockedByAuthor.has(id)) return false;
+          if ((user.blockedUsers || []).some(blocked => blocked.toString() === authorId.toString())) return false;
+          if (allowed && !allowed.has(id)) return false;
+          
+          return !community || canReadContent(community, id);
+        })
+        .map(user => user._id);
+    } catch (error) {
+      logger.error(`Resolve mentions failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Notify users newly mentioned in a piece of content. On edits pass the mentions stored before,
+   * so people who were already mentioned aren't notified again; `excludeUserIds` covers people
+   * already notified about the same content some other way (e.g. the post author of a comment).
+   */
+  async notifyMentions({ mentions = [], previous = [], excludeUserIds = [], notification }) {
+    const skip = new Set([...previous, ...excludeUserIds].map(id => id.toString()));
+    const recipients = mentions.filter(id => !skip.has(id.toString()));
+    
+    if (recipients.length === 0) {
+      return;
+    }
+    
+    await queue.add(JOBS.FANOUT_NOTIFICATION, {
+      recipients,
+      notification: {
+        type: NOTIFICATION_TYPES.USER_MENTIONED,
+        ...notification
+      }
+    });
+  }
+}
+
+module.exports = new MentionService();
@@ -0,0 +1,216 @@
+// src/services/notification.service.js
+const Notification = require('../models/Notification.model');
+const ApiError = require('../utils/helpers/apiError');
+const { paginate, withKeyset } = require('../utils/helpers/cursor');
+const logger = require('../config/logger');
+const redisService = require('./redis.service');
+
+const CATCH_UP_LIMIT = 100;
+
+class NotificationService {
+  async createNotification(data) {
+    try {
+      const { recipient, actor } = data;
+      
+      // Never notify users about their own actions
+      if (actor && recipient.toString() === actor.toString()) {
+        return null;
+      }
+      
+      const notification = await Notification.create(data);
+      await notification.populate('actor', 'username profile.avatar');
+      
+      await redisService.del(`user:${recipient}:notifications:unread`);
+      
+      this.deliver(notification);
+      
+      return notification;
+    } catch (error) {
+      logger.error(`Create notification failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  // Same notification for many recipients, written in a single batch
+  async createNotifications(recipients, data) {
+    try {
+      const docs = recipients
+        .filter(recipient => !data.actor || recipient.toString() !== data.actor.toString())
+        .map(recipient => ({ ...data, recipient }));
+      
+      if (docs.length === 0) {
+        return [];
+      }
+      
+      const notifications = await Notification.insertMany(docs);
+      
+      await Promise.all(docs.map(doc =>
+        redisService.del(`user:${doc.recipient}:notifications:unread`)
+      ));
+      
+      notifications.forEach(notification => this.deliver(notification));
+      
+      return notifications;
+    } catch (error) {
+      logger.error(`Create notifications failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async getNotifications(userId, pagination = {}) {
+    try {
+      const { limit, cursor, unreadOnly = false } = pagination;
+      
+      const query = { recipient: userId };
+      if (unreadOnly) {
+        query.isRead = false;
+      }
+      
+      return await paginate(({ keyset, sort, limit: size }) => Notification.find(withKeyset(query, keyset))
+        .sort(sort)
+        .limit(size)
+        .populate('actor', 'username profile.avatar'), { limit, cursor, scope: ['notifications', userId, unreadOnly] });
+    } catch (error) {
+      logger.error(`Get notifications failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async getUnreadCount(userId) {
+    try {
+      const cacheKey = `user:${userId}:notifications:unread`;
+      const cached = await redisService.get(cacheKey);
+      
+      if (cached !== null && cached !== undefined) {
+        return cached;
+      }
+      
+      const count = await Notification.countDocuments({ recipient: userId, isRead: false });
+      
+      await redisService.set(cacheKey, count, 300); // Cache for 5 minutes
+      
+      return count;
+    } catch (error) {
+      logger.error(`Get unread notification count failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async markAsRead(notificationId, userId) {
+    try {
+      const notification = await Notification.findOne({
+        _id: notificationId,
+        recipient: userId
+      });
+      
+      if (!notification) {
+        throw new ApiError('Notification not found', 404);
+      }
+      
+      if (!notification.isRead) {
+        notification.isRead = true;
+        notification.readAt = new Date();
+        await notification.save();
+        
+        await redisService.del(`user:${userId}:notifications:unread`);
+        this.emitToUser(userId, 'notifications_read', { notificationIds: [notification._id] });
+      }
+      
+      return notification;
+    } catch (error) {
+      logger.error(`Mark notification as read failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async markAllAsRead(userId) {
+    try {
+      const result = await Notification.updateMany(
+        { recipient: userId, isRead: false },
+        { isRead: true, readAt: new Date() }
+      );
+      
+      await redisService.del(`user:${userId}:notifications:unread`);
+      this.emitToUser(userId, 'notifications_read', { all: true });
+      
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error(`Mark all notifications as read failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  // Notifications created after `since`, oldest first, for clients that reconnect
+  async getMissedNotifications(userId, since) {
+    try {
+      const query = { recipient: userId };
+      
+      if (since) {
+        query.createdAt = { $gt: new Date(since) };
+      } else {
+        query.isRead = false;
+      }
+      
+      const notifications = await Notification.find(query)
+        .sort('-createdAt')
+        .limit(CATCH_UP_LIMIT)
+        .populate('actor', 'username profile.avatar');
+      
+      return notifications.reverse();
+    } catch (error) {
+      logger.error(`Get missed notifications failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async syncSocket(socket, since) {
+    try {
+      const userId = socket.user._id;
+      const [notifications, unreadCount] = await Promise.all([
+        this.getMissedNotifications(userId, since),
+        this.getUnreadCount(userId)
+      ]);
+      
+      socket.emit('notifications_sync', {
+        notifications: notifications.map(n => n.toJSON()),
+        unreadCount,
+        syncedAt: new Date()
+      });
+    } catch (error) {
+      logger.error(`Notification sync failed: ${error.message}`);
+    }
+  }
+  
+  // Helper methods
+  deliver(notification) {
+    this.emitToUser(notification.recipient, 'notification', notification.toJSON());
+  }
+  
+  emitToUser(userId, event, payload) {
+    this.emitToRoom(`user:${userId}`, event, payload);
+  }
+  
+  /**
+   * Works from any process. The API emits through its socket server, whose Redis adapter reaches
+   * clients on the other API instances; the standalone worker has no server and publishes through
+   * the Redis emitter instead (worker.js refuses to start without Redis).
+   */
+  emitToRoom(room, event, payload) {
+    const io = require('../config/socket').getIO() || this.getEmitter();
+    
+    if (io) {
+      io.to(room).emit(event, payload);
+    }
+  }
+  
+  getEmitter() {
+    if (!this.emitter && redisService.isRedis) {
+      const { Emitter } = require('@socket.io/redis-emitter');
+      this.emitter = new Emitter(redisService.duplicate());
+    }
+    
+    return this.emitter || null;
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,202 @@
+// src/services/pet.service.js
+const Pet = require('../models/Pet.model');
+const AIChat = require('../models/AIChat.model');
+const ApiError = require('../utils/helpers/apiError');
+const logger = require('../config/logger');
+const redisService = require('./redis.service');
+
+class PetService {
+  async createPet(data, ownerId) {
+    try {
+      if (data.microchipId) {
+        await this.assertMicrochipAvailable(data.microchipId);
+      }
+      
+      const pet = await Pet.create({
+        ...data,
+        photos: this.normalizePhotos(data.photos),
+        owner: ownerId
+      });
+      
+      await redisService.del(`user:${ownerId}:pets`);
+      
+      logger.info(`Pet created: ${pet._id} for user ${ownerId}`);
+      
+      return pet;
+    } catch (error) {
+      logger.error(`Pet creation failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async getPetById(id, viewerId = null) {
+    try {
+      const pet = await Pet.findById(id)
+        .populate('owner', 'username profile.avatar');
+      
+      if (!pet || pet.isDeleted) {
+        throw new ApiError('Pet not found', 404);
+      }
+      
+      // Private pets are only visible to their owner
+      const isOwner = viewerId && pet.owner._id.toString() === viewerId.toString();
+      if (!pet.isPublic && !isOwner) {
+        throw new ApiError('Pet not found', 404);
+      }
+      
+      return pet;
+    } catch (error) {
+      logger.error(`Get pet failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async getPetsByOwner(ownerId, viewerId = null) {
+    try {
+      const isOwner = viewerId && ownerId.toString() === viewerId.toString();
+      const cacheKey = `user:${ownerId}:pets`;
+      
+      let pets = await redisService.get(cacheKey);
+      
+      if (!pets) {
+        pets = await Pet.find({ owner: ownerId, isDeleted: false }).sort('createdAt');
+        pets = pets.map(pet => pet.toJSON());
+        
+        await redisService.set(cacheKey, pets, 300); // Cache for 5 minutes
+      }
+      
+      return isOwner ? pets : pets.filter(pet => pet.isPublic);
+    } catch (error) {
+      logger.error(`Get user pets failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async updatePet(id, data, userId) {
+    try {
+      const pet = await this.getOwnedPet(id, userId);
+      
+      if (data.microchipId && data.microchipId !== pet.microchipId) {
+        await this.assertMicrochipAvailable(data.microchipId);
+      }
+      
+      if (data.photos) {
+        data.photos = this.normalizePhotos(data.photos);
+      }
+      
+      Object.keys(data).forEach(key => {
+        pet[key] = data[key];
+      });
+      
+      await pet.save();
+      
+      await redisService.del(`user:${userId}:pets`);
+      
+      logger.info(`Pet updated: ${pet._id} by user ${userId}`);
+      
+      return pet;
+    } catch (error) {
+      logger.error(`Pet update failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async deletePet(id, userId) {
+    try {
+      const pet = await this.getOwnedPet(id, userId);
+      
+      // Soft delete so posts and health records keep their reference
+      pet.isDeleted = true;
+      pet.deletedAt = new Date();
+      pet.microchipId = undefined;
+      await pet.save();
+      
+      // The AI assistant shouldn't keep advising about a removed pet
+      await AIChat.updateMany({ 'petInfo.pet': pet._id }, { $unset: { 'petInfo.pet': 1 } });
+      
+      await redisService.del(`user:${userId}:pets`);
+      
+      logger.info(`Pet deleted: ${pet._id} by user ${userId}`);
+      
+      return pet;
+    } catch (error) {
+      logger.error(`Pet deletion failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async addWeight(id, entry, userId) {
+    try {
+      const pet = await this.getOwnedPet(id, userId);
+      
+      pet.weightHistory.push(entry);
+      pet.weightHistory.sort((a, b) => a.recordedAt - b.recordedAt);
+      await pet.save();
+      
+      await redisService.del(`user:${userId}:pets`);
+      
+      logger.info(`Weight recorded for pet ${pet._id} by user ${userId}`);
+      
+      return pet;
+    } catch (error) {
+      logger.error(`Add pet weight failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async removeWeight(id, entryId, userId) {
+    try {
+      const pet = await this.getOwnedPet(id, userId);
+      
+      const entry = pet.weightHistory.id(entryId);
+      if (!entry) {
+        throw new ApiError('Weight entry not found', 404);
+      }
+      
+      entry.deleteOne();
+      await pet.save();
+      
+      await redisService.del(`user:${userId}:pets`);
+      
+      return pet;
+    } catch (error) {
+      logger.error(`Remove pet weight failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  // Resolves a pet the user owns; used by posts and health records that reference a pet
+  async getOwnedPet(id, userId) {
+    const pet = await Pet.findById(id);
+    
+    if (!pet || pet.isDeleted) {
+      throw new ApiError('Pet not found', 404);
+    }
+    
+    if (pet.owner.toString() !== userId.toString()) {
+      throw new ApiError('You can only manage your own pets', 403);
+    }
+    
+    return pet;
+  }
+  
+  // Helper methods
+  async assertMicrochipAvailable(microchipId) {
+    const exists = await Pet.exists({ microchipId });
+    
+    if (exists) {
+      throw new ApiError('A pet with this microchip ID is already registered', 409);
+    }
+  }
+  
+  // Exactly one photo is primary when a pet has photos
+  normalizePhotos(photos = []) {
+    if (photos.length === 0) return photos;
+    
+    const primaryIndex = Math.max(photos.findIndex(photo => photo.isPrimary), 0);
+    
+    return photos.map((photo, index) => ({ ...photo, isPrimary: index === primaryIndex }));
+  }
+}
+
+module.exports = new PetService();
@@ -0,0 +1,315 @@
+// src/services/poll.service.js
+const mongoose = require('mongoose');
+const Post = require('../models/Post.model');
+const Community = require('../models/Community.model');
+const ApiError = require('../utils/helpers/apiError');
+const logger = require('../config/logger');
+const redisService = require('./redis.service');
+const notificationService = require('./notification.service');
+const { ACCESS_FIELDS, assertCanRead, assertCanParticipate } = require('../utils/helpers/communityAccess');
+const { POST_STATUS, NOTIFICATION_TYPES } = require('../config/constants');
+
+const CLOSE_BATCH_SIZE = 100;
+
+class PollService {
+  async vote(postId, optionIds, userId) {
+    try {
+      const post = await this.getOpenPoll(postId, userId);
+      const ids = this.resolveOptions(post, optionIds);
+      
+      if (this.getUserVotes(post, userId).length > 0) {
+        throw new ApiError('You have already voted in this poll', 409);
+      }
+      
+      await this.castVote(postId, ids, userId);
+      
+      logger.info(`User ${userId} voted in poll ${postId}`);
+      
+      return await this.publishResults(postId, userId);
+    } catch (error) {
+      logger.error(`Poll vote failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async changeVote(postId, optionIds, userId) {
+    try {
+      const post = await this.getOpenPoll(postId, userId);
+      const ids = this.resolveOptions(post, optionIds);
+      
+      if (this.getUserVotes(post, userId).length === 0) {
+        throw new ApiError('Your vote could not be retracted; the poll has closed or you have not voted', 400);
+      }
+      
+      await this.replaceVote(postId, ids, userId);
+      
+      logger.info(`User ${userId} changed their vote in poll ${postId}`);
+      
+      return await this.publishResults(postId, userId);
+    } catch (error) {
+      logger.error(`Poll vote change failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async retractVote(postId, userId) {
+    try {
+      await this.getOpenPoll(postId, userId);
+      
+      if (!await this.removeVote(postId, userId)) {
+        throw new ApiError('You have not voted in this poll', 400);
+      }
+      
+      logger.info(`User ${userId} retracted their vote in poll ${postId}`);
+      
+      return await this.publishResults(postId, userId);
+    } catch (error) {
+      logger.error(`Poll vote retraction failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async getResults(postId, userId = null) {
+    try {
+      const post = await this.getPoll(postId);
+      
+      const community = await Community.findById(post.community).select(ACCESS_FIELDS);
+      assertCanRead(community, userId);
+      
+      return this.buildResults(post, userId);
+    } catch (error) {
+      logger.error(`Get poll results failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  // Repeated by the scheduler; each poll is claimed so the author is notified once
+  async closeExpiredPolls(now = new Date()) {
+    try {
+      const expired = await Post.find({
+        type: 'poll',
+        isDeleted: false,
+        'poll.endsAt': { $lte: now },
+        'poll.isClosed': { $ne: true }
+      })
+        .select('_id')
+        .limit(CLOSE_BATCH_SIZE);
+      
+      let closed = 0;
+      
+      for (const { _id } of expired) {
+        if (await this.closePoll(_id, now)) {
+          closed++;
+        }
+      }
+      
+      return closed;
+    } catch (error) {
+      logger.error(`Close expired polls failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  // Helper methods
+  async getPoll(postId) {
+    const post = await Post.findById(postId);
+    
+    if (!post || post.isDeleted || post.status !== POST_STATUS.PUBLISHED) {
+      throw new ApiError('Post not found', 404);
+    }
+    
+    if (post.type !== 'poll' || post.poll.options.length === 0) {
+      throw new ApiError('This post is not a poll', 400);
+    }
+    
+    return post;
+  }
+  
+  async getOpenPoll(postId, userId) {
+    const post = await this.getPoll(postId);
+    
+    const community = await Community.findById(post.community).select(ACCESS_FIELDS);
+    assertCanParticipate(community, userId);
+    
+    if (this.isClosed(post)) {
+      throw new ApiError('This poll has closed', 400);
+    }
+    
+    return post;
+  }
+  
+  isClosed(post, now = new Date()) {
+    return post.poll.isClosed || (!!post.poll.endsAt && post.poll.endsAt <= now);
+  }
+  
+  resolveOptions(post, optionIds) {
+    const ids = [...new Set(optionIds.map(id => id.toString()))];
+    
+    if (!post.poll.isMultiChoice && ids.length > 1) {
+      throw new ApiError('This poll allows only one choice', 400);
+    }
+    
+    const options = ids.map(id => post.poll.options.id(id));
+    
+    if (options.some(option => !option)) {
+      throw new ApiError('Invalid poll option', 400);
+    }
+    
+    return options.map(option => option._id);
+  }
+  
+  getUserVotes(post, userId) {
+    return post.poll.options
+      .filter(option => option.voters.some(voter => voter.toString() === userId.toString()))
+      .map(option => option._id);
+  }
+  
+  // Conditional on the poll still being open and the user not having voted, so racing requests count once
+  async castVote(postId, optionIds, userId) {
+    const result = await Post.updateOne(
+      {
+        _id: postId,
+        'poll.isClosed': { $ne: true },
+        'poll.options.voters': { $ne: userId },
+        $or: [{ 'poll.endsAt': null }, { 'poll.endsAt': { $gt: new Date() } }]
+      },
+      {
+        $inc: { 'poll.options.$[option].votes': 1 },
+        $addToSet: { 'poll.options.$[option].voters': userId }
+      },
+      { arrayFilters: [{ 'option._id': { $in: optionIds } }] }
+    );
+    
+    if (result.modifiedCount === 0) {
+      throw new ApiError('Your vote could not be recorded; the poll has closed or you already voted', 409);
+    }
+  }
+  
+  /**
+   * Moves the user's vote to `optionIds` in one write: every option drops the user and their count,
+   * then the chosen ones add them back. Conditional like castVote, so the vote is never briefly gone.
+   */
+  async replaceVote(postId, optionIds, userId) {
+    const voter = new mongoose.Types.ObjectId(userId.toString());
+    const chosen = optionIds.map(id => new mongoose.Types.ObjectId(id.toString()));
+    const isChosen = { $in: ['$$option._id', chosen] };
+    const voters = { $ifNull: ['$$option.voters', []] };
+    const hadVoted = { $in: [voter, voters] };
+    
+    const result = await Post.updateOne(
+      {
+        _id: postId,
+        'poll.isClosed': { $ne: true },
+        'poll.options.voters': voter,
+        $or: [{ 'poll.endsAt': null }, { 'poll.endsAt': { $gt: new Date() } }]
+      },
+      [{ $set: { 'poll.options': { $map: {
+        input: '$poll.options',
+        as: 'option',
+        in: { $mergeObjects: ['$$option', {
+          votes: { $add: [{ $ifNull: ['$$option.votes', 0] }, { $cond: [hadVoted, -1, 0] }, { $cond: [isChosen, 1, 0] }] },
+          voters: { $concatArrays: [
+            { $filter: { input: voters, cond: { $ne: ['$$this', voter] } } },
+            { $cond: [isChosen, [voter], []] }
+          ] }
+        }] }
+      } } } }]
+    );
+    
+    if (result.matchedCount === 0) {
+      throw new ApiError('Your vote could not be changed; the poll has closed or your vote was retracted', 409);
+    }
+  }
+  
+  // Conditional like castVote, so a vote can't be retracted once the poll has closed
+  async removeVote(postId, userId) {
+    const result = await Post.updateOne(
+      {
+        _id: postId,
+        'poll.isClosed': { $ne: true },
+        'poll.options.voters': userId,
+        $or: [{ 'poll.endsAt': null }, { 'poll.endsAt': { $gt: new Date() } }]
+      },
+      {
+        $inc: { 'poll.options.$[voted].votes': -1 },
+        $pull: { 'poll.options.$[].voters': userId }
+      },
+      { arrayFilters: [{ 'voted.voters': userId }] }
+    );
+    
+    return result.modifiedCount > 0;
+  }
+  
+  // Broadcasts anonymous results to the post room and returns them with the caller's own choices
+  async publishResults(postId, userId) {
+    const post = await Post.findById(postId);
+    
+    await redisService.clearPattern(`post:${postId}:*`);
+    
+    notificationService.emitToRoom(`post:${postId}`, 'poll_update', this.buildResults(post));
+    
+    return this.buildResults(post, userId);
+  }
+  
+  async closePoll(postId, now) {
+    const post = await Post.findOneAndUpdate(
+      { _id: postId, 'poll.isClosed': { $ne: true } },
+      { $set: { 'poll.isClosed': true, 'poll.closedAt': now } },
+      { new: true }
+    );
+    
+    if (!post) return false;
+    
+    const results = this.buildResults(post);
+    
+    await redisService.clearPattern(`post:${postId}:*`);
+    
+    notificationService.emitToRoom(`post:${postId}`, 'poll_update', results);
+    
+    await notificationService.createNotification({
+      recipient: post.author,
+      type: NOTIFICATION_TYPES.POLL_CLOSED,
+      post: post._id,
+      community: post.community,
+      message: `Your poll "${post.poll.question || post.title}" has closed with ${results.voterCount} ${results.voterCount === 1 ? 'voter' : 'voters'}`.slice(0, 500),
+      actionUrl: `/posts/${post._id}`
+    });
+    
+    logger.info(`Poll ${postId} closed`);
+    
+    return true;
+  }
+  
+  // Percentages are of voters, so multi-choice options can add up to more than 100
+  buildResults(post, userId = null) {
+    const { options } = post.poll;
+    
+    const voters = new Set(options.flatMap(option => option.voters.map(voter => voter.toString())));
+    const voterCount = voters.size;
+    
+    const results = {
+      postId: post._id,
+      question: post.poll.question,
+      isMultiChoice: post.poll.isMultiChoice,
+      endsAt: post.poll.endsAt,
+      isClosed: this.isClosed(post),
+      closedAt: post.poll.closedAt,
+      totalVotes: options.reduce((sum, option) => sum + option.votes, 0),
+      voterCount,
+      options: options.map(option => ({
+        _id: option._id,
+        text: option.text,
+        votes: option.votes,
+        percentage: voterCount > 0 ? Math.round((option.votes / voterCount) * 1000) / 10 : 0
+      }))
+    };
+    
+    if (userId) {
+      results.myVotes = this.getUserVotes(post, userId);
+    }
+    
+    return results;
+  }
+}
+
+module.exports = new PollService();
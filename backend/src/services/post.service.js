@@ -5,7 +5,17 @@ const User = require('../models/User.model');
 const ApiError = require('../utils/helpers/apiError');
 const logger = require('../config/logger');
 const redisService = require('./redis.service');
-const aiService = require('./ai.service');
+const petService = require('./pet.service');
+const mediaService = require('./media.service');
+const mentionService = require('./mention.service');
+const voteService = require('./vote.service');
+const { assertPublicUrl } = require('../utils/helpers/safeHttp');
+const { ACCESS_FIELDS, idOf, isModerator, canReadContent, assertCanRead, assertCanParticipate } = require('../utils/helpers/communityAccess');
+const queue = require('../queues');
+const { postScores, postSort } = require('../utils/helpers/ranking');
+const { paginate, withKeyset } = require('../utils/helpers/cursor');
+const { normalizeTag, extractHashtags, collectTags } = require('../utils/helpers/hashtags');
+const { POST_STATUS, MEDIA_PURPOSES, NOTIFICATION_TYPES, JOBS, RANKING, SCHEDULES, VOTE_TARGETS } = require('../config/constants');
 
 class PostService {
   async createPost(data, userId) {
@@ -41,38 +51,77 @@ class PostService {
         }
       }
       
-      // AI moderation for content
-      let aiAnalysis = null;
-      if (data.content && data.content.length > 10) {
-        try {
-          aiAnalysis = await aiService.moderateContent(data.content);
-          
-          // Check if content is safe
-          if (aiAnalysis.flagged || aiAnalysis.toxicity_score > 0.7) {
-            throw new ApiError('Content violates community guidelines', 400);
-          }
-        } catch (aiError) {
-          logger.warn(`AI moderation failed: ${aiError.message}`);
-          // Continue without AI analysis if service is down
-        }
+      // Posts can feature one of the author's own pets
+      if (data.petId) {
+        await petService.getOwnedPet(data.petId, userId);
+      }
+      
+      if (data.media) {
+        data.media = await this.resolveMedia(data.media, userId, community);
       }
       
+      const needsReview = this.requiresReview(community, userId);
+      
       // Create post
       const postData = {
         ...data,
         author: userId,
         community: data.communityId,
-        aiAnalysis: aiAnalysis ? {
-          sentiment: aiAnalysis.sentiment,
-          toxicityScore: aiAnalysis.toxicity_score,
-          categories: aiAnalysis.categories || [],
-          analyzedAt: new Date()
-        } : undefined
+        pet: data.petId,
+        status: needsReview ? POST_STATUS.PENDING : POST_STATUS.PUBLISHED
       };
       
       delete postData.communityId;
+      delete postData.petId;
+      
+      postData.tags = collectTags({
+        tags: data.tags,
+        texts: [data.title, data.content],
+        banned: community.bannedTags.map(banned => banned.tag)
+      });
+      
+      postData.mentions = await mentionService.resolveMentions([data.title, data.content], {
+        authorId: userId,
+        community
+      });
+      
+      if (postData.linkPreview) {
+        const url = assertPublicUrl(postData.linkPreview.url);
+        url.hash = '';
+        
+        postData.linkPreview = { url: url.href, domain: url.hostname.replace(/^www\./, '') };
+      }
       
       const post = await Post.create(postData);
+      await mediaService.retain(this.mediaIdsOf(post.media));
+      
+      // AI moderation and link unfurling run in the background worker
+      await queue.add(JOBS.ANALYZE_POST, { postId: post._id });
+      
+      if (post.linkPreview?.url) {
+        await queue.add(JOBS.UNFURL_LINK, { postId: post._id });
+      }
+      
+      if (needsReview) {
+        await queue.add(JOBS.FANOUT_NOTIFICATION, {
+          recipients: [community.owner, ...community.moderators.map(mod => mod.user)],
+          notification: {
+            type: NOTIFICATION_TYPES.POST_SUBMITTED,
+            actor: userId,
+            post: post._id,
+            community: community._id,
+            message: `New post awaiting review in ${community.name}`,
+            actionUrl: `/communities/${community.slug}/post-queue`
+          }
+        });
+        
+        logger.info(`Post submitted for review: ${post._id} by user ${userId} in community ${data.communityId}`);
+        
+        return post;
+      }
+      
+      // Queued posts notify their mentions once approved
+      await this.notifyMentions(post);
       
       // Update community stats
       community.stats.postCount += 1;
@@ -97,17 +146,16 @@ class PostService {
       const cached = await redisService.get(cacheKey);
       
       if (cached) {
+        // Membership may have changed since the entry was cached
+        const community = await this.assertCanReadCommunity(cached.community._id, userId);
+        this.assertCanViewPost(cached, community, userId);
         return cached;
       }
       
       let query = Post.findById(id)
         .populate('author', 'username profile.avatar')
-        .populate('community', 'name slug avatar');
-      
-      if (userId) {
-        // Increment view count if user is viewing
-        await Post.findByIdAndUpdate(id, { $inc: { views: 1 } });
-      }
+        .populate('community', 'name slug avatar')
+        .populate('pet', 'name species breed photos');
       
       const post = await query;
       
@@ -119,9 +167,21 @@ class PostService {
         throw new ApiError('Post has been deleted', 404);
       }
       
-      await redisService.set(cacheKey, post, 60); // Cache for 1 minute
+      const community = await this.assertCanReadCommunity(post.community._id, userId);
+      this.assertCanViewPost(post, community, userId);
       
-      return post;
+      if (userId) {
+        // Increment view count if user is viewing
+        await Post.findByIdAndUpdate(id, { $inc: { views: 1 } });
+      }
+      
+      await mediaService.signAttachments(post.media);
+      
+      // Cached per viewer, so their vote is cached with it; voting clears the entry
+      const [result] = await voteService.attachUserVotes([post], userId);
+      await redisService.set(cacheKey, result, 60); // Cache for 1 minute
+      
+      return result;
     } catch (error) {
       logger.error(`Get post failed: ${error.message}`);
       throw error;
@@ -132,7 +192,7 @@ class PostService {
     try {
       const post = await Post.findById(id);
       
-      if (!post) {
+      if (!post || post.isDeleted) {
         throw new ApiError('Post not found', 404);
       }
       
@@ -149,24 +209,40 @@ class PostService {
         }
       }
       
-      // AI moderation for updated content
-      if (data.content && data.content.length > 10) {
-        try {
-          const aiAnalysis = await aiService.moderateContent(data.content);
-          
-          if (aiAnalysis.flagged || aiAnalysis.toxicity_score > 0.7) {
-            throw new ApiError('Content violates community guidelines', 400);
-          }
-          
-          data.aiAnalysis = {
-            sentiment: aiAnalysis.sentiment,
-            toxicityScore: aiAnalysis.toxicity_score,
-            categories: aiAnalysis.categories || [],
-            analyzedAt: new Date()
-          };
-        } catch (aiError) {
-          logger.warn(`AI moderation failed: ${aiError.message}`);
+      if (data.petId !== undefined) {
+        if (data.petId) {
+          await petService.getOwnedPet(data.petId, post.author);
         }
+        data.pet = data.petId || undefined;
+        delete data.petId;
+      }
+      
+      const previousMediaIds = this.mediaIdsOf(post.media);
+      const previousMentions = post.mentions.map(id => id.toString());
+      const textChanged = data.title !== undefined || data.content !== undefined;
+      const community = (data.media || data.tags || textChanged) &&
+        await Community.findById(post.community).select(`${ACCESS_FIELDS} bannedTags`);
+      
+      if (data.media) {
+        data.media = await this.resolveMedia(data.media, post.author, community);
+      }
+      
+      if (textChanged) {
+        data.mentions = await mentionService.resolveMentions([data.title ?? post.title, data.content ?? post.content], {
+          authorId: post.author,
+          community
+        });
+      }
+      
+      // Hashtags from the old text are re-extracted, so only the tags picked explicitly carry over
+      if (textChanged || data.tags) {
+        const previousHashtags = new Set(extractHashtags(post.title, post.content));
+        
+        data.tags = collectTags({
+          tags: data.tags ?? post.tags.filter(tag => !previousHashtags.has(tag)),
+          texts: [data.title ?? post.title, data.content ?? post.content],
+          banned: community.bannedTags.map(banned => banned.tag)
+        });
       }
       
       // Update post
@@ -179,6 +255,22 @@ class PostService {
       
       await post.save();
       
+      if (data.media) {
+        const mediaIds = this.mediaIdsOf(post.media);
+        
+        await mediaService.retain(mediaIds.filter(id => !previousMediaIds.includes(id)));
+        await mediaService.release(previousMediaIds.filter(id => !mediaIds.includes(id)));
+      }
+      
+      // Re-run AI moderation on edited content
+      if (data.content || data.title) {
+        await queue.add(JOBS.ANALYZE_POST, { postId: post._id });
+      }
+      
+      if (textChanged && post.status === POST_STATUS.PUBLISHED) {
+        await this.notifyMentions(post, previousMentions);
+      }
+      
       // Clear cache
       await redisService.clearPattern(`post:${id}:*`);
       await redisService.clearPattern(`community:${post.community}:posts:*`);
@@ -213,15 +305,31 @@ class PostService {
         }
       }
       
-      // Soft delete
-      post.isDeleted = true;
-      post.deletedAt = new Date();
-      await post.save();
+      if (post.isDeleted) {
+        throw new ApiError('Post not found', 404);
+      }
       
-      // Update community stats
-      await Community.findByIdAndUpdate(post.community, {
-        $inc: { 'stats.postCount': -1 }
-      });
+      // Soft delete, claimed atomically so a concurrent delete or AI removal can't
+      // release the media or decrement the count a second time
+      const deleted = await Post.findOneAndUpdate(
+        { _id: post._id, isDeleted: false },
+        { $set: { isDeleted: true, deletedAt: new Date() } },
+        { new: true }
+      );
+      
+      if (!deleted) {
+        throw new ApiError('Post not found', 404);
+      }
+      
+      // Uploads only this post used are deleted from storage right away
+      await mediaService.release(this.mediaIdsOf(deleted.media));
+      
+      // Queued and rejected posts were never counted
+      if (deleted.status === POST_STATUS.PUBLISHED) {
+        await Community.findByIdAndUpdate(post.community, {
+          $inc: { 'stats.postCount': -1 }
+        });
+      }
       
       // Clear cache
       await redisService.clearPattern(`post:${id}:*`);
@@ -229,88 +337,83 @@ class PostService {
       
       logger.info(`Post deleted: ${post._id} by user ${userId}`);
       
-      return post;
+      return deleted;
     } catch (error) {
       logger.error(`Post deletion failed: ${error.message}`);
       throw error;
     }
   }
   
-  async getPostsByCommunity(communityId, filters = {}, pagination = {}) {
+  async getPostsByCommunity(communityId, filters = {}, pagination = {}, userId = null) {
     try {
-      const { page = 1, limit = 20, sort = '-score' } = pagination;
-      const skip = (page - 1) * limit;
+      const { limit, cursor, sort = 'hot', window = 'all' } = pagination;
       
-      const cacheKey = `community:${communityId}:posts:${JSON.stringify(filters)}:${page}:${limit}:${sort}`;
+      // Checked before the cache, which is shared by all viewers
+      await this.assertCanReadCommunity(communityId, userId);
+      
+      const cacheKey = `community:${communityId}:posts:${JSON.stringify(filters)}:${sort}:${window}:${limit}:${cursor || ''}`;
       const cached = await redisService.get(cacheKey);
       
       if (cached) {
-        return cached;
+        return await this.withUserVotes(cached, userId);
       }
       
       // Build query
-      let query = Post.find({
+      const query = {
         community: communityId,
         isDeleted: false
-      });
+      };
       
       // Apply filters
       if (filters.author) {
-        query = query.where('author').equals(filters.author);
+        query.author = filters.author;
       }
       
       if (filters.type) {
-        query = query.where('type').equals(filters.type);
+        query.type = filters.type;
       }
       
       if (filters.tags && filters.tags.length > 0) {
-        query = query.where('tags').in(filters.tags);
+        query.tags = { $in: filters.tags.map(normalizeTag).filter(Boolean) };
       }
       
-      // Handle pinned posts
-      let pinnedPosts = [];
-      if (page === 1 && sort !== '-createdAt') {
-        pinnedPosts = await Post.find({
+      // Pinned posts lead the first page of ranked sorts, so they're kept out of the paged list
+      const pinFirst = sort !== 'new';
+      if (pinFirst) {
+        query.isPinned = { $ne: true };
+      }
+      
+      // Time-bounded sorts are evaluated as of the first page so later pages don't drift
+      const page = await paginate(({ keyset, sort: order, limit: size, asOf }) => Post.find(withKeyset({
+        ...query,
+        ...postSort(sort, window, asOf.getTime()).filter
+      }, keyset))
+        .published()
+        .sort(order)
+        .limit(size)
+        .populate('author', 'username profile.avatar')
+        .select('title author upvoteCount downvoteCount score commentCount views createdAt type media tags isPinned'),
+      { field: postSort(sort).field, limit, cursor, scope: ['communityPosts', communityId, filters, sort, window] });
+      
+      if (pinFirst && !page.prevCursor) {
+        const pinnedPosts = await Post.find({
           community: communityId,
           isDeleted: false,
           isPinned: true
         })
+        .published()
         .populate('author', 'username profile.avatar')
-        .select('title author upvotes downvotes score commentCount createdAt isPinned')
+        .select('title author upvoteCount downvoteCount score commentCount createdAt isPinned')
         .limit(5);
+        
+        page.items = [...pinnedPosts, ...page.items];
       }
       
-      // Count total
-      const total = await Post.countDocuments(query);
+      await mediaService.signAttachments(page.items.flatMap(post => post.media || []));
       
-      // Apply pagination and sorting
-      let posts = await query
-        .sort(sort)
-        .skip(skip)
-        .limit(limit)
-        .populate('author', 'username profile.avatar')
-        .select('title author upvotes downvotes score commentCount views createdAt type media tags isPinned');
-      
-      // Combine pinned and regular posts for first page
-      if (page === 1 && sort !== '-createdAt' && pinnedPosts.length > 0) {
-        const pinnedIds = pinnedPosts.map(p => p._id.toString());
-        posts = posts.filter(p => !pinnedIds.includes(p._id.toString()));
-        posts = [...pinnedPosts, ...posts];
-      }
-      
-      const result = {
-        posts,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
-        }
-      };
+      await redisService.set(cacheKey, page, 30); // Cache for 30 seconds
       
-      await redisService.set(cacheKey, result, 30); // Cache for 30 seconds
-      
-      return result;
+      return await this.withUserVotes(page, userId);
     } catch (error) {
       logger.error(`Get community posts failed: ${error.message}`);
       throw error;
@@ -319,42 +422,11 @@ class PostService {
   
   async upvotePost(postId, userId) {
     try {
-      const post = await Post.findById(postId);
-      
-      if (!post) {
-        throw new ApiError('Post not found', 404);
-      }
-      
-      if (post.isDeleted) {
-        throw new ApiError('Post has been deleted', 404);
-      }
-      
-      // Check if user already upvoted
-      const alreadyUpvoted = post.upvotes.includes(userId);
-      const alreadyDownvoted = post.downvotes.includes(userId);
-      
-      if (alreadyUpvoted) {
-        // Remove upvote
-        post.upvotes.pull(userId);
-      } else {
-        // Add upvote
-        post.upvotes.push(userId);
-        
-        // Remove downvote if exists
-        if (alreadyDownvoted) {
-          post.downvotes.pull(userId);
-        }
-      }
-      
-      await post.save();
-      
-      // Clear cache
-      await redisService.clearPattern(`post:${postId}:*`);
-      await redisService.clearPattern(`community:${post.community}:posts:*`);
+      const result = await this.votePost(postId, userId, 1);
       
       logger.info(`Post ${postId} upvoted by user ${userId}`);
       
-      return post;
+      return result;
     } catch (error) {
       logger.error(`Upvote post failed: ${error.message}`);
       throw error;
@@ -363,48 +435,30 @@ class PostService {
   
   async downvotePost(postId, userId) {
     try {
-      const post = await Post.findById(postId);
-      
-      if (!post) {
-        throw new ApiError('Post not found', 404);
-      }
-      
-      if (post.isDeleted) {
-        throw new ApiError('Post has been deleted', 404);
-      }
-      
-      // Check if user already downvoted
-      const alreadyDownvoted = post.downvotes.includes(userId);
-      const alreadyUpvoted = post.upvotes.includes(userId);
-      
-      if (alreadyDownvoted) {
-        // Remove downvote
-        post.downvotes.pull(userId);
-      } else {
-        // Add downvote
-        post.downvotes.push(userId);
-        
-        // Remove upvote if exists
-        if (alreadyUpvoted) {
-          post.upvotes.pull(userId);
-        }
-      }
-      
-      await post.save();
-      
-      // Clear cache
-      await redisService.clearPattern(`post:${postId}:*`);
-      await redisService.clearPattern(`community:${post.community}:posts:*`);
+      const result = await this.votePost(postId, userId, -1);
       
       logger.info(`Post ${postId} downvoted by user ${userId}`);
       
-      return post;
+      return result;
     } catch (error) {
       logger.error(`Downvote post failed: ${error.message}`);
       throw error;
     }
   }
   
+  async clearPostVote(postId, userId) {
+    try {
+      const result = await this.votePost(postId, userId, 0);
+      
+      logger.info(`Vote on post ${postId} cleared by user ${userId}`);
+      
+      return result;
+    } catch (error) {
+      logger.error(`Clear post vote failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
   async pinPost(postId, userId) {
     try {
       const post = await Post.findById(postId);
@@ -473,10 +527,86 @@ class PostService {
     }
   }
   
-  async searchPosts(query, communityId = null, pagination = {}) {
+  async getModerationQueue(communityId, options = {}) {
+    try {
+      const { status = POST_STATUS.PENDING, limit, cursor } = options;
+      
+      const query = { community: communityId, status, isDeleted: false };
+      
+      // Oldest first; keyset pages don't shift as moderators clear the queue
+      return await paginate(({ keyset, sort, limit: size }) => Post.find(withKeyset(query, keyset))
+        .sort(sort)
+        .limit(size)
+        .populate('author', 'username profile.avatar')
+        .populate('review.reviewedBy', 'username'), { order: 1, limit, cursor, scope: ['postQueue', communityId, status] });
+    } catch (error) {
+      logger.error(`Get moderation queue failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async reviewPost(communityId, postId, decision, reviewerId, reason) {
+    try {
+      const approved = decision === 'approve';
+      
+      // Only a queued post can be decided, and only once
+      const post = await Post.findOneAndUpdate(
+        { _id: postId, community: communityId, status: POST_STATUS.PENDING, isDeleted: false },
+        {
+          $set: {
+            status: approved ? POST_STATUS.PUBLISHED : POST_STATUS.REJECTED,
+            review: {
+              reviewedBy: reviewerId,
+              reviewedAt: new Date(),
+              reason
+            }
+          }
+        },
+        { new: true }
+      );
+      
+      if (!post) {
+        throw new ApiError('Pending post not found', 404);
+      }
+      
+      const community = await Community.findById(communityId).select('name slug');
+      
+      if (approved) {
+        await Community.findByIdAndUpdate(communityId, {
+          $inc: { 'stats.postCount': 1 }
+        });
+        
+        await this.notifyMentions(post);
+      }
+      
+      await redisService.clearPattern(`post:${postId}:*`);
+      await redisService.clearPattern(`community:${communityId}:posts:*`);
+      await redisService.clearPattern(`user:${post.author}:posts`);
+      
+      await queue.add(JOBS.SEND_NOTIFICATION, {
+        recipient: post.author,
+        type: approved ? NOTIFICATION_TYPES.POST_APPROVED : NOTIFICATION_TYPES.POST_REJECTED,
+        actor: reviewerId,
+        post: post._id,
+        community: communityId,
+        message: (approved
+          ? `Your post "${post.title}" was approved in ${community.name}`
+          : `Your post "${post.title}" was declined in ${community.name}${reason ? `: ${reason}` : ''}`).slice(0, 500),
+        actionUrl: approved ? `/posts/${post._id}` : `/communities/${community.slug}`
+      });
+      
+      logger.info(`Post ${postId} ${post.status} by user ${reviewerId}`);
+      
+      return post;
+    } catch (error) {
+      logger.error(`Review post failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async searchPosts(query, communityId = null, pagination = {}, userId = null) {
     try {
-      const { page = 1, limit = 20 } = pagination;
-      const skip = (page - 1) * limit;
+      const { limit, cursor, sort = 'hot', window = 'all' } = pagination;
       
       const searchQuery = {
         $text: { $search: query },
@@ -484,33 +614,188 @@ class PostService {
       };
       
       if (communityId) {
+        await this.assertCanReadCommunity(communityId, userId);
         searchQuery.community = communityId;
+      } else {
+        searchQuery.community = { $nin: await this.getHiddenCommunityIds(userId) };
       }
       
-      const posts = await Post.find(searchQuery)
-        .skip(skip)
-        .limit(limit)
+      return await paginate(({ keyset, sort: order, limit: size, asOf }) => Post.find(withKeyset({
+        ...searchQuery,
+        ...postSort(sort, window, asOf.getTime()).filter
+      }, keyset))
+        .published()
+        .sort(order)
+        .limit(size)
         .populate('author', 'username profile.avatar')
         .populate('community', 'name slug')
-        .select('title content author community score commentCount createdAt')
-        .sort({ score: -1 });
-      
-      const total = await Post.countDocuments(searchQuery);
-      
-      return {
-        posts,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
-        }
-      };
+        .select('title content author community score voteScore commentCount createdAt'),
+      { field: postSort(sort).field, limit, cursor, scope: ['postSearch', query, communityId, sort, window] });
     } catch (error) {
       logger.error(`Search posts failed: ${error.message}`);
       throw error;
     }
   }
+  
+  /**
+   * Refresh stored ranking scores. Covers posts never ranked (created before the ranking fields),
+   * posts changed since the last runs (updates that bypass save) and young posts whose rising
+   * score moves with age. Writes skip timestamps so ranking alone never makes a post look changed.
+   */
+  async recomputeRankings() {
+    const now = Date.now();
+    let updated = 0;
+    let batch = [];
+    
+    const flush = async () => {
+      await Post.bulkWrite(batch, { ordered: false });
+      updated += batch.length;
+      batch = [];
+    };
+    
+    const candidates = Post.find({
+      isDeleted: false,
+      $or: [
+        { rankedAt: null },
+        { updatedAt: { $gte: new Date(now - SCHEDULES.RECOMPUTE_RANKINGS * 2) } },
+        { createdAt: { $gte: new Date(now - RANKING.RISING_WINDOW) } }
+      ]
+    })
+      .select('upvoteCount downvoteCount createdAt')
+      .lean()
+      .cursor();
+    
+    for await (const post of candidates) {
+      batch.push({
+        updateOne: {
+          filter: { _id: post._id },
+          update: { $set: postScores({ ups: post.upvoteCount, downs: post.downvoteCount, createdAt: post.createdAt }, now) },
+          timestamps: false
+        }
+      });
+      
+      if (batch.length >= RANKING.BATCH_SIZE) {
+        await flush();
+      }
+    }
+    
+    if (batch.length > 0) {
+      await flush();
+    }
+    
+    return updated;
+  }
+  
+  // Helper methods
+  async votePost(postId, userId, value) {
+    const post = await Post.findById(postId).select('community status isDeleted');
+    
+    if (!post) {
+      throw new ApiError('Post not found', 404);
+    }
+    
+    if (post.isDeleted) {
+      throw new ApiError('Post has been deleted', 404);
+    }
+    
+    // Queued posts can't be voted on until a moderator publishes them
+    if (post.status !== POST_STATUS.PUBLISHED) {
+      throw new ApiError('Post not found', 404);
+    }
+    
+    const community = await Community.findById(post.community).select(ACCESS_FIELDS);
+    assertCanParticipate(community, userId);
+    
+    const { target, userVote } = await voteService.castVote(VOTE_TARGETS.POST, postId, userId, value);
+    
+    // Clear cache
+    await redisService.clearPattern(`post:${postId}:*`);
+    await redisService.clearPattern(`community:${post.community}:posts:*`);
+    
+    return { ...target, userVote };
+  }
+  
+  // The viewer's votes are added after caching, since list caches are shared by every viewer
+  async withUserVotes(page, userId) {
+    return { ...page, items: await voteService.attachUserVotes(page.items, userId) };
+  }
+  
+  async notifyMentions(post, previous = []) {
+    await mentionService.notifyMentions({
+      mentions: post.mentions,
+      previous,
+      notification: {
+        actor: post.author,
+        post: post._id,
+        community: post.community,
+        message: `You were mentioned in "${post.title}"`.slice(0, 500),
+        actionUrl: `/posts/${post._id}`
+      }
+    });
+  }
+  
+  // Uploaded attachments are looked up by id; external URLs pass through unchanged.
+  // Uploads stay private (signed URLs) unless anyone may read the community.
+  async resolveMedia(media, userId, community) {
+    const uploadIds = media.filter(item => item.mediaId).map(item => item.mediaId);
+    
+    if (uploadIds.length === 0) return media;
+    
+    const attachments = await mediaService.resolveAttachments(uploadIds, userId, MEDIA_PURPOSES.POST, {
+      isPrivate: !canReadContent(community, null)
+    });
+    const byId = new Map(attachments.map(attachment => [attachment.mediaId.toString(), attachment]));
+    
+    return media.map(item => (item.mediaId ? byId.get(item.mediaId.toString()) : item));
+  }
+  
+  mediaIdsOf(media) {
+    return [...new Set((media || []).filter(item => item.mediaId).map(item => item.mediaId.toString()))];
+  }
+  
+  // In 'approved' communities only moderators and approved submitters publish directly
+  requiresReview(community, userId) {
+    if (community.settings.postPermissions !== 'approved' || isModerator(community, userId)) {
+      return false;
+    }
+    
+    return !(community.approvedSubmitters || []).some(
+      submitter => submitter.user.toString() === userId.toString()
+    );
+  }
+  
+  // Queued and rejected posts are visible only to their author and the moderators
+  assertCanViewPost(post, community, userId) {
+    if (post.status === POST_STATUS.PUBLISHED) return;
+    
+    if (!userId || (idOf(post.author) !== userId.toString() && !isModerator(community, userId))) {
+      throw new ApiError('Post not found', 404);
+    }
+  }
+  
+  async assertCanReadCommunity(communityId, userId) {
+    const community = await Community.findById(communityId).select(ACCESS_FIELDS);
+    assertCanRead(community, userId);
+    
+    return community;
+  }
+  
+  // Communities whose content the user may not see in cross-community results
+  async getHiddenCommunityIds(userId) {
+    const query = {
+      $or: [
+        { 'settings.privacy': 'private' },
+        { 'settings.contentVisibility': 'hidden' }
+      ]
+    };
+    
+    if (userId) {
+      query['members.user'] = { $ne: userId };
+      query.owner = { $ne: userId };
+    }
+    
+    return await Community.find(query).distinct('_id');
+  }
 }
 
 module.exports = new PostService();
\ No newline at end of file
@@ -0,0 +1,240 @@
+// src/services/redis.service.js
+const logger = require('../config/logger');
+
+const SCAN_COUNT = 100;
+
+// Converts a Redis glob pattern (*, ?, [..]) into an anchored RegExp
+const globToRegExp = (pattern) => {
+  const escaped = pattern.replace(/[.+^${}()|\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+};
+
+// In-process LRU store with per-key TTL, used when Redis is not configured
+class MemoryStore {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // key -> { value, expiresAt }
+
+    // Periodically sweep expired keys so idle entries don't linger
+    this.sweeper = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return entry.value;
+  }
+
+  set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      expiresAt: ttl ? Date.now() + ttl * 1000 : null
+    });
+
+    // Evict least recently used entries
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  del(key) {
+    return this.entries.delete(key) ? 1 : 0;
+  }
+
+  incr(key, ttl) {
+    const current = parseInt(this.get(key)) || 0;
+    this.set(key, String(current + 1), ttl);
+    return current + 1;
+  }
+
+  ttl(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return -2;
+    if (!entry.expiresAt) return -1;
+
+    return Math.max(0, Math.ceil((entry.expiresAt - Date.now()) / 1000));
+  }
+
+  keys(pattern) {
+    const regex = globToRegExp(pattern);
+    return [...this.entries.keys()].filter(key => regex.test(key));
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  close() {
+    clearInterval(this.sweeper);
+    this.entries.clear();
+  }
+}
+
+class RedisService {
+  constructor() {
+    this.defaultTTL = parseInt(process.env.REDIS_TTL) || 3600;
+    this.client = null;
+    this.memory = null;
+    this.connections = [];
+
+    if (process.env.REDIS_URL) {
+      const Redis = require('ioredis');
+
+      this.client = new Redis(process.env.REDIS_URL, {
+        password: process.env.REDIS_PASSWORD || undefined,
+        maxRetriesPerRequest: 2,
+        enableOfflineQueue: false
+      });
+
+      this.client.on('connect', () => logger.info('Redis connected'));
+      this.client.on('error', (error) => logger.error(`Redis error: ${error.message}`));
+    } else {
+      this.memory = new MemoryStore(parseInt(process.env.CACHE_MAX_ENTRIES) || 10000);
+      logger.warn('REDIS_URL not set, using in-memory cache');
+    }
+  }
+
+  get isRedis() {
+    return !!this.client;
+  }
+
+  // Extra connections for pub/sub, which queue commands while reconnecting instead of failing them
+  duplicate() {
+    const connection = this.client.duplicate({ enableOfflineQueue: true, maxRetriesPerRequest: null });
+    connection.on('error', (error) => logger.error(`Redis error: ${error.message}`));
+
+    this.connections.push(connection);
+    return connection;
+  }
+
+  // Cache failures are treated as misses so they never break a request
+  async get(key) {
+    try {
+      const raw = this.client ? await this.client.get(key) : this.memory.get(key);
+      return raw === null || raw === undefined ? null : JSON.parse(raw);
+    } catch (error) {
+      logger.error(`Cache get failed for ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async set(key, value, ttl = this.defaultTTL) {
+    try {
+      // Serialize in both drivers so cached values never share state with live documents
+      const raw = JSON.stringify(value);
+
+      if (this.client) {
+        await this.client.set(key, raw, 'EX', ttl);
+      } else {
+        this.memory.set(key, raw, ttl);
+      }
+      return true;
+    } catch (error) {
+      logger.error(`Cache set failed for ${key}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async del(key) {
+    try {
+      return this.client ? await this.client.unlink(key) : this.memory.del(key);
+    } catch (error) {
+      logger.error(`Cache delete failed for ${key}: ${error.message}`);
+      return 0;
+    }
+  }
+
+  // Atomic counter; the TTL is refreshed on every increment
+  async increment(key, ttl = this.defaultTTL) {
+    if (this.client) {
+      const [[incrError, count]] = await this.client.multi()
+        .incr(key)
+        .expire(key, ttl)
+        .exec();
+
+      if (incrError) throw incrError;
+      return count;
+    }
+
+    return this.memory.incr(key, ttl);
+  }
+
+  async ttl(key) {
+    try {
+      return this.client ? await this.client.ttl(key) : this.memory.ttl(key);
+    } catch (error) {
+      logger.error(`Cache ttl failed for ${key}: ${error.message}`);
+      return -2;
+    }
+  }
+
+  // Deletes keys matching a glob pattern using incremental SCAN instead of a blocking KEYS
+  async clearPattern(pattern) {
+    try {
+      if (!this.client) {
+        const keys = this.memory.keys(pattern);
+        keys.forEach(key => this.memory.del(key));
+        return keys.length;
+      }
+
+      let cursor = '0';
+      let deleted = 0;
+
+      do {
+        const [nextCursor, keys] = await this.client.scan(cursor, 'MATCH', pattern, 'COUNT', SCAN_COUNT);
+        cursor = nextCursor;
+
+        if (keys.length > 0) {
+          deleted += await this.client.unlink(...keys);
+        }
+      } while (cursor !== '0');
+
+      return deleted;
+    } catch (error) {
+      logger.error(`Cache clear failed for ${pattern}: ${error.message}`);
+      return 0;
+    }
+  }
+
+  async healthCheck() {
+    if (!this.client) {
+      return { status: 'healthy', driver: 'memory', timestamp: new Date() };
+    }
+
+    try {
+      await this.client.ping();
+      return { status: 'healthy', driver: 'redis', timestamp: new Date() };
+    } catch (error) {
+      return { status: 'unhealthy', driver: 'redis', error: error.message, timestamp: new Date() };
+    }
+  }
+
+  async disconnect() {
+    if (this.client) {
+      await Promise.all(this.connections.map(connection => connection.quit()));
+      await this.client.quit();
+      logger.info('Redis disconnected');
+    } else {
+      this.memory.close();
+    }
+  }
+}
+
+module.exports = new RedisService();
@@ -0,0 +1,435 @@
+// src/services/search.service.js
+const mongoose = require('mongoose');
+const Post = require('../models/Post.model');
+const Comment = require('../models/Comment.model');
+const Community = require('../models/Community.model');
+const User = require('../models/User.model');
+const Pet = require('../models/Pet.model');
+const logger = require('../config/logger');
+const postService = require('./post.service');
+const { paginate } = require('../utils/helpers/cursor');
+const { escapeRegex, searchTerms, highlight } = require('../utils/helpers/highlight');
+const { normalizeTag } = require('../utils/helpers/hashtags');
+const { postSort } = require('../utils/helpers/ranking');
+const { POST_SORTS, POST_STATUS, SEARCH, TIME_WINDOWS } = require('../config/constants');
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+// Text score plus a logarithmic popularity bonus, so a close match with traction outranks an exact one nobody read
+const relevance = (popularity) => ({ $add: [
+  { $meta: 'textScore' },
+  popularity
+    ? { $multiply: [SEARCH.POPULARITY_WEIGHT, { $log10: { $add: [1, { $max: [{ $ifNull: [popularity, 0] }, 0] }] } }] }
+    : 0
+] });
+
+// Optimal string alignment distance: edits plus adjacent transpositions
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  
+  return rows[a.length][b.length];
+};
+
+// How far a typed prefix is from the start of a username; the prefix may be one character short or long
+const prefixDistance = (prefix, username) => Math.min(
+  ...[-1, 0, 1].map(delta => editDistance(prefix, username.slice(0, prefix.length + delta)))
+);
+
+// Singular result type for each searchable section
+const RESULT_TYPES = {
+  posts: 'post',
+  communities: 'community',
+  users: 'user',
+  comments: 'comment'
+};
+
+const allowedTypos = (prefix) => (prefix.length >= 6 ? 2 : prefix.length >= 3 ? 1 : 0);
+
+class SearchService {
+  /**
+   * Search one type with cursor paging, or every type at once: each section then holds the first
+   * few results and a cursor to continue with `type` set to that section.
+   * Post facets come with the first page only.
+   */
+  async search(q, options = {}, userId = null) {
+    try {
+      const { type = 'all' } = options;
+      
+      if (type !== 'all') {
+        const page = await this.searchType(type, q, options, userId);
+        const facets = type === 'posts' && !options.cursor ? await this.postFacets(q, options, userId) : undefined;
+        
+        return { page, facets };
+      }
+      
+      const preview = { ...options, limit: SEARCH.PREVIEW_LIMIT, cursor: undefined };
+      
+      const [sections, facets] = await Promise.all([
+        Promise.all(SEARCH.TYPES.map(section => this.searchType(section, q, preview, userId))),
+        this.postFacets(q, options, userId)
+      ]);
+      
+      const results = {};
+      SEARCH.TYPES.forEach((section, index) => {
+        results[section] = { items: sections[index].items, nextCursor: sections[index].nextCursor };
+      });
+      
+      return { results, facets };
+    } catch (error) {
+      logger.error(`Search failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Username suggestions for @mentions: exact prefix matches first, then usernames within a typo or two
+   * of the prefix. People the user follows and members of the current community rank ahead of strangers.
+   */
+  async autocompleteUsers(q, options = {}, userId = null) {
+    try {
+      const { communityId, limit = SEARCH.AUTOCOMPLETE_LIMIT } = options;
+      const prefix = q.trim().replace(/^@/, '').toLowerCase();
+      
+      if (!prefix) {
+        return [];
+      }
+      
+      const fields = 'username profile.avatar profile.firstName profile.lastName';
+      const typos = allowedTypos(prefix);
+      
+      const [exact, fuzzy, me, community] = await Promise.all([
+        User.find({ username: { $regex: `^${escapeRegex(prefix)}`, $options: 'i' } })
+          .select(fields)
+          .limit(limit)
+          .lean(),
+        typos > 0
+          ? User.find({ username: { $regex: `^${escapeRegex(prefix.slice(0, SEARCH.AUTOCOMPLETE_PREFIX))}`, $options: 'i' } })
+            .select(fields)
+            .limit(SEARCH.AUTOCOMPLETE_CANDIDATES)
+            .lean()
+          : [],
+        userId ? User.findById(userId).select('following.user').lean() : null,
+        communityId ? Community.findById(communityId).select('members.user').lean() : null
+      ]);
+      
+      const known = new Set([
+        ...(me?.following || []).map(follow => follow.user.toString()),
+        ...(community?.members || []).map(member => member.user.toString())
+      ]);
+      
+      const candidates = new Map();
+      
+      [...exact, ...fuzzy].forEach(user => {
+        const id = user._id.toString();
+        if (candidates.has(id) || id === userId?.toString()) return;
+        
+        const distance = prefixDistance(prefix, user.username.toLowerCase());
+        if (distance > typos) return;
+        
+        candidates.set(id, { user, distance, known: known.has(id) });
+      });
+      
+      // Exact prefixes, then people the user knows, then closer spellings, then shorter names
+      const rank = ({ user, distance, known }) => [distance === 0 ? 0 : 1, known ? 0 : 1, distance, user.username.length];
+      
+      return [...candidates.values()]
+        .sort((a, b) => {
+          const [x, y] = [rank(a), rank(b)];
+          const index = x.findIndex((value, i) => value !== y[i]);
+          return index === -1 ? 0 : x[index] - y[index];
+        })
+        .slice(0, limit)
+        .map(({ user }) => user);
+    } catch (error) {
+      logger.error(`Autocomplete users failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  // Helper methods
+  async searchType(type, q, options, userId) {
+    const { limit, cursor } = options;
+    const terms = searchTerms(q);
+    
+    const { pipeline, project, format } = await this.searchPlan(type, q, options, userId);
+    const { field, filter } = this.orderFor(type, options);
+    
+    const page = await paginate(({ keyset, sort: order, limit: size, asOf }) => this.model(type).aggregate([
+      ...pipeline,
+      { $match: filter(asOf) },
+      ...(keyset ? [{ $match: keyset }] : []),
+      { $sort: order },
+      { $limit: size },
+      { $project: { ...project, [field]: 1 } }
+    ]), {
+      field,
+      limit,
+      cursor,
+      scope: ['search', type, q, this.filtersOf(options)]
+    });
+    
+    await format(page.items);
+    
+    page.items = page.items.map(item => ({
+      type: RESULT_TYPES[type],
+      relevance: Math.round(item.relevance * 1000) / 1000,
+      highlights: this.highlightsFor(type, item, terms),
+      item
+    }));
+    
+    return page;
+  }
+  
+  model(type) {
+    return { posts: Post, communities: Community, users: User, comments: Comment }[type];
+  }
+  
+  filtersOf({ communityId, tag, postType, petType, from, to, sort, window }) {
+    return { communityId, tag, postType, petType, from, to, sort, window };
+  }
+  
+  /**
+   * Field a type's results are ordered by, plus any createdAt bound the sort implies. Posts also take
+   * the listing sorts (top honours `window`); other types, including the other sections of an 'all'
+   * search, fall back to relevance for those.
+   */
+  orderFor(type, { sort = 'relevance', window = 'all' }) {
+    if (type === 'posts' && POST_SORTS.includes(sort)) {
+      return { field: postSort(sort).field, filter: (asOf) => postSort(sort, window, asOf.getTime()).filter };
+    }
+    
+    return { field: sort === 'new' ? 'createdAt' : 'relevance', filter: () => ({}) };
+  }
+  
+  createdAtRange({ from, to }) {
+    if (!from && !to) return {};
+    
+    const range = {};
+    if (from) range.$gte = new Date(from);
+    if (to) range.$lte = new Date(to);
+    
+    return { createdAt: range };
+  }
+  
+  // Community restriction shared by posts and comments: one readable community, or everything not hidden
+  async communityFilter(communityId, userId) {
+    if (communityId) {
+      await postService.assertCanReadCommunity(communityId, userId);
+      return toObjectId(communityId);
+    }
+    
+    return { $nin: await postService.getHiddenCommunityIds(userId) };
+  }
+  
+  // Pet species lives on the pet, so posts featuring one get it joined in
+  petLookup() {
+    return { $lookup: {
+      from: Pet.collection.name,
+      localField: 'pet',
+      foreignField: '_id',
+      as: 'petInfo',
+      pipeline: [{ $project: { species: 1 } }]
+    } };
+  }
+  
+  async postMatch(q, options, userId) {
+    const { communityId, tag, postType, petType } = options;
+    
+    const pipeline = [
+      { $match: {
+        $text: { $search: q },
+        isDeleted: false,
+        status: { $in: [POST_STATUS.PUBLISHED, null] },
+        community: await this.communityFilter(communityId, userId),
+        ...(tag ? { tags: normalizeTag(tag) || tag } : {}),
+        ...(postType ? { type: postType } : {}),
+        ...this.createdAtRange(options)
+      } },
+      this.petLookup()
+    ];
+    
+    if (petType) {
+      pipeline.push({ $match: { 'petInfo.species': petType } });
+    }
+    
+    return pipeline;
+  }
+  
+  async searchPlan(type, q, options, userId) {
+    switch (type) {
+      case 'posts':
+        return {
+          pipeline: [
+            ...await this.postMatch(q, options, userId),
+            { $addFields: { relevance: relevance('$voteScore') } }
+          ],
+          project: {
+            title: 1, content: 1, type: 1, tags: 1, author: 1, community: 1, pet: 1,
+            score: 1, voteScore: 1, commentCount: 1, createdAt: 1, relevance: 1
+          },
+          format: (items) => Post.populate(items, [
+            { path: 'author', select: 'username profile.avatar' },
+            { path: 'community', select: 'name slug avatar' },
+            { path: 'pet', select: 'name species breed' }
+          ])
+        };
+      
+      case 'communities':
+        return {
+          pipeline: [
+            { $match: { $text: { $search: q }, isActive: true } },
+            { $addFields: { relevance: relevance('$stats.memberCount') } }
+          ],
+          project: {
+            name: 1, slug: 1, description: 1, avatar: 1, tags: 1,
+            'stats.memberCount': 1, 'settings.privacy': 1, createdAt: 1, relevance: 1
+          },
+          format: async () => {}
+        };
+      
+      case 'users':
+        return {
+          pipeline: [
+            { $match: { $text: { $search: q } } },
+            { $addFields: { relevance: relevance() } }
+          ],
+          project: {
+            username: 1, 'profile.avatar': 1, 'profile.firstName': 1, 'profile.lastName': 1,
+            'profile.bio': 1, createdAt: 1, relevance: 1
+          },
+          format: async () => {}
+        };
+      
+      case 'comments': {
+        const community = await this.communityFilter(options.communityId, userId);
+        
+        return {
+          pipeline: [
+            { $match: { $text: { $search: q }, isDeleted: false, ...this.createdAtRange(options) } },
+            // Only comments on visible posts in readable communities
+            { $lookup: {
+              from: Post.collection.name,
+              localField: 'post',
+              foreignField: '_id',
+              as: 'postInfo',
+              pipeline: [{ $project: { title: 1, community: 1, isDeleted: 1, status: 1 } }]
+            } },
+            { $match: {
+              'postInfo.isDeleted': false,
+              'postInfo.status': { $in: [POST_STATUS.PUBLISHED, null] },
+              'postInfo.community': community
+            } },
+            { $addFields: { relevance: relevance('$score'), post: { $first: '$postInfo' } } }
+          ],
+          project: {
+            content: 1, author: 1, 'post._id': 1, 'post.title': 1, 'post.community': 1,
+            parentComment: 1, score: 1, createdAt: 1, relevance: 1
+          },
+          format: async (items) => {
+            await Comment.populate(items, { path: 'author', select: 'username profile.avatar' });
+            
+            const communities = await Community.find({ _id: { $in: items.map(item => item.post.community) } })
+              .select('name slug')
+              .lean();
+            const byId = new Map(communities.map(item => [item._id.toString(), item]));
+            
+            items.forEach(item => {
+              item.post.community = byId.get(item.post.community.toString()) || item.post.community;
+            });
+          }
+        };
+      }
+      
+      default:
+        throw new Error(`Unknown search type: ${type}`);
+    }
+  }
+  
+  highlightsFor(type, item, terms) {
+    const fields = {
+      posts: ['title', 'content'],
+      communities: ['name', 'description'],
+      users: ['username', 'profile.bio'],
+      comments: ['content']
+    }[type];
+    
+    const highlights = {};
+    
+    fields.forEach(field => {
+      const text = field.split('.').reduce((value, key) => value?.[key], item);
+      const snippet = highlight(text, terms, SEARCH.SNIPPET_LENGTH);
+      if (snippet) highlights[field] = snippet;
+    });
+    
+    return highlights;
+  }
+  
+  // Counts over every matching post (not just the page) for each facet the client can narrow by
+  async postFacets(q, options, userId) {
+    const now = Date.now();
+    const windows = Object.entries(TIME_WINDOWS).filter(([, ms]) => ms);
+    
+    const [facets] = await Post.aggregate([
+      ...await this.postMatch(q, options, userId),
+      { $facet: {
+        communities: [
+          { $group: { _id: '$community', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: SEARCH.FACET_LIMIT }
+        ],
+        tags: [
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: SEARCH.FACET_LIMIT }
+        ],
+        postTypes: [
+          { $group: { _id: '$type', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        petTypes: [
+          { $unwind: '$petInfo' },
+          { $group: { _id: '$petInfo.species', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        dates: [
+          { $group: windows.reduce((group, [name, ms]) => ({
+            ...group,
+            [name]: { $sum: { $cond: [{ $gte: ['$createdAt', new Date(now - ms)] }, 1, 0] } }
+          }), { _id: null, all: { $sum: 1 } }) }
+        ]
+      } }
+    ]);
+    
+    const communities = await Community.find({ _id: { $in: facets.communities.map(item => item._id) } })
+      .select('name slug')
+      .lean();
+    const byId = new Map(communities.map(community => [community._id.toString(), community]));
+    const counts = (items) => items.map(item => ({ value: item._id, count: item.count }));
+    const dates = facets.dates[0] || { all: 0 };
+    
+    return {
+      communities: facets.communities
+        .filter(item => byId.has(item._id.toString()))
+        .map(item => ({ ...byId.get(item._id.toString()), count: item.count })),
+      tags: counts(facets.tags),
+      postTypes: counts(facets.postTypes),
+      petTypes: counts(facets.petTypes),
+      dates: [...windows.map(([name]) => ({ window: name, count: dates[name] || 0 })), { window: 'all', count: dates.all }]
+    };
+  }
+}
+
+module.exports = new SearchService();
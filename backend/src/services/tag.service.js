@@ -0,0 +1,241 @@
+// src/services/tag.service.js
+const mongoose = require('mongoose');
+const Post = require('../models/Post.model');
+const Community = require('../models/Community.model');
+const ApiError = require('../utils/helpers/apiError');
+const logger = require('../config/logger');
+const redisService = require('./redis.service');
+const mediaService = require('./media.service');
+const postService = require('./post.service');
+const { paginate, withKeyset } = require('../utils/helpers/cursor');
+const { postSort } = require('../utils/helpers/ranking');
+const { normalizeTag } = require('../utils/helpers/hashtags');
+const { CACHE_TTL, POST_STATUS, SCHEDULES, TAGS, TIME_WINDOWS, TRENDING } = require('../config/constants');
+
+// Global lists are refreshed by the scheduled job, so they only need to outlive one interval
+const GLOBAL_TRENDING_TTL = Math.ceil(SCHEDULES.COMPUTE_TRENDING * 2 / 1000);
+
+class TagService {
+  async getTagPosts(tag, options = {}, userId = null) {
+    try {
+      const { limit, cursor, sort = 'hot', window = 'all', communityId } = options;
+      const normalized = this.assertTag(tag);
+      
+      const query = {
+        tags: normalized,
+        isDeleted: false,
+        community: communityId
+          ? (await postService.assertCanReadCommunity(communityId, userId))._id
+          : { $nin: await postService.getHiddenCommunityIds(userId) }
+      };
+      
+      const page = await paginate(({ keyset, sort: order, limit: size, asOf }) => Post.find(withKeyset({
+        ...query,
+        ...postSort(sort, window, asOf.getTime()).filter
+      }, keyset))
+        .published()
+        .sort(order)
+        .limit(size)
+        .populate('author', 'username profile.avatar')
+        .populate('community', 'name slug avatar')
+        .select('title author community upvoteCount downvoteCount score voteScore commentCount views createdAt type media tags'),
+      { field: postSort(sort).field, limit, cursor, scope: ['tagPosts', normalized, communityId, sort, window] });
+      
+      await mediaService.signAttachments(page.items.flatMap(post => post.media || []));
+      
+      return { tag: normalized, page: await postService.withUserVotes(page, userId) };
+    } catch (error) {
+      logger.error(`Get tag posts failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Trending tags for one community or site-wide. The global lists only count public content, since
+   * they're shared by every viewer; community lists are checked against the viewer before the cache.
+   */
+  async getTrending(options = {}, userId = null) {
+    try {
+      const { window = 'day', communityId } = options;
+      
+      if (communityId) {
+        await postService.assertCanReadCommunity(communityId, userId);
+      }
+      
+      const cacheKey = `trending:${communityId || 'global'}:${window}`;
+      const cached = await redisService.get(cacheKey);
+      
+      if (cached) {
+        return cached;
+      }
+      
+      const trending = await this.computeTrending(window, communityId);
+      await redisService.set(cacheKey, trending, communityId ? CACHE_TTL.SHORT : GLOBAL_TRENDING_TTL);
+      
+      return trending;
+    } catch (error) {
+      logger.error(`Get trending tags failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  // Scheduled: recompute the global lists so requests never pay for the aggregation
+  async refreshTrending() {
+    for (const window of TRENDING.WINDOWS) {
+      const trending = await this.computeTrending(window);
+      await redisService.set(`trending:global:${window}`, trending, GLOBAL_TRENDING_TTL);
+    }
+  }
+  
+  /**
+   * Score = (distinct authors + log2(1 + engagement)) / sqrt(1 + baseline), where baseline is the
+   * tag's average post count over the previous windows. Counting authors rather than posts keeps one
+   * prolific poster from trending a tag alone; dividing by the baseline favours tags that are new or
+   * surging over ones that are always busy.
+   */
+  async computeTrending(window, communityId = null) {
+    const now = Date.now();
+    const span = TIME_WINDOWS[window];
+    const since = new Date(now - span);
+    
+    const rows = await Post.aggregate([
+      { $match: {
+        isDeleted: false,
+        status: { $in: [POST_STATUS.PUBLISHED, null] },
+        createdAt: { $gte: new Date(now - span * (1 + TRENDING.BASELINE_WINDOWS)) },
+        'tags.0': { $exists: true },
+        community: communityId
+          ? new mongoose.Types.ObjectId(communityId.toString())
+          : { $nin: await postService.getHiddenCommunityIds(null) }
+      } },
+      { $project: {
+        tags: 1,
+        author: 1,
+        recent: { $gte: ['$createdAt', since] },
+        engagement: { $add: [{ $ifNull: ['$commentCount', 0] }, { $max: [{ $ifNull: ['$voteScore', 0] }, 0] }] }
+      } },
+      { $unwind: '$tags' },
+      { $group: {
+        _id: '$tags',
+        posts: { $sum: { $cond: ['$recent', 1, 0] } },
+        authors: { $addToSet: { $cond: ['$recent', '$author', null] } },
+        engagement: { $sum: { $cond: ['$recent', '$engagement', 0] } },
+        earlier: { $sum: { $cond: ['$recent', 0, 1] } }
+      } },
+      { $project: {
+        posts: 1,
+        engagement: 1,
+        authors: { $size: { $setDifference: ['$authors', [null]] } },
+        baseline: { $divide: ['$earlier', TRENDING.BASELINE_WINDOWS] }
+      } },
+      { $match: { authors: { $gte: TRENDING.MIN_AUTHORS } } }
+    ]);
+    
+    return rows
+      .map(row => ({
+        tag: row._id,
+        posts: row.posts,
+        authors: row.authors,
+        score: Math.round((row.authors + Math.log2(1 + row.engagement)) / Math.sqrt(1 + row.baseline) * 1000) / 1000
+      }))
+      .sort((a, b) => b.score - a.score || b.posts - a.posts || a.tag.localeCompare(b.tag))
+      .slice(0, TRENDING.LIMIT);
+  }
+  
+  async getBannedTags(communityId) {
+    try {
+      const community = await Community.findById(communityId)
+        .select('bannedTags')
+        .populate('bannedTags.bannedBy', 'username');
+      
+      if (!community) {
+        throw new ApiError('Community not found', 404);
+      }
+      
+      return community.bannedTags;
+    } catch (error) {
+      logger.error(`Get banned tags failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  // Banning also strips the tag from the community's existing posts, so it drops off tag pages and trending
+  async banTag(communityId, tag, adminId) {
+    try {
+      const normalized = this.assertTag(tag);
+      
+      const updated = await Community.findOneAndUpdate(
+        {
+          _id: communityId,
+          'bannedTags.tag': { $ne: normalized },
+          [`bannedTags.${TAGS.MAX_BANNED - 1}`]: { $exists: false }
+        },
+        { $push: { bannedTags: { tag: normalized, bannedBy: adminId, bannedAt: new Date() } } },
+        { new: true }
+      ).select('bannedTags');
+      
+      if (!updated) {
+        const community = await Community.findById(communityId).select('bannedTags.tag');
+        
+        if (!community) {
+          throw new ApiError('Community not found', 404);
+        }
+        
+        if (community.bannedTags.some(banned => banned.tag === normalized)) {
+          throw new ApiError('Tag is already banned', 409);
+        }
+        
+        throw new ApiError(`Communities can ban at most ${TAGS.MAX_BANNED} tags`, 400);
+      }
+      
+      const result = await Post.updateMany(
+        { community: communityId, tags: normalized },
+        { $pull: { tags: normalized } },
+        { timestamps: false }
+      );
+      
+      await redisService.clearPattern(`community:${communityId}:posts:*`);
+      await redisService.clearPattern(`trending:${communityId}:*`);
+      
+      logger.info(`Tag #${normalized} banned in community ${communityId} by ${adminId}, removed from ${result.modifiedCount} posts`);
+      
+      return updated.bannedTags;
+    } catch (error) {
+      logger.error(`Ban tag failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async unbanTag(communityId, tag, adminId) {
+    try {
+      const normalized = this.assertTag(tag);
+      
+      const result = await Community.updateOne(
+        { _id: communityId },
+        { $pull: { bannedTags: { tag: normalized } } }
+      );
+      
+      if (result.modifiedCount === 0) {
+        throw new ApiError('Banned tag not found', 404);
+      }
+      
+      logger.info(`Tag #${normalized} unbanned in community ${communityId} by ${adminId}`);
+    } catch (error) {
+      logger.error(`Unban tag failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  // Helper methods
+  assertTag(tag) {
+    const normalized = normalizeTag(tag);
+    
+    if (!normalized) {
+      throw new ApiError('Invalid tag', 400);
+    }
+    
+    return normalized;
+  }
+}
+
+module.exports = new TagService();
@@ -0,0 +1,236 @@
+// src/services/user.service.js
+const User = require('../models/User.model');
+const Post = require('../models/Post.model');
+const Comment = require('../models/Comment.model');
+const ApiError = require('../utils/helpers/apiError');
+const logger = require('../config/logger');
+const redisService = require('./redis.service');
+const queue = require('../queues');
+const { JOBS, NOTIFICATION_TYPES } = require('../config/constants');
+
+class UserService {
+  async updateProfile(userId, data) {
+    try {
+      const update = {};
+      
+      // Merge nested objects field by field so partial updates don't wipe siblings
+      ['profile', 'preferences'].forEach(section => {
+        if (!data[section]) return;
+        
+        Object.entries(data[section]).forEach(([key, value]) => {
+          if (value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.entries(value).forEach(([subKey, subValue]) => {
+              update[`${section}.${key}.${subKey}`] = subValue;
+            });
+          } else {
+            update[`${section}.${key}`] = value;
+          }
+        });
+      });
+      
+      const user = await User.findByIdAndUpdate(userId, { $set: update }, { new: true, runValidators: true });
+      
+      if (!user) {
+        throw new ApiError('User not found', 404);
+      }
+      
+      await redisService.del(`user:${userId}:profile`);
+      
+      logger.info(`Profile updated for user ${userId}`);
+      
+      return user;
+    } catch (error) {
+      logger.error(`Update profile failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async getPublicProfile(userId) {
+    try {
+      const cacheKey = `user:${userId}:profile`;
+      const cached = await redisService.get(cacheKey);
+      
+      if (cached) {
+        return cached;
+      }
+      
+      const user = await User.findById(userId)
+        .select('username profile role status.isOnline status.lastSeen communities createdAt')
+        .populate('communities.community', 'name slug avatar settings.privacy');
+      
+      if (!user) {
+        throw new ApiError('User not found', 404);
+      }
+      
+      const profile = user.toJSON();
+      
+      // Don't reveal membership of private communities
+      profile.communities = profile.communities.filter(
+        c => c.community && c.community.settings?.privacy !== 'private'
+      );
+      
+      await redisService.set(cacheKey, profile, 300); // Cache for 5 minutes
+      
+      return profile;
+    } catch (error) {
+      logger.error(`Get user profile failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async followUser(userId, targetId) {
+    try {
+      if (userId.toString() === targetId.toString()) {
+        throw new ApiError('You cannot follow yourself', 400);
+      }
+      
+      const target = await User.findById(targetId).select('username');
+      
+      if (!target) {
+        throw new ApiError('User not found', 404);
+      }
+      
+      if (await this.isBlocked(userId, targetId)) {
+        throw new ApiError('You cannot follow this user', 403);
+      }
+      
+      // Conditional push so concurrent requests can't add the same user twice
+      const result = await User.updateOne(
+        { _id: userId, 'following.user': { $ne: targetId } },
+        { $push: { following: { user: targetId, followedAt: new Date() } } }
+      );
+      
+      if (result.modifiedCount === 0) {
+        throw new ApiError('You already follow this user', 400);
+      }
+      
+      await redisService.clearPattern(`feed:${userId}:*`);
+      
+      await queue.add(JOBS.SEND_NOTIFICATION, {
+        recipient: targetId,
+        type: NOTIFICATION_TYPES.NEW_FOLLOWER,
+        actor: userId,
+        message: 'You have a new follower',
+        actionUrl: `/users/${userId}`
+      });
+      
+      logger.info(`User ${userId} followed ${targetId}`);
+    } catch (error) {
+      logger.error(`Follow user failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async unfollowUser(userId, targetId) {
+    try {
+      const result = await User.updateOne(
+        { _id: userId },
+        { $pull: { following: { user: targetId } } }
+      );
+      
+      if (result.modifiedCount === 0) {
+        throw new ApiError('You are not following this user', 400);
+      }
+      
+      await redisService.clearPattern(`feed:${userId}:*`);
+      
+      logger.info(`User ${userId} unfollowed ${targetId}`);
+    } catch (error) {
+      logger.error(`Unfollow user failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async blockUser(userId, targetId) {
+    try {
+      if (userId.toString() === targetId.toString()) {
+        throw new ApiError('You cannot block yourself', 400);
+      }
+      
+      const target = await User.findById(targetId).select('_id');
+      
+      if (!target) {
+        throw new ApiError('User not found', 404);
+      }
+      
+      const result = await User.updateOne(
+        { _id: userId, blockedUsers: { $ne: targetId } },
+        { $push: { blockedUsers: targetId }, $pull: { following: { user: targetId } } }
+      );
+      
+      if (result.modifiedCount === 0) {
+        throw new ApiError('You have already blocked this user', 400);
+      }
+      
+      // Blocking ends the follow in both directions
+      await User.updateOne({ _id: targetId }, { $pull: { following: { user: userId } } });
+      
+      await redisService.clearPattern(`feed:${userId}:*`);
+      await redisService.clearPattern(`feed:${targetId}:*`);
+      
+      logger.info(`User ${userId} blocked ${targetId}`);
+    } catch (error) {
+      logger.error(`Block user failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  async unblockUser(userId, targetId) {
+    try {
+      const result = await User.updateOne(
+        { _id: userId },
+        { $pull: { blockedUsers: targetId } }
+      );
+      
+      if (result.modifiedCount === 0) {
+        throw new ApiError('You have not blocked this user', 400);
+      }
+      
+      logger.info(`User ${userId} unblocked ${targetId}`);
+    } catch (error) {
+      logger.error(`Unblock user failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  // Either user has blocked the other
+  async isBlocked(userId, otherUserId) {
+    return Boolean(await User.exists({
+      $or: [
+        { _id: userId, blockedUsers: otherUserId },
+        { _id: otherUserId, blockedUsers: userId }
+      ]
+    }));
+  }
+  
+  async getUserActivity(userId, limit = 20) {
+    try {
+      const [posts, comments] = await Promise.all([
+        Post.find({ author: userId, isDeleted: false })
+          .published()
+          .sort('-createdAt')
+          .limit(limit)
+          .populate('community', 'name slug')
+          .select('title community score commentCount createdAt'),
+        Comment.find({ author: userId, isDeleted: false })
+          .sort('-createdAt')
+          .limit(limit)
+          .populate('post', 'title community')
+          .select('content post score createdAt')
+      ]);
+      
+      // Merge into a single timeline
+      return [
+        ...posts.map(post => ({ type: 'post', createdAt: post.createdAt, item: post })),
+        ...comments.map(comment => ({ type: 'comment', createdAt: comment.createdAt, item: comment }))
+      ]
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, limit);
+    } catch (error) {
+      logger.error(`Get user activity failed: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new UserService();
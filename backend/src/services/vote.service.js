@@ -0,0 +1,311 @@
+// src/services/vote.service.js
+const Vote = require('../models/Vote.model');
+const Post = require('../models/Post.model');
+const Comment = require('../models/Comment.model');
+const ApiError = require('../utils/helpers/apiError');
+const logger = require('../config/logger');
+const notificationService = require('./notification.service');
+const { postScores, commentScores } = require('../utils/helpers/ranking');
+const { RANKING, SCHEDULES, VOTE_TARGETS, VOTES } = require('../config/constants');
+
+const MAX_VOTE_RETRIES = 3;
+
+const COUNTERS = { 1: 'upvoteCount', [-1]: 'downvoteCount' };
+const USER_VOTES = { 1: 'up', [-1]: 'down' };
+
+const TARGETS = {
+  [VOTE_TARGETS.POST]: {
+    model: Post,
+    name: 'Post',
+    scores: (doc) => postScores({ ups: doc.upvoteCount, downs: doc.downvoteCount, createdAt: doc.createdAt })
+  },
+  [VOTE_TARGETS.COMMENT]: {
+    model: Comment,
+    name: 'Comment',
+    scores: (doc) => commentScores({ ups: doc.upvoteCount, downs: doc.downvoteCount })
+  }
+};
+
+class VoteService {
+  constructor() {
+    this.pendingBroadcasts = new Map(); // target id -> timer
+  }
+  
+  /**
+   * Votes `value` (1 or -1) on a post or comment the caller has already checked; 0 clears the vote.
+   * Voting the same way again removes the vote, voting the other way switches it. Returns the
+   * target's counters and scores after the vote, and the user's vote ('up', 'down' or null).
+   */
+  async castVote(targetType, targetId, userId, value) {
+    try {
+      await this.markVoting(targetType, targetId);
+      
+      for (let attempt = 0; attempt < MAX_VOTE_RETRIES; attempt++) {
+        const change = await this.applyVote(targetType, targetId, userId, value);
+        
+        if (change) {
+          const target = await this.updateCounters(targetType, targetId, change.inc);
+          
+          if (Object.keys(change.inc).length > 0) {
+            this.scheduleBroadcast(targetType, target);
+          }
+          
+          return { target, userVote: USER_VOTES[change.value] || null };
+        }
+      }
+      
+      throw new ApiError('Vote could not be recorded, please try again', 409);
+    } catch (error) {
+      logger.error(`Cast vote failed: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  // The user's votes on the given posts or comments, as a map of id to 'up' or 'down'
+  async getUserVotes(userId, targetIds) {
+    if (!userId || targetIds.length === 0) {
+      return new Map();
+    }
+    
+    const votes = await Vote.find({ user: userId, target: { $in: targetIds } })
+      .select('target value')
+      .lean();
+    
+    return new Map(votes.map(vote => [vote.target.toString(), USER_VOTES[vote.value]]));
+  }
+  
+  /**
+   * Copies of the items with the viewer's `userVote`, replies included, for lists that are cached
+   * for every viewer. Documents are converted to plain objects.
+   */
+  async attachUserVotes(items, userId) {
+    const plain = items.map(item => (typeof item.toJSON === 'function' ? item.toJSON() : item));
+    const ids = [];
+    
+    const collect = (list) => list.forEach(item => {
+      ids.push(item._id.toString());
+      collect(item.replies || []);
+    });
+    collect(plain);
+    
+    const votes = await this.getUserVotes(userId, ids);
+    
+    const annotate = (list) => list.map(item => ({
+      ...item,
+      ...(Array.isArray(item.replies) ? { replies: annotate(item.replies) } : {}),
+      userVote: votes.get(item._id.toString()) || null
+    }));
+    
+    return annotate(plain);
+  }
+  
+  /**
+   * Repeated by the scheduler. The vote document and the target's counters are separate writes, so a
+   * crash between them leaves the counters off; this recounts targets voted on since the last runs
+   * from the votes collection. Targets with a vote in flight are left alone: they were stamped too
+   * recently, or their stamp or counters change before the fix is written.
+   */
+  async recountVotes(now = Date.now()) {
+    let fixed = 0;
+    
+    for (const { model, scores } of Object.values(TARGETS)) {
+      const candidates = model.find({
+        votedAt: {
+          $gte: new Date(now - SCHEDULES.RECOUNT_VOTES * 2 - VOTES.RECOUNT_SETTLE),
+          $lte: new Date(now - VOTES.RECOUNT_SETTLE)
+        }
+      })
+        .select('upvoteCount downvoteCount votedAt createdAt')
+        .lean()
+        .cursor();
+      
+      let batch = [];
+      
+      for await (const target of candidates) {
+        batch.push(target);
+        
+        if (batch.length >= RANKING.BATCH_SIZE) {
+          fixed += await this.reconcile(model, scores, batch);
+          batch = [];
+        }
+      }
+      
+      if (batch.length > 0) {
+        fixed += await this.reconcile(model, scores, batch);
+      }
+    }
+    
+    return fixed;
+  }
+  
+  // Helper methods
+  // Stamps votedAt for the recount job; also the existence check, before any vote is written
+  async markVoting(targetType, targetId) {
+    const { model, name } = TARGETS[targetType];
+    
+    const { matchedCount } = await model.updateOne(
+      { _id: targetId },
+      { $set: { votedAt: new Date() } },
+      { timestamps: false }
+    );
+    
+    if (matchedCount === 0) {
+      throw new ApiError(`${name} not found`, 404);
+    }
+  }
+  
+  async reconcile(model, scores, targets) {
+    const counts = await Vote.aggregate([
+      { $match: { target: { $in: targets.map(target => target._id) } } },
+      { $group: { _id: { target: '$target', value: '$value' }, count: { $sum: 1 } } }
+    ]);
+    
+    const countOf = (target, value) => counts
+      .find(row => row._id.value === value && row._id.target.equals(target._id))?.count || 0;
+    
+    let fixed = 0;
+    
+    for (const target of targets) {
+      const upvoteCount = countOf(target, 1);
+      const downvoteCount = countOf(target, -1);
+      
+      if (upvoteCount === target.upvoteCount && downvoteCount === target.downvoteCount) continue;
+      
+      const { modifiedCount } = await model.updateOne(
+        {
+          _id: target._id,
+          votedAt: target.votedAt,
+          upvoteCount: target.upvoteCount,
+          downvoteCount: target.downvoteCount
+        },
+        { $set: { upvoteCount, downvoteCount, ...scores({ ...target, upvoteCount, downvoteCount }) } },
+        { timestamps: false }
+      );
+      
+      if (modifiedCount) {
+        logger.warn(`Vote counters for ${target._id} were ${target.upvoteCount}/${target.downvoteCount}, recounted ${upvoteCount}/${downvoteCount}`);
+        fixed++;
+      }
+    }
+    
+    return fixed;
+  }
+  
+  /**
+   * Moves the user's vote document to its next state. Each write is conditional on the state
+   * just read, so concurrent requests from the same user can't count twice; returns the counter
+   * changes, or null when another request changed the vote first and the caller should retry.
+   */
+  async applyVote(targetType, target, user, value) {
+    const existing = await Vote.findOne({ user, target }).select('value').lean();
+    
+    if (value === 0) {
+      if (!existing) return { value: 0, inc: {} };
+      
+      const { deletedCount } = await Vote.deleteOne({ _id: existing._id, value: existing.value });
+      
+      return deletedCount ? { value: 0, inc: { [COUNTERS[existing.value]]: -1 } } : null;
+    }
+    
+    if (!existing) {
+      try {
+        await Vote.create({ user, target, targetType, value });
+      } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+      }
+      
+      return { value, inc: { [COUNTERS[value]]: 1 } };
+    }
+    
+    if (existing.value === value) {
+      const { deletedCount } = await Vote.deleteOne({ _id: existing._id, value });
+      
+      return deletedCount ? { value: 0, inc: { [COUNTERS[value]]: -1 } } : null;
+    }
+    
+    const { modifiedCount } = await Vote.updateOne({ _id: existing._id, value: existing.value }, { $set: { value } });
+    
+    return modifiedCount ? { value, inc: { [COUNTERS[value]]: 1, [COUNTERS[existing.value]]: -1 } } : null;
+  }
+  
+  /**
+   * Applies the counter changes atomically, then stores scores for the resulting counts. The score
+   * write only lands if no other vote moved the counts in between; that vote writes its own scores.
+   * Counters left off by a failure between the vote write and this one are fixed by recountVotes.
+   */
+  async updateCounters(targetType, targetId, inc) {
+    const { model, name, scores } = TARGETS[targetType];
+    const changed = Object.keys(inc).length > 0;
+    
+    const target = changed
+      ? await model.findByIdAndUpdate(targetId, { $inc: inc }, { new: true })
+        .select('community post upvoteCount downvoteCount createdAt')
+        .lean()
+      : await model.findById(targetId)
+        .select('community post upvoteCount downvoteCount score createdAt')
+        .lean();
+    
+    // Removed outright while the vote was being written
+    if (!target) {
+      throw new ApiError(`${name} not found`, 404);
+    }
+    
+    if (!changed) {
+      return target;
+    }
+    
+    const ranked = scores(target);
+    
+    await model.updateOne(
+      { _id: targetId, upvoteCount: target.upvoteCount, downvoteCount: target.downvoteCount },
+      { $set: ranked },
+      { timestamps: false }
+    );
+    
+    return { ...target, ...ranked };
+  }
+  
+  /**
+   * Sends `vote_update` to the post's room (comments go to their post's room). The first vote on a
+   * target schedules it VOTES.BROADCAST_DELAY later and later votes ride along, so a burst costs one
+   * message carrying the counts as of sending.
+   */
+  scheduleBroadcast(targetType, target) {
+    const key = target._id.toString();
+    
+    if (this.pendingBroadcasts.has(key)) {
+      return;
+    }
+    
+    const timer = setTimeout(() => {
+      this.pendingBroadcasts.delete(key);
+      this.broadcast(targetType, target._id, target.post || target._id)
+        .catch(error => logger.error(`Vote broadcast failed: ${error.message}`));
+    }, VOTES.BROADCAST_DELAY);
+    
+    timer.unref();
+    this.pendingBroadcasts.set(key, timer);
+  }
+  
+  async broadcast(targetType, targetId, postId) {
+    const target = await TARGETS[targetType].model.findById(targetId)
+      .select('upvoteCount downvoteCount score')
+      .lean();
+    
+    if (!target) {
+      return;
+    }
+    
+    notificationService.emitToRoom(`post:${postId}`, 'vote_update', {
+      targetType,
+      targetId,
+      postId,
+      upvotes: target.upvoteCount,
+      downvotes: target.downvoteCount,
+      score: target.score
+    });
+  }
+}
+
+module.exports = new VoteService();
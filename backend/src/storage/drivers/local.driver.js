@@ -0,0 +1,70 @@
+// src/storage/drivers/local.driver.js
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Single-host driver for development; every backend container needs the same volume mounted at STORAGE_LOCAL_ROOT
+class LocalDriver {
+  constructor() {
+    this.root = path.resolve(process.env.STORAGE_LOCAL_ROOT || 'uploads/storage');
+  }
+
+  // Keys are always relative; anything resolving outside the root is refused
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  async put(key, body) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    if (Buffer.isBuffer(body)) {
+      await fs.promises.writeFile(filePath, body);
+    } else {
+      await pipeline(body, fs.createWriteStream(filePath));
+    }
+  }
+
+  async get(key) {
+    const filePath = this.resolve(key);
+    const stats = await fs.promises.stat(filePath).catch(() => null);
+
+    if (!stats || !stats.isFile()) return null;
+
+    return { stream: fs.createReadStream(filePath), size: stats.size };
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  async move(fromKey, toKey) {
+    const toPath = this.resolve(toKey);
+    await fs.promises.mkdir(path.dirname(toPath), { recursive: true });
+    await fs.promises.rename(this.resolve(fromKey), toPath);
+  }
+
+  async *list(prefix) {
+    const dir = this.resolve(prefix.replace(/\/?$/, '/x')).slice(0, -2);
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+
+    for (const entry of entries) {
+      const key = path.posix.join(prefix, entry.name);
+
+      if (entry.isDirectory()) {
+        yield* this.list(key);
+      } else if (entry.isFile()) {
+        const stats = await fs.promises.stat(path.join(dir, entry.name));
+        yield { key, size: stats.size, lastModified: stats.mtime };
+      }
+    }
+  }
+}
+
+module.exports = LocalDriver;
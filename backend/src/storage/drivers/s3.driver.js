@@ -0,0 +1,102 @@
+// src/storage/drivers/s3.driver.js
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  CopyObjectCommand,
+  paginateListObjectsV2
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// S3-compatible driver (AWS, MinIO, R2...)
+class S3Driver {
+  constructor() {
+    this.bucket = process.env.S3_BUCKET;
+
+    if (!this.bucket || !process.env.S3_ACCESS_KEY_ID || !process.env.S3_SECRET_ACCESS_KEY) {
+      throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    this.client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      // MinIO and most self-hosted endpoints only support path-style addressing
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true' || Boolean(process.env.S3_ENDPOINT),
+      // Not every S3-compatible endpoint understands the SDK's default flexible checksums
+      requestChecksumCalculation: 'WHEN_REQUIRED',
+      responseChecksumValidation: 'WHEN_REQUIRED',
+      credentials: {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      }
+    });
+  }
+
+  async put(key, body, { contentType, contentLength } = {}) {
+    await this.send('PUT', key, new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType || 'application/octet-stream',
+      // S3 rejects streamed uploads without a length
+      ContentLength: Buffer.isBuffer(body) ? body.length : contentLength
+    }));
+  }
+
+  async get(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+
+      return {
+        stream: response.Body,
+        size: response.ContentLength,
+        contentType: response.ContentType
+      };
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+      throw new Error(`S3 GET ${key} failed: ${error.message}`);
+    }
+  }
+
+  // Deleting a missing key succeeds in S3, so there's nothing to tolerate here
+  async delete(key) {
+    await this.send('DELETE', key, new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  // S3 has no rename: copy server-side, then drop the source
+  async move(fromKey, toKey) {
+    await this.send('COPY', toKey, new CopyObjectCommand({
+      Bucket: this.bucket,
+      Key: toKey,
+      CopySource: `${this.bucket}/${fromKey.split('/').map(encodeURIComponent).join('/')}`
+    }));
+    await this.delete(fromKey);
+  }
+
+  async *list(prefix) {
+    const pages = paginateListObjectsV2({ client: this.client }, { Bucket: this.bucket, Prefix: prefix });
+
+    for await (const page of pages) {
+      for (const object of page.Contents || []) {
+        yield { key: object.Key, size: object.Size || 0, lastModified: object.LastModified };
+      }
+    }
+  }
+
+  // Presigned GET; the object itself stays private in the bucket
+  signedUrl(key, expiresIn) {
+    return getSignedUrl(this.client, new GetObjectCommand({ Bucket: this.bucket, Key: key }), { expiresIn });
+  }
+
+  // Helper methods
+  async send(method, key, command) {
+    try {
+      return await this.client.send(command);
+    } catch (error) {
+      throw new Error(`S3 ${method} ${key} failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = S3Driver;
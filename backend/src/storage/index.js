@@ -0,0 +1,155 @@
+// src/storage/index.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+const LocalDriver = require('./drivers/local.driver');
+const S3Driver = require('./drivers/s3.driver');
+
+const drivers = {
+  local: LocalDriver,
+  s3: S3Driver
+};
+
+const CONTENT_TYPES = {
+  '.webp': 'image/webp',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm'
+};
+
+// Keys under public/ are served to anyone; private/ ones only through signed URLs
+const PUBLIC_PREFIX = 'public/';
+const PRIVATE_PREFIX = 'private/';
+
+const DEFAULT_SIGNED_URL_TTL = 3600; // 1 hour
+
+class StorageService {
+  constructor() {
+    const driverName = process.env.STORAGE_DRIVER || 'local';
+    const Driver = drivers[driverName];
+
+    if (!Driver) {
+      throw new Error(`Unknown storage driver: ${driverName}`);
+    }
+
+    this.driverName = driverName;
+    this.driver = new Driver();
+    this.publicBaseUrl = (process.env.STORAGE_PUBLIC_URL || '/media').replace(/\/$/, '');
+    this.signedUrlTtl = parseInt(process.env.STORAGE_SIGNED_URL_TTL) || DEFAULT_SIGNED_URL_TTL;
+  }
+
+  // Upload a local file (multer temp file or sharp output); the local copy is left for the caller
+  async putFile(key, filePath, contentType) {
+    const { size } = await fs.promises.stat(filePath);
+
+    await this.driver.put(key, fs.createReadStream(filePath), {
+      contentType: contentType || this.contentTypeOf(key),
+      contentLength: size
+    });
+
+    logger.debug(`Stored ${key} (${size} bytes) on ${this.driverName}`);
+
+    return key;
+  }
+
+  async put(key, buffer, contentType) {
+    await this.driver.put(key, buffer, { contentType: contentType || this.contentTypeOf(key) });
+    return key;
+  }
+
+  // Resolves to { stream, size, contentType } or null when the object doesn't exist
+  async get(key) {
+    const object = await this.driver.get(key);
+
+    if (!object) return null;
+
+    return { ...object, contentType: object.contentType || this.contentTypeOf(key) };
+  }
+
+  // Deletion failures are logged, never surfaced: the cleanup job sweeps whatever is left
+  async delete(keys) {
+    const list = (Array.isArray(keys) ? keys : [keys]).filter(Boolean);
+
+    await Promise.all(list.map(key => this.driver.delete(key).catch(error => {
+      logger.error(`Delete ${key} from storage failed: ${error.message}`);
+    })));
+  }
+
+  async move(fromKey, toKey) {
+    await this.driver.move(fromKey, toKey);
+    return toKey;
+  }
+
+  list(prefix) {
+    return this.driver.list(prefix);
+  }
+
+  isPrivate(key) {
+    return key.startsWith(PRIVATE_PREFIX);
+  }
+
+  // Same object name on the other side of the public/private split
+  withVisibility(key, isPrivate) {
+    const rest = key.replace(/^(public|private)\//, '');
+    return `${isPrivate ? PRIVATE_PREFIX : PUBLIC_PREFIX}${rest}`;
+  }
+
+  publicUrl(key) {
+    if (this.isPrivate(key)) {
+      throw new Error(`Private object ${key} has no public URL`);
+    }
+
+    return `${this.publicBaseUrl}/${key}`;
+  }
+
+  /**
+   * Time-limited URL for a private object.
+   * S3 hands out presigned bucket URLs; the local driver gets an HMAC checked by the /media/private route.
+   */
+  async signedUrl(key, expiresIn = this.signedUrlTtl) {
+    if (this.driver.signedUrl) {
+      return await this.driver.signedUrl(key, expiresIn);
+    }
+
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+
+    return `/media/${key}?expires=${expires}&signature=${this.signature(key, expires)}`;
+  }
+
+  // URL a client should use right now, whichever side of the split the key is on
+  async urlFor(key) {
+    return this.isPrivate(key) ? await this.signedUrl(key) : this.publicUrl(key);
+  }
+
+  verifySignature(key, expires, signature) {
+    if (!expires || !signature || Number(expires) < Date.now() / 1000) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.signature(key, expires));
+    const given = Buffer.from(String(signature));
+
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  contentTypeOf(key) {
+    return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+  }
+
+  // Helper methods
+  signature(key, expires) {
+    const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_ACCESS_SECRET;
+
+    return crypto.createHmac('sha256', secret).update(`${key}:${expires}`).digest('hex');
+  }
+}
+
+module.exports = new StorageService();
@@ -7,33 +7,24 @@ class ApiResponse {
     this.meta = meta;
     this.timestamp = new Date().toISOString();
   }
-
+  
   static success(res, message, data = null, statusCode = 200, meta = null) {
     const response = new ApiResponse(true, message, data, meta);
     return res.status(statusCode).json(response);
   }
-
+  
   static created(res, message, data = null, meta = null) {
     return ApiResponse.success(res, message, data, 201, meta);
   }
-
-  static paginated(res, message, data, pagination, meta = null) {
-    const response = {
-      success: true,
-      message,
-      data: data.docs || data,
-      meta: {
-        pagination: {
-          page: pagination.page,
-          limit: pagination.limit,
-          total: pagination.total,
-          pages: pagination.pages
-        },
-        ...meta
-      },
-      timestamp: new Date().toISOString()
+  
+  // Cursor-paginated lists share one envelope: data is { items, nextCursor, prevCursor }
+  static cursor(res, message, page, meta = null) {
+    const data = {
+      items: page.items,
+      nextCursor: page.nextCursor || null,
+      prevCursor: page.prevCursor || null
     };
-    return res.status(200).json(response);
+    return ApiResponse.success(res, message, data, 200, meta);
   }
 }
 
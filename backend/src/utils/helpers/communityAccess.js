@@ -0,0 +1,97 @@
+// src/utils/helpers/communityAccess.js
+// Privacy rules shared by every read and write path that touches community content.
+// Works on documents and on cached plain objects (populated or not).
+const ApiError = require('./apiError');
+const { COMMUNITY_PRIVACY } = require('../../config/constants');
+
+// Minimal projection needed by the checks below
+const ACCESS_FIELDS = 'owner moderators members.user settings isActive';
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref)?.toString();
+
+const isMember = (community, userId) =>
+  !!userId && (community.members || []).some(member => idOf(member.user) === userId.toString());
+
+const isModerator = (community, userId) =>
+  !!userId && (
+    idOf(community.owner) === userId.toString() ||
+    (community.moderators || []).some(mod => idOf(mod.user) === userId.toString())
+  );
+
+// Posts, comments and the member list: private communities and hidden content are members-only
+const canReadContent = (community, userId) => {
+  const { privacy, contentVisibility } = community.settings || {};
+  
+  if (privacy !== COMMUNITY_PRIVACY.PRIVATE && contentVisibility !== 'hidden') {
+    return true;
+  }
+  
+  return isMember(community, userId) || isModerator(community, userId);
+};
+
+// Commenting and voting: open to everyone in public communities, members only otherwise
+const canParticipate = (community, userId) => {
+  if (!userId) return false;
+  
+  if ((community.settings?.privacy || COMMUNITY_PRIVACY.PUBLIC) === COMMUNITY_PRIVACY.PUBLIC) {
+    return true;
+  }
+  
+  return isMember(community, userId) || isModerator(community, userId);
+};
+
+const assertExists = (community) => {
+  if (!community) {
+    throw new ApiError('Community not found', 404);
+  }
+};
+
+const assertCanRead = (community, userId) => {
+  assertExists(community);
+  
+  if (!canReadContent(community, userId)) {
+    throw new ApiError(
+      userId ? 'This community\'s content is only visible to members' : 'Authentication required',
+      userId ? 403 : 401
+    );
+  }
+};
+
+const assertCanParticipate = (community, userId) => {
+  assertExists(community);
+  
+  if (!canParticipate(community, userId)) {
+    throw new ApiError('Only members can participate in this community', 403);
+  }
+};
+
+// Fields a non-member may see about a community whose content they can't read
+const toPublicSummary = (community) => ({
+  _id: community._id,
+  name: community.name,
+  slug: community.slug,
+  description: community.description,
+  avatar: community.avatar,
+  bannerImage: community.bannerImage,
+  tags: community.tags,
+  settings: {
+    privacy: community.settings?.privacy,
+    joinMethod: community.settings?.joinMethod
+  },
+  stats: { memberCount: community.stats?.memberCount },
+  joinQuestions: community.joinQuestions,
+  isActive: community.isActive,
+  createdAt: community.createdAt
+});
+
+module.exports = {
+  ACCESS_FIELDS,
+  idOf,
+  isMember,
+  isModerator,
+  canReadContent,
+  canParticipate,
+  assertCanRead,
+  assertCanParticipate,
+  toPublicSummary
+};
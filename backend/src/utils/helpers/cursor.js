@@ -0,0 +1,130 @@
+// src/utils/helpers/cursor.js
+// Keyset pagination shared by every list endpoint.
+// A cursor is base64url JSON plus an HMAC, so clients can't forge positions or reuse one across lists.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiError = require('./apiError');
+const { PAGINATION } = require('../../config/constants');
+
+const secret = () => process.env.CURSOR_SECRET || process.env.JWT_ACCESS_SECRET;
+
+const sign = (payload) => crypto.createHmac('sha256', secret()).update(payload).digest('base64url').slice(0, 22);
+
+// Short digest of whatever identifies the list (route, filters, sort) so a cursor only works there
+const scopeOf = (scope) => crypto.createHash('sha1').update(JSON.stringify(scope || '')).digest('base64url').slice(0, 10);
+
+// JSON loses Dates, so they travel tagged and come back as Dates
+const pack = (value) => (value instanceof Date ? { $date: value.getTime() } : value);
+const unpack = (value) => (value && typeof value === 'object' && '$date' in value ? new Date(value.$date) : value);
+
+const encodeCursor = (position) => {
+  const payload = Buffer.from(JSON.stringify({ ...position, v: pack(position.v) })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+const decodeCursor = (value, scope) => {
+  const [payload, signature] = String(value).split('.');
+  const expected = payload ? sign(payload) : '';
+  
+  if (!signature || signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new ApiError('Invalid cursor', 400);
+  }
+  
+  let position;
+  
+  try {
+    position = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ApiError('Invalid cursor', 400);
+  }
+  
+  if (position.s !== scopeOf(scope) || !mongoose.isValidObjectId(position.id) || !Number.isFinite(position.at)) {
+    throw new ApiError('Invalid cursor', 400);
+  }
+  
+  return { ...position, v: unpack(position.v) };
+};
+
+const clampLimit = (limit) => Math.min(Math.max(parseInt(limit) || PAGINATION.DEFAULT_LIMIT, 1), PAGINATION.MAX_LIMIT);
+
+// Reads a nested field ('stats.memberCount') off a lean document
+const valueAt = (doc, field) => field.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+// Everything strictly after (or before) a position in { field: order, _id: order }
+const keysetFilter = (field, order, position, backwards) => {
+  const ascending = (order === 1) !== backwards;
+  const op = ascending ? '$gt' : '$lt';
+  const id = new mongoose.Types.ObjectId(position.id);
+  
+  if (field === '_id') {
+    return { _id: { [op]: id } };
+  }
+  
+  return { $or: [
+    { [field]: { [op]: position.v } },
+    { [field]: position.v, _id: { [op]: id } }
+  ] };
+};
+
+// Combine a list's own query with a keyset bound without clobbering its $or/$and
+const withKeyset = (query, keyset) => (keyset ? { $and: [query, keyset] } : query);
+
+/**
+ * Fetch one page of a keyset-paginated list.
+ *
+ * `fetch({ keyset, sort, limit, asOf })` runs the actual query: it must apply `keyset` (may be null)
+ * on top of its filters, order by `sort` and return at most `limit` documents.
+ * `asOf` is the first page's time, carried in every cursor, for lists whose membership depends on "now".
+ *
+ * Resolves to { items, nextCursor, prevCursor }.
+ */
+const paginate = async (fetch, { field = 'createdAt', order = -1, limit, cursor, scope } = {}) => {
+  const size = clampLimit(limit);
+  const position = cursor ? decodeCursor(cursor, scope) : null;
+  const backwards = position?.d === 'prev';
+  const asOf = new Date(position ? position.at : Date.now());
+  
+  const direction = backwards ? -order : order;
+  const sort = field === '_id' ? { _id: direction } : { [field]: direction, _id: direction };
+  
+  const items = await fetch({
+    keyset: position ? keysetFilter(field, order, position, backwards) : null,
+    sort,
+    limit: size + 1,
+    asOf
+  });
+  
+  const hasMore = items.length > size;
+  if (hasMore) items.pop();
+  if (backwards) items.reverse();
+  
+  const cursorFor = (doc, d) => encodeCursor({
+    s: scopeOf(scope),
+    d,
+    v: valueAt(doc, field),
+    id: doc._id.toString(),
+    at: asOf.getTime()
+  });
+  
+  const first = items[0];
+  const last = items[items.length - 1];
+  
+  // Going forwards there is a previous page whenever we came from a cursor, and vice versa
+  const hasNext = backwards ? Boolean(position) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(position);
+  
+  return {
+    items,
+    nextCursor: hasNext && last ? cursorFor(last, 'next') : null,
+    prevCursor: hasPrev && first ? cursorFor(first, 'prev') : null
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  clampLimit,
+  withKeyset,
+  paginate
+};
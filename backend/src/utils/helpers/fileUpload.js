@@ -5,6 +5,7 @@ const fs = require('fs');
 const sharp = require('sharp');
 const { v4: uuidv4 } = require('uuid');
 const ApiError = require('./apiError');
+const { FILE_LIMITS } = require('../../config/constants');
 
 // Ensure uploads directory exists
 const uploadDir = 'uploads';
@@ -68,10 +69,73 @@ const upload = multer({
   }
 });
 
+// Uploaders restricted to FILE_LIMITS; the declared type is only a first filter, see detectMimeType
+const createUploader = (allowedTypes) => multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new ApiError(`File type ${file.mimetype} is not allowed`, 400), false);
+    }
+  },
+  limits: {
+    fileSize: FILE_LIMITS.MAX_FILE_SIZE
+  }
+});
+
+const imageUpload = createUploader(FILE_LIMITS.ALLOWED_IMAGE_TYPES);
+const mediaUpload = createUploader([...FILE_LIMITS.ALLOWED_IMAGE_TYPES, ...FILE_LIMITS.ALLOWED_FILE_TYPES]);
+
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], at: 0, and: { bytes: [0x57, 0x45, 0x42, 0x50], at: 8 } },
+  { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] },
+  { mimeType: 'application/msword', bytes: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1] },
+  { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', bytes: [0x50, 0x4B, 0x03, 0x04] },
+  { mimeType: 'video/mp4', bytes: [0x66, 0x74, 0x79, 0x70], at: 4 },
+  { mimeType: 'video/webm', bytes: [0x1A, 0x45, 0xDF, 0xA3] }
+];
+
+const matches = (header, { bytes, at = 0 }) => bytes.every((byte, i) => header[at + i] === byte);
+
+// Sniffs the real type from the file's leading bytes; plain text is accepted only if it is valid UTF-8 without NULs
+const detectMimeType = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  
+  try {
+    const header = Buffer.alloc(4096);
+    const { bytesRead } = await handle.read(header, 0, header.length, 0);
+    const head = header.subarray(0, bytesRead);
+    
+    const signature = SIGNATURES.find(sig => matches(head, sig) && (!sig.and || matches(head, sig.and)));
+    if (signature) return signature.mimeType;
+    
+    if (bytesRead > 0 && !head.includes(0)) {
+      try {
+        // A multi-byte character may be cut at the end of the sample
+        new TextDecoder('utf-8', { fatal: true }).decode(head.subarray(0, Math.max(0, bytesRead - 3)));
+        return 'text/plain';
+      } catch (error) {
+        return null;
+      }
+    }
+    
+    return null;
+  } finally {
+    await handle.close();
+  }
+};
+
 // Image processing middleware
 const processImage = async (filePath, options = {}) => {
   const { width = 800, height = 600, quality = 80 } = options;
   
+  // Keep the source format (chaining .jpeg().png() wrote PNG data whatever the extension)
+  const format = path.extname(filePath).slice(1).toLowerCase().replace(/^jpg$/, 'jpeg');
+  
   const processedFilePath = filePath.replace(
     path.extname(filePath),
     `_processed${path.extname(filePath)}`
@@ -82,8 +146,7 @@ const processImage = async (filePath, options = {}) => {
       fit: 'inside',
       withoutEnlargement: true
     })
-    .jpeg({ quality })
-    .png({ quality })
+    .toFormat(format, { quality })
     .toFile(processedFilePath);
   
   return processedFilePath;
@@ -106,6 +169,37 @@ const generateThumbnail = async (filePath, size = 200) => {
   return thumbnailPath;
 };
 
+/**
+ * Re-encode an image as WebP at each of the given widths (never upscaled), written to outputDir.
+ * EXIF orientation is applied first, and no metadata is carried over, so GPS and camera tags are dropped.
+ */
+const createImageVariants = async (filePath, widths, options = {}) => {
+  const { quality = 80, square = false, outputDir = path.dirname(filePath) } = options;
+  const baseName = path.basename(filePath, path.extname(filePath));
+  
+  const metadata = await sharp(filePath).metadata();
+  // Orientations 5-8 are rotated 90°, so the displayed width is the stored height
+  const sourceWidth = metadata.orientation >= 5 ? metadata.height : metadata.width;
+  const targets = [...new Set(widths.map(width => Math.min(width, sourceWidth)))];
+  
+  const variants = [];
+  for (const width of targets) {
+    const variantPath = path.join(outputDir, `${baseName}_${width}.webp`);
+    
+    const info = await sharp(filePath)
+      .rotate()
+      .resize(square
+        ? { width, height: width, fit: 'cover', position: 'center' }
+        : { width, withoutEnlargement: true })
+      .webp({ quality })
+      .toFile(variantPath);
+    
+    variants.push({ width: info.width, height: info.height, size: info.size, path: variantPath });
+  }
+  
+  return variants;
+};
+
 // Delete file
 const deleteFile = (filePath) => {
   if (fs.existsSync(filePath)) {
@@ -115,8 +209,12 @@ const deleteFile = (filePath) => {
 
 module.exports = {
   upload,
+  imageUpload,
+  mediaUpload,
+  detectMimeType,
   processImage,
   generateThumbnail,
+  createImageVariants,
   deleteFile,
   uploadDir
 };
\ No newline at end of file
@@ -0,0 +1,54 @@
+// src/utils/helpers/hashtags.js
+const { TAGS } = require('../../config/constants');
+
+// "#tag" at the start or after anything that can't be part of a word, URL fragment or HTML entity
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&#/])#([\p{L}\p{N}_]+)/gu;
+
+/**
+ * Canonical form shared by stored tags, tag pages and bans: no leading #, NFKC-folded, lowercase,
+ * letters, digits and underscores only. Returns null for anything left empty, too long or all digits.
+ */
+const normalizeTag = (tag) => {
+  const normalized = String(tag || '')
+    .normalize('NFKC')
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}_]+/gu, '');
+  
+  if (!normalized || normalized.length > TAGS.MAX_LENGTH || /^[\p{N}_]+$/u.test(normalized)) {
+    return null;
+  }
+  
+  return normalized;
+};
+
+// Hashtags found in the given texts, normalized, in order of appearance
+const extractHashtags = (...texts) => {
+  const tags = [];
+  
+  texts.filter(Boolean).forEach(text => {
+    for (const match of text.normalize('NFKC').matchAll(HASHTAG_PATTERN)) {
+      tags.push(match[2]);
+    }
+  });
+  
+  return tags.map(normalizeTag).filter(Boolean);
+};
+
+// A post's tags: the ones the client picked first, then hashtags from its text, minus banned ones
+const collectTags = ({ tags = [], texts = [], banned = [] }) => {
+  const bannedSet = new Set(banned);
+  
+  const collected = [...tags, ...extractHashtags(...texts)]
+    .map(normalizeTag)
+    .filter(tag => tag && !bannedSet.has(tag));
+  
+  return [...new Set(collected)].slice(0, TAGS.MAX_PER_POST);
+};
+
+module.exports = {
+  normalizeTag,
+  extractHashtags,
+  collectTags
+};
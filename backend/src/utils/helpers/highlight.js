@@ -0,0 +1,66 @@
+// src/utils/helpers/highlight.js
+// Search snippets: a window of text around the first match with matched words wrapped in <mark>.
+// Text is HTML-escaped first, so the only markup in a snippet is ours.
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Rough English stem, so "walking" also marks "walked"
+const stem = (term) => {
+  const root = term.replace(/(ing|ed|es|s)$/, '');
+  return root.length >= 3 ? root : term;
+};
+
+// Word stems worth highlighting from a $text search string; quotes and negated terms are dropped
+const searchTerms = (query) => [...new Set(String(query)
+  .replace(/-\S+/g, ' ')
+  .replace(/"/g, ' ')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(term => term.length >= 2)
+  .map(stem))];
+
+/**
+ * $text matches stemmed words ("walks" finds "walking"), so each stem matches as a word prefix.
+ * Returns null when nothing matches, letting callers fall back to the plain field.
+ */
+const highlight = (text, terms, length = 160) => {
+  if (!text || terms.length === 0) return null;
+  
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${terms.map(escapeRegex).join('|')})`, 'iu');
+  const match = pattern.exec(text);
+  
+  if (!match) return null;
+  
+  const at = match.index + match[1].length;
+  const start = Math.max(0, at - Math.floor(length / 3));
+  const end = Math.min(text.length, start + length);
+  const marks = new RegExp(`(^|[^\\p{L}\\p{N}])(${terms.map(escapeRegex).join('|')})([\\p{L}\\p{N}]*)`, 'giu');
+  const window = text.slice(start, end).replace(/\s+/g, ' ');
+  
+  // Escape the pieces between marks separately so entities never get split
+  let snippet = '';
+  let last = 0;
+  
+  for (const mark of window.matchAll(marks)) {
+    const from = mark.index + mark[1].length;
+    snippet += `${escapeHtml(window.slice(last, from))}<mark>${escapeHtml(mark[2] + mark[3])}</mark>`;
+    last = from + mark[2].length + mark[3].length;
+  }
+  
+  snippet += escapeHtml(window.slice(last));
+  
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = {
+  escapeRegex,
+  searchTerms,
+  highlight
+};
@@ -0,0 +1,98 @@
+// src/utils/helpers/htmlMeta.js
+// Minimal <head> scraper for OpenGraph, Twitter card and oEmbed discovery tags.
+// Only needs to cope with well-formed-ish markup; anything it can't read is simply left out.
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' '
+};
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10);
+    
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  }
+  
+  return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+const cleanText = (text) => (text ? decodeEntities(text).replace(/\s+/g, ' ').trim() : undefined) || undefined;
+
+// Attribute names are lowercased; values are entity-decoded
+const parseAttributes = (tag) => {
+  const attributes = {};
+  const pattern = /([^\s=/<>"']+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  
+  for (const [, name, doubleQuoted, singleQuoted, bare] of tag.replace(/^<\w+|\/?>$/g, '').matchAll(pattern)) {
+    attributes[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted ?? bare ?? '');
+  }
+  
+  return attributes;
+};
+
+const resolveUrl = (value, baseUrl) => {
+  if (!value) return undefined;
+  
+  try {
+    return new URL(value.trim(), baseUrl).href;
+  } catch (error) {
+    return undefined;
+  }
+};
+
+/**
+ * Extract preview metadata from an HTML document.
+ * OpenGraph wins over Twitter cards, which win over plain <title>/<meta name="description">.
+ * Relative URLs are resolved against baseUrl (the final URL after redirects).
+ */
+const parseMetadata = (html, baseUrl) => {
+  const headEnd = html.search(/<\/head\s*>/i);
+  const head = headEnd === -1 ? html : html.slice(0, headEnd);
+  
+  // First occurrence of each key wins, as most consumers do
+  const meta = {};
+  for (const [tag] of head.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    
+    if (key && attributes.content !== undefined && !(key in meta)) {
+      meta[key] = attributes.content;
+    }
+  }
+  
+  let oembedUrl;
+  for (const [tag] of head.matchAll(/<link\b[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    
+    if ((attributes.type || '').toLowerCase() === 'application/json+oembed' && attributes.href) {
+      oembedUrl = resolveUrl(attributes.href, baseUrl);
+      break;
+    }
+  }
+  
+  const titleTag = head.match(/<title\b[^>]*>([\s\S]*?)<\/title\s*>/i);
+  
+  return {
+    title: cleanText(meta['og:title'] || meta['twitter:title'] || titleTag?.[1]),
+    description: cleanText(meta['og:description'] || meta['twitter:description'] || meta.description),
+    image: resolveUrl(
+      meta['og:image:secure_url'] || meta['og:image'] || meta['og:image:url'] ||
+      meta['twitter:image'] || meta['twitter:image:src'],
+      baseUrl
+    ),
+    siteName: cleanText(meta['og:site_name'] || meta['application-name']),
+    oembedUrl
+  };
+};
+
+module.exports = {
+  parseMetadata,
+  decodeEntities
+};
@@ -0,0 +1,93 @@
+// src/utils/helpers/ical.js
+// Minimal RFC 5545 writer for exporting events as .ics calendars
+
+const PRODUCT_ID = '-//Petly//Community Events//EN';
+const MAX_LINE_LENGTH = 75;
+
+// Escape TEXT values (backslash, semicolon, comma, newline)
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// UTC date-time, e.g. 20240501T170000Z
+const formatDate = (date) => new Date(date).toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are folded with CRLF + space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= MAX_LINE_LENGTH) return line;
+  
+  const parts = [];
+  let current = '';
+  
+  for (const char of line) {
+    const limit = parts.length === 0 ? MAX_LINE_LENGTH : MAX_LINE_LENGTH - 1;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  
+  return parts.join('\r\n ');
+};
+
+const buildEvent = (event, options = {}) => {
+  const { baseUrl = '' } = options;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event._id}@petly`,
+    `DTSTAMP:${formatDate(event.updatedAt || Date.now())}`,
+    `DTSTART:${formatDate(event.startDate)}`,
+    `DTEND:${formatDate(event.endDate)}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    `DESCRIPTION:${escapeText(event.description)}`,
+    `LOCATION:${escapeText(event.location)}`,
+    `CATEGORIES:${escapeText(event.eventType)}`,
+    `STATUS:${event.isCancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    `LAST-MODIFIED:${formatDate(event.updatedAt || Date.now())}`
+  ];
+  
+  if (event.coordinates?.lat !== undefined && event.coordinates?.lng !== undefined) {
+    lines.push(`GEO:${event.coordinates.lat};${event.coordinates.lng}`);
+  }
+  
+  if (baseUrl) {
+    lines.push(`URL:${baseUrl}/events/${event._id}`);
+  }
+  
+  lines.push('END:VEVENT');
+  
+  return lines;
+};
+
+const buildCalendar = (events, options = {}) => {
+  const { name } = options;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  
+  events.forEach(event => lines.push(...buildEvent(event, options)));
+  lines.push('END:VCALENDAR');
+  
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildCalendar,
+  escapeText,
+  formatDate
+};
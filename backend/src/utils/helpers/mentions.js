@@ -0,0 +1,27 @@
+// src/utils/helpers/mentions.js
+const { MENTIONS } = require('../../config/constants');
+
+// "@name" at the start or after anything that can't be part of an address or another handle
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_.@-])@([\p{L}\p{N}_.-]{3,30})/gu;
+
+// Unique usernames mentioned across the given texts, lowercased, in order of appearance
+const extractMentions = (...texts) => {
+  const usernames = new Set();
+  
+  texts.filter(Boolean).forEach(text => {
+    for (const match of text.matchAll(MENTION_PATTERN)) {
+      // Sentence punctuation right after a handle isn't part of it
+      const username = match[2].replace(/[.-]+$/, '').toLowerCase();
+      
+      if (username.length >= 3) {
+        usernames.add(username);
+      }
+    }
+  });
+  
+  return [...usernames].slice(0, MENTIONS.MAX_PER_CONTENT);
+};
+
+module.exports = {
+  extractMentions
+};
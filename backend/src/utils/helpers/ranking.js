@@ -0,0 +1,107 @@
+// src/utils/helpers/ranking.js
+// Ranking formulas shared by posts and comments, and the sort modes built on them.
+// Hot and best only change with votes; rising depends on age, so stored scores are refreshed by the
+// recompute job (see postService.recomputeRankings) as well as on save.
+const { RANKING, TIME_WINDOWS } = require('../../config/constants');
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Reddit's hot: order of magnitude of the net votes plus submission time, so 12.5 hours of age
+ * weigh the same as a 10x vote difference. Never changes once votes stop.
+ */
+const hotScore = (ups, downs, createdAt) => {
+  const votes = ups - downs;
+  const order = Math.log10(Math.max(Math.abs(votes), 1));
+  const sign = Math.sign(votes);
+  const seconds = new Date(createdAt).getTime() / 1000 - RANKING.HOT_EPOCH;
+  
+  return round(sign * order + seconds / RANKING.HOT_DECAY_SECONDS);
+};
+
+// Lower bound of the Wilson score interval (80% confidence)
+const wilsonLowerBound = (ups, downs) => {
+  const n = ups + downs;
+  if (n === 0) return 0;
+  
+  const z = 1.281551565545;
+  const p = ups / n;
+  
+  return round((p + z * z / (2 * n) - z * Math.sqrt((p * (1 - p) + z * z / (4 * n)) / n)) / (1 + z * z / n));
+};
+
+// Many votes, evenly split, ranks highest
+const controversialScore = (ups, downs) => {
+  if (ups === 0 || downs === 0) return 0;
+  
+  const balance = ups > downs ? downs / ups : ups / downs;
+  return round(Math.pow(ups + downs, balance));
+};
+
+// Net votes per hour with gravity, only while the post is young enough to be "rising"
+const risingScore = (ups, downs, createdAt, now = Date.now()) => {
+  const age = now - new Date(createdAt).getTime();
+  
+  if (age > RANKING.RISING_WINDOW || ups - downs <= 0) return 0;
+  
+  return round((ups - downs) / Math.pow(age / (60 * 60 * 1000) + 2, RANKING.RISING_GRAVITY));
+};
+
+// Every stored ranking field for a post
+const postScores = ({ ups, downs, createdAt }, now = Date.now()) => ({
+  score: hotScore(ups, downs, createdAt),
+  voteScore: ups - downs,
+  bestScore: wilsonLowerBound(ups, downs),
+  controversialScore: controversialScore(ups, downs),
+  risingScore: risingScore(ups, downs, createdAt, now),
+  rankedAt: new Date(now)
+});
+
+// Every stored ranking field for a comment
+const commentScores = ({ ups, downs }) => ({
+  score: ups - downs,
+  bestScore: wilsonLowerBound(ups, downs),
+  controversialScore: controversialScore(ups, downs)
+});
+
+// Stored field each sort orders by; ties fall back to _id so keyset cursors are total
+const SORT_FIELDS = {
+  hot: 'score',
+  new: 'createdAt',
+  top: 'voteScore',
+  controversial: 'controversialScore',
+  best: 'bestScore',
+  rising: 'risingScore'
+};
+
+/**
+ * Mongo sort spec plus any createdAt bound a sort implies: top is limited to its time window,
+ * rising to posts still inside the rising window.
+ */
+const postSort = (sort = 'hot', window = 'all', now = Date.now()) => {
+  const field = SORT_FIELDS[sort] || SORT_FIELDS.hot;
+  let since = null;
+  
+  if (sort === 'top' && TIME_WINDOWS[window]) {
+    since = new Date(now - TIME_WINDOWS[window]);
+  } else if (sort === 'rising') {
+    since = new Date(now - RANKING.RISING_WINDOW);
+  }
+  
+  return {
+    field,
+    sort: { [field]: -1, _id: -1 },
+    filter: since ? { createdAt: { $gte: since } } : {}
+  };
+};
+
+module.exports = {
+  hotScore,
+  wilsonLowerBound,
+  controversialScore,
+  risingScore,
+  postScores,
+  commentScores,
+  postSort,
+  SORT_FIELDS
+};
@@ -0,0 +1,155 @@
+// src/utils/helpers/safeHttp.js
+// Outbound HTTP for user-supplied URLs. Every hop (including redirects) is resolved and checked
+// against private, loopback and reserved ranges, and the checked address is the one connected to,
+// so DNS rebinding can't swap in an internal host between the check and the request.
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const ApiError = require('./apiError');
+
+const MAX_REDIRECTS = 3;
+const DEFAULT_TIMEOUT = 5000;
+const DEFAULT_MAX_BYTES = 1024 * 1024; // 1MB
+
+const blockList = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => blockList.addSubnet(prefix, bits, 'ipv4'));
+[
+  // IPv4-mapped addresses (::ffff:a.b.c.d) are matched against the IPv4 rules by BlockList itself
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64],
+  ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => blockList.addSubnet(prefix, bits, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  
+  if (family === 0) return true;
+  
+  return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const blockedError = (hostname) => new ApiError(`Refusing to fetch from private address ${hostname}`, 400);
+
+// dns.lookup replacement used by the agents below
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(blockedError(hostname));
+    }
+    
+    if (options.all) return callback(null, addresses);
+    
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+// Rejects non-http(s) URLs, credentials and literal private IPs (which bypass DNS lookup)
+const assertPublicUrl = (value) => {
+  let url;
+  
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new ApiError('Invalid URL', 400);
+  }
+  
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new ApiError('Only http and https URLs are supported', 400);
+  }
+  
+  if (url.username || url.password) {
+    throw new ApiError('URLs with credentials are not supported', 400);
+  }
+  
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    throw blockedError(hostname);
+  }
+  
+  return url;
+};
+
+// Surfaces SSRF rejections as-is and every other failure as a 502
+const request = async (url, config) => {
+  try {
+    return await axios.get(url.href, config);
+  } catch (error) {
+    const cause = error.cause instanceof ApiError ? error.cause : error;
+    
+    if (cause instanceof ApiError) throw cause;
+    
+    throw new ApiError(`Could not fetch ${url.hostname}: ${error.message}`, 502);
+  }
+};
+
+/**
+ * GET a public URL with SSRF protection and hard limits.
+ * Resolves with { url, status, headers, data } where url is the final URL after redirects
+ * and data is a Buffer of at most maxBytes.
+ */
+const fetchPublic = async (value, options = {}) => {
+  const {
+    timeout = DEFAULT_TIMEOUT,
+    maxBytes = DEFAULT_MAX_BYTES,
+    accept = '*/*'
+  } = options;
+  
+  // One budget for the whole redirect chain
+  const signal = AbortSignal.timeout(timeout);
+  let url = assertPublicUrl(value);
+  
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const response = await request(url, {
+      responseType: 'arraybuffer',
+      maxRedirects: 0,
+      maxContentLength: maxBytes,
+      timeout,
+      signal,
+      httpAgent,
+      httpsAgent,
+      proxy: false,
+      decompress: true,
+      validateStatus: status => status < 400,
+      headers: {
+        Accept: accept,
+        'User-Agent': 'PetlyBot/1.0 (+link preview)'
+      }
+    });
+    
+    if (response.status >= 300) {
+      if (!response.headers.location) {
+        throw new ApiError('Redirect without a location', 502);
+      }
+      
+      url = assertPublicUrl(new URL(response.headers.location, url).href);
+      continue;
+    }
+    
+    return {
+      url: url.href,
+      status: response.status,
+      headers: response.headers,
+      data: Buffer.from(response.data)
+    };
+  }
+  
+  throw new ApiError('Too many redirects', 502);
+};
+
+module.exports = {
+  isPrivateAddress,
+  assertPublicUrl,
+  fetchPublic
+};
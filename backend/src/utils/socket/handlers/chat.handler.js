@@ -2,6 +2,7 @@
 const Message = require('../../../models/Message.model');
 const Community = require('../../../models/Community.model');
 const logger = require('../../../config/logger');
+const { consume } = require('../../../middleware/rateLimit.middleware');
 
 class ChatHandler {
   async handleJoinCommunity(socket, data) {
@@ -74,6 +75,16 @@ class ChatHandler {
       const { content, communityId, receiverId, type, media, replyTo } = data;
       const userId = socket.user._id;
       
+      const limit = await consume('SEND_MESSAGE', `user:${userId}`);
+      if (limit.limited) {
+        socket.emit('error', {
+          message: 'You are sending messages too quickly',
+          code: 'RATE_LIMITED',
+          retryAfter: limit.resetSeconds
+        });
+        return;
+      }
+      
       const chatService = require('../../../services/chat.service');
       const message = await chatService.sendMessage({
         content,
@@ -0,0 +1,120 @@
+// src/utils/socket/handlers/vote.handler.js
+const mongoose = require('mongoose');
+const Post = require('../../../models/Post.model');
+const logger = require('../../../config/logger');
+const { consume } = require('../../../middleware/rateLimit.middleware');
+const { VOTE_TARGETS } = require('../../../config/constants');
+
+const VOTE_VALUES = { up: 1, down: -1, clear: 0 };
+
+// Acknowledgements are optional; clients that don't pass a callback get errors as 'error' events
+const respond = (socket, ack, payload) => {
+  if (typeof ack === 'function') {
+    ack(payload);
+  } else if (!payload.ok) {
+    socket.emit('error', payload.error);
+  }
+};
+
+const fail = (socket, ack, message) => respond(socket, ack, { ok: false, error: { message } });
+
+class VoteHandler {
+  // Post rooms carry vote_update and new_comment events, so joining needs read access to the post
+  async handleJoinPost(socket, data, ack) {
+    try {
+      const { postId } = data || {};
+      const userId = socket.user._id;
+      
+      if (!mongoose.isValidObjectId(postId)) {
+        return fail(socket, ack, 'Post not found');
+      }
+      
+      const post = await Post.findById(postId).select('community author status isDeleted');
+      
+      if (!post || post.isDeleted) {
+        return fail(socket, ack, 'Post not found');
+      }
+      
+      const postService = require('../../../services/post.service');
+      const community = await postService.assertCanReadCommunity(post.community, userId);
+      postService.assertCanViewPost(post, community, userId);
+      
+      socket.join(`post:${postId}`);
+      
+      respond(socket, ack, { ok: true, postId });
+    } catch (error) {
+      logger.error(`Join post error: ${error.message}`);
+      fail(socket, ack, error.message);
+    }
+  }
+  
+  handleLeavePost(socket, data, ack) {
+    const { postId } = data || {};
+    
+    socket.leave(`post:${postId}`);
+    
+    respond(socket, ack, { ok: true, postId });
+  }
+  
+  /**
+   * { targetType: 'post' | 'comment', targetId, vote: 'up' | 'down' | 'clear' }. Up and down toggle
+   * like the REST endpoints. The acknowledgement carries the resulting counts and the user's vote;
+   * everyone in the post room gets the counts through the debounced vote_update.
+   */
+  async handleVote(socket, data, ack) {
+    try {
+      const { targetType = VOTE_TARGETS.POST, targetId, vote } = data || {};
+      const userId = socket.user._id;
+      
+      if (!Object.values(VOTE_TARGETS).includes(targetType) || !Object.hasOwn(VOTE_VALUES, vote) || !mongoose.isValidObjectId(targetId)) {
+        return fail(socket, ack, 'Invalid vote');
+      }
+      
+      const limit = await consume('VOTE', `user:${userId}`);
+      if (limit.limited) {
+        return respond(socket, ack, {
+          ok: false,
+          error: { message: 'You are voting too quickly', code: 'RATE_LIMITED', retryAfter: limit.resetSeconds }
+        });
+      }
+      
+      const result = await this.castVote(targetType, targetId, userId, VOTE_VALUES[vote]);
+      
+      respond(socket, ack, {
+        ok: true,
+        targetType,
+        targetId,
+        upvotes: result.upvoteCount,
+        downvotes: result.downvoteCount,
+        score: result.score,
+        userVote: result.userVote
+      });
+    } catch (error) {
+      logger.error(`Vote error: ${error.message}`);
+      fail(socket, ack, error.message);
+    }
+  }
+  
+  // Helper methods
+  async castVote(targetType, targetId, userId, value) {
+    if (targetType === VOTE_TARGETS.COMMENT) {
+      const commentService = require('../../../services/comment.service');
+      
+      if (value === 0) return await commentService.clearCommentVote(targetId, userId);
+      
+      return value > 0
+        ? await commentService.upvoteComment(targetId, userId)
+        : await commentService.downvoteComment(targetId, userId);
+    }
+    
+    const postService = require('../../../services/post.service');
+    
+    if (value === 0) return await postService.clearPostVote(targetId, userId);
+    
+    return value > 0
+      ? await postService.upvotePost(targetId, userId)
+      : await postService.downvotePost(targetId, userId);
+  }
+}
+
+module.exports = new VoteHandler();
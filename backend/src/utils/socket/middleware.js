@@ -0,0 +1,39 @@
+// src/utils/socket/middleware.js
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User.model');
+const Token = require('../../models/Token.model');
+const logger = require('../../config/logger');
+
+// Authenticates the handshake with the same access token the REST API uses
+const socketAuth = async (socket, next) => {
+  try {
+    const header = socket.handshake.headers?.authorization;
+    const token = socket.handshake.auth?.token ||
+      (header?.startsWith('Bearer') ? header.split(' ')[1] : null);
+    
+    if (!token) {
+      return next(new Error('Authentication required'));
+    }
+    
+    const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    
+    const blacklisted = await Token.exists({ token, type: 'access', blacklisted: true });
+    if (blacklisted) {
+      return next(new Error('Token has been revoked'));
+    }
+    
+    const user = await User.findById(decoded.userId).select('username role profile.avatar lockUntil');
+    
+    if (!user || user.isLocked()) {
+      return next(new Error('Authentication failed'));
+    }
+    
+    socket.user = user;
+    next();
+  } catch (error) {
+    logger.warn(`Socket auth failed: ${error.message}`);
+    next(new Error('Authentication failed'));
+  }
+};
+
+module.exports = socketAuth;
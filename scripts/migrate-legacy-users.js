@@ -0,0 +1,72 @@
+// migrate-legacy-users.js
+// Converts users created by the old backend/db.js schema (name, profilePic, petName...)
+// to the User.model shape so they can sign in through the unified API, and moves
+// their single pet into the pets collection.
+// Usage: mongosh "$MONGODB_URI" scripts/migrate-legacy-users.js
+
+const slugify = (value) => (value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9_]/g, '')
+  .slice(0, 24);
+
+const SPECIES = ['dog', 'cat', 'bird', 'fish', 'rabbit', 'other'];
+
+let migrated = 0;
+let pets = 0;
+
+db.users.find({ username: { $exists: false } }).forEach((user) => {
+  let base = slugify(user.name) || slugify(user.email.split('@')[0]);
+  if (base.length < 3) {
+    base = `user${base}`;
+  }
+
+  let username = base;
+  while (db.users.countDocuments({ username }) > 0) {
+    username = `${base}${Math.floor(1000 + Math.random() * 9000)}`;
+  }
+
+  const [firstName, ...rest] = (user.name || '').trim().split(/\s+/);
+
+  db.users.updateOne({ _id: user._id }, {
+    $set: {
+      username,
+      role: user.role || 'user',
+      'profile.firstName': firstName || undefined,
+      'profile.lastName': rest.join(' ') || undefined,
+      'profile.avatar': user.profilePic && user.profilePic !== 'default-avatar.png' ? user.profilePic : null
+    },
+    $unset: { name: '', profilePic: '', petName: '', petType: '', petBreed: '', petAge: '' }
+  });
+
+  if (user.petName && user.petName.trim()) {
+    const now = new Date();
+    const pet = {
+      owner: user._id,
+      name: user.petName.trim().slice(0, 50),
+      species: SPECIES.includes(user.petType) ? user.petType : 'other',
+      sex: 'unknown',
+      weightHistory: [],
+      photos: [],
+      isPublic: false,
+      isDeleted: false,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    if (user.petBreed) {
+      pet.breed = user.petBreed;
+    }
+
+    // Only the age in years was stored; approximate a birth date from it
+    if (user.petAge) {
+      pet.birthDate = new Date(now.getFullYear() - user.petAge, now.getMonth(), now.getDate());
+    }
+
+    db.pets.insertOne(pet);
+    pets++;
+  }
+
+  migrated++;
+});
+
+print(`Migrated ${migrated} legacy users and ${pets} pets`);
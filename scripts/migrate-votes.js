@@ -0,0 +1,52 @@
+// migrate-votes.js
+// Moves the upvotes/downvotes voter arrays stored on posts and comments into the votes
+// collection and replaces them with upvoteCount/downvoteCount. Each document is converted
+// in one pass and loses its arrays afterwards, so the script can be re-run after a failure.
+// Usage: mongosh "$MONGODB_URI" scripts/migrate-votes.js
+
+db.votes.createIndex({ user: 1, target: 1 }, { unique: true });
+db.votes.createIndex({ user: 1, targetType: 1, value: 1, createdAt: -1 });
+
+const migrate = (collection, targetType) => {
+  let migrated = 0;
+  let votes = 0;
+
+  collection.find(
+    { $or: [{ upvotes: { $exists: true } }, { downvotes: { $exists: true } }] },
+    { upvotes: 1, downvotes: 1, createdAt: 1 }
+  ).forEach((doc) => {
+    const ups = [...new Set((doc.upvotes || []).map(String))];
+    // Someone in both arrays keeps their upvote, as the old toggles would have shown it
+    const downs = [...new Set((doc.downvotes || []).map(String))].filter(id => !ups.includes(id));
+    // The arrays didn't record when each vote was cast
+    const votedAt = doc.createdAt || new Date();
+
+    const operations = [
+      ...ups.map(id => ({ id, value: 1 })),
+      ...downs.map(id => ({ id, value: -1 }))
+    ].map(({ id, value }) => ({
+      updateOne: {
+        filter: { user: ObjectId(id), target: doc._id },
+        update: { $setOnInsert: { targetType, value, createdAt: votedAt, updatedAt: votedAt } },
+        upsert: true
+      }
+    }));
+
+    if (operations.length > 0) {
+      db.votes.bulkWrite(operations, { ordered: false });
+    }
+
+    collection.updateOne({ _id: doc._id }, {
+      $set: { upvoteCount: ups.length, downvoteCount: downs.length },
+      $unset: { upvotes: '', downvotes: '' }
+    });
+
+    migrated++;
+    votes += operations.length;
+  });
+
+  print(`Migrated ${migrated} ${targetType}s with ${votes} votes`);
+};
+
+migrate(db.posts, 'post');
+migrate(db.comments, 'comment');